@@ -0,0 +1,534 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Keyframe animation playback for glTF-style animation data. Clips are made up
+of channels, each of which drives a single property of a single node from an
+AnimationSampler. An AnimationMixer plays any number of clips at once and
+blends their results together before writing them into the scene graph.
+*/
+
+import {quat} from '../math/gl-matrix.js';
+
+export const INTERPOLATION = {
+  LINEAR: 'LINEAR',
+  STEP: 'STEP',
+  CUBICSPLINE: 'CUBICSPLINE',
+};
+
+// Number of components written for each animatable node property. The
+// number of morph target weights depends on the mesh.
+const PATH_COMPONENTS = {
+  translation: 3,
+  rotation: 4,
+  scale: 3,
+  weights: 0,
+};
+
+let tmpQuatA = quat.create();
+let tmpQuatB = quat.create();
+
+export class AnimationSampler {
+  constructor(interpolation = INTERPOLATION.LINEAR) {
+    this.interpolation = interpolation;
+    // Keyframe times, in seconds.
+    this.input = null;
+    // Keyframe values. For cubic spline samplers every keyframe stores an
+    // in-tangent, a value and an out-tangent, in that order.
+    this.output = null;
+
+    this._lastIndex = 0;
+  }
+
+  setKeyframes(input, output) {
+    this.input = input;
+    this.output = output;
+    this._lastIndex = 0;
+  }
+
+  get duration() {
+    if (!this.input || !this.input.length) {
+      return 0;
+    }
+    return this.input[this.input.length - 1];
+  }
+
+  // Writes the value of the sampler at |time| into |out|, which is expected to
+  // hold |stride| components. Returns false if the keyframes haven't loaded
+  // yet, in which case |out| is left untouched.
+  sample(out, time, stride, isRotation = false) {
+    let input = this.input;
+    let output = this.output;
+    if (!input || !input.length || !output) {
+      return false;
+    }
+
+    let cubic = this.interpolation == INTERPOLATION.CUBICSPLINE;
+    let keyStride = cubic ? stride * 3 : stride;
+    let valueOffset = cubic ? stride : 0;
+    let lastKey = input.length - 1;
+
+    if (lastKey == 0 || time <= input[0]) {
+      this._copyKey(out, 0, keyStride, valueOffset, stride);
+      return true;
+    }
+
+    if (time >= input[lastKey]) {
+      this._copyKey(out, lastKey, keyStride, valueOffset, stride);
+      return true;
+    }
+
+    // Playback almost always moves forward a little each frame, so start
+    // searching from the previously used keyframe.
+    let i = this._lastIndex;
+    if (i >= lastKey || input[i] > time) {
+      i = 0;
+    }
+    while (i < lastKey - 1 && input[i + 1] <= time) {
+      ++i;
+    }
+    this._lastIndex = i;
+
+    let keyDelta = input[i + 1] - input[i];
+    let t = keyDelta > 0 ? (time - input[i]) / keyDelta : 0;
+
+    switch (this.interpolation) {
+      case INTERPOLATION.STEP:
+        this._copyKey(out, i, keyStride, valueOffset, stride);
+        break;
+
+      case INTERPOLATION.CUBICSPLINE: {
+        // Hermite spline basis functions, as laid out in the glTF spec.
+        let t2 = t * t;
+        let t3 = t2 * t;
+        let h00 = 2 * t3 - 3 * t2 + 1;
+        let h10 = t3 - 2 * t2 + t;
+        let h01 = -2 * t3 + 3 * t2;
+        let h11 = t3 - t2;
+
+        let k0 = i * keyStride;
+        let k1 = (i + 1) * keyStride;
+        for (let c = 0; c < stride; ++c) {
+          let p0 = output[k0 + stride + c];
+          let m0 = output[k0 + stride * 2 + c] * keyDelta;
+          let p1 = output[k1 + stride + c];
+          let m1 = output[k1 + c] * keyDelta;
+          out[c] = h00 * p0 + h10 * m0 + h01 * p1 + h11 * m1;
+        }
+
+        if (isRotation) {
+          quat.normalize(out, out);
+        }
+        break;
+      }
+
+      default: { // LINEAR
+        let k0 = i * stride;
+        let k1 = (i + 1) * stride;
+        if (isRotation) {
+          quat.set(tmpQuatA, output[k0], output[k0 + 1], output[k0 + 2], output[k0 + 3]);
+          quat.set(tmpQuatB, output[k1], output[k1 + 1], output[k1 + 2], output[k1 + 3]);
+          quat.slerp(out, tmpQuatA, tmpQuatB, t);
+        } else {
+          for (let c = 0; c < stride; ++c) {
+            out[c] = output[k0 + c] + (output[k1 + c] - output[k0 + c]) * t;
+          }
+        }
+      }
+    }
+
+    return true;
+  }
+
+  _copyKey(out, index, keyStride, valueOffset, stride) {
+    let offset = index * keyStride + valueOffset;
+    for (let c = 0; c < stride; ++c) {
+      out[c] = this.output[offset + c];
+    }
+  }
+}
+
+export class AnimationChannel {
+  constructor(sampler, node, path) {
+    this.sampler = sampler;
+    this.node = node;
+    // One of 'translation', 'rotation', 'scale', or 'weights'.
+    this.path = path;
+  }
+}
+
+export class AnimationClip {
+  constructor(name, channels = []) {
+    this.name = name;
+    this.channels = channels;
+  }
+
+  // The duration isn't cached because sampler data may still be loading.
+  get duration() {
+    let duration = 0;
+    for (let channel of this.channels) {
+      duration = Math.max(duration, channel.sampler.duration);
+    }
+    return duration;
+  }
+}
+
+export class AnimationAction {
+  constructor(name) {
+    this.name = name;
+    this.clip = null;
+
+    this.time = 0;
+    this.timeScale = 1.0;
+    this.weight = 1.0;
+    this.loop = true;
+
+    this.playing = false;
+    this.paused = false;
+
+    this._fadeRate = 0;
+    this._fadeEnd = 1.0;
+    // The weight to return to once a fade has finished.
+    this._baseWeight = 1.0;
+  }
+
+  play() {
+    this.playing = true;
+    this.paused = false;
+    return this;
+  }
+
+  pause() {
+    this.paused = true;
+    return this;
+  }
+
+  stop() {
+    if (this._fadeRate) {
+      this.weight = this._baseWeight;
+      this._fadeRate = 0;
+    }
+    this.playing = false;
+    this.paused = false;
+    this.time = 0;
+    return this;
+  }
+
+  seek(time) {
+    this.time = time;
+    this._wrapTime();
+    return this;
+  }
+
+  // Ramps the weight of the action up to it's current weight over |duration|
+  // seconds.
+  fadeIn(duration) {
+    if (!this._fadeRate) {
+      this._baseWeight = this.weight;
+    }
+    // Pick up from the current weight if the action is part way through
+    // fading out.
+    let from = (this.playing && this._fadeRate < 0) ? this.weight : 0;
+    this._startFade(from, this._baseWeight, duration);
+    return this.play();
+  }
+
+  // Ramps the weight of the action down to 0 over |duration| seconds, then
+  // stops it.
+  fadeOut(duration) {
+    if (!this._fadeRate) {
+      this._baseWeight = this.weight;
+    }
+    this._startFade(this.weight, 0, duration);
+    return this;
+  }
+
+  crossFadeTo(action, duration) {
+    this.fadeOut(duration);
+    action.seek(0);
+    return action.fadeIn(duration);
+  }
+
+  get finished() {
+    return !this.loop && !!this.clip && this.time >= this.clip.duration;
+  }
+
+  _startFade(from, to, duration) {
+    this._fadeEnd = to;
+    if (duration <= 0 || from == to) {
+      this.weight = to;
+      this._endFade();
+      return;
+    }
+    this.weight = from;
+    this._fadeRate = (to - from) / duration;
+  }
+
+  _endFade() {
+    this._fadeRate = 0;
+    if (this._fadeEnd == 0) {
+      this.stop();
+      // Restore the weight so that the action can simply be played again.
+      this.weight = this._baseWeight;
+    }
+  }
+
+  _advance(delta) {
+    if (!this.playing || this.paused) {
+      return;
+    }
+
+    this.time += delta * this.timeScale;
+    this._wrapTime();
+
+    if (this._fadeRate) {
+      this.weight += this._fadeRate * Math.abs(delta);
+      if ((this._fadeRate > 0 && this.weight >= this._fadeEnd) ||
+          (this._fadeRate < 0 && this.weight <= this._fadeEnd)) {
+        this.weight = this._fadeEnd;
+        this._endFade();
+      }
+    }
+  }
+
+  _wrapTime() {
+    let duration = this.clip ? this.clip.duration : 0;
+    if (duration <= 0) {
+      return;
+    }
+
+    if (this.loop) {
+      this.time %= duration;
+      if (this.time < 0) {
+        this.time += duration;
+      }
+    } else {
+      // Non-looping actions hold their final pose until they're stopped.
+      this.time = Math.min(Math.max(this.time, 0), duration);
+    }
+  }
+}
+
+// Tracks the blended value of a single animated node property.
+class AnimationBinding {
+  constructor(node, path) {
+    this.node = node;
+    this.path = path;
+    this.stride = path == 'weights' ? node.weights.length : PATH_COMPONENTS[path];
+    this.isRotation = path == 'rotation';
+
+    // Capture the rest pose so that partially weighted animations have
+    // something to blend against.
+    this.rest = new Float32Array(this.stride);
+    this.rest.set(node[path]);
+
+    this.value = new Float32Array(this.stride);
+    this.sample = new Float32Array(this.stride);
+    this.weight = 0;
+    this.wasActive = false;
+  }
+
+  reset() {
+    this.value.fill(0);
+    this.weight = 0;
+  }
+
+  accumulate(weight) {
+    let value = this.value;
+    let sample = this.sample;
+    // Keep quaternions in the same hemisphere so they don't cancel out.
+    if (this.isRotation && this.weight > 0 && quat.dot(value, sample) < 0) {
+      weight = -weight;
+    }
+    for (let c = 0; c < this.stride; ++c) {
+      value[c] += sample[c] * weight;
+    }
+    this.weight += Math.abs(weight);
+  }
+
+  apply() {
+    let active = this.weight > 0;
+    if (!active && !this.wasActive) {
+      return;
+    }
+    this.wasActive = active;
+
+    let value = this.value;
+    if (!active) {
+      value.set(this.rest);
+    } else if (this.weight < 1.0) {
+      this.sample.set(this.rest);
+      this.accumulate(1.0 - this.weight);
+    } else if (this.weight > 1.0) {
+      for (let c = 0; c < this.stride; ++c) {
+        value[c] /= this.weight;
+      }
+    }
+
+    if (this.isRotation) {
+      quat.normalize(value, value);
+    }
+
+    // Fetching the property marks the node's matrices as dirty.
+    this.node[this.path].set(value);
+  }
+}
+
+export class AnimationMixer {
+  constructor() {
+    this.timeScale = 1.0;
+
+    this._clips = new Map();
+    this._actions = new Map();
+    // Bindings are looked up by node, then by path, but also kept in a flat
+    // list for the per-frame reset/apply passes.
+    this._bindings = new Map();
+    this._bindingList = [];
+  }
+
+  // Replaces the set of clips the mixer can play. Actions keep their state
+  // (time, weight, etc) and are re-bound to any new clip with the same name,
+  // which allows playback to be started before an asset has finished loading.
+  setClips(clips) {
+    this._clips.clear();
+    this._bindings.clear();
+    this._bindingList = [];
+    for (let clip of clips) {
+      this._clips.set(clip.name, clip);
+    }
+    for (let action of this._actions.values()) {
+      action.clip = this._clips.get(action.name) || null;
+    }
+  }
+
+  get clipNames() {
+    return Array.from(this._clips.keys());
+  }
+
+  get actions() {
+    return Array.from(this._actions.values());
+  }
+
+  clipAction(name) {
+    let action = this._actions.get(name);
+    if (!action) {
+      action = new AnimationAction(name);
+      action.clip = this._clips.get(name) || null;
+      this._actions.set(name, action);
+    }
+    return action;
+  }
+
+  // Convenience for the common case of starting a clip with some options.
+  // Recognized options are loop, weight, timeScale, time and fadeIn.
+  play(name, options = {}) {
+    let action = this.clipAction(name);
+    if ('loop' in options) {
+      action.loop = options.loop;
+    }
+    if ('weight' in options) {
+      action.weight = options.weight;
+    }
+    if ('timeScale' in options) {
+      action.timeScale = options.timeScale;
+    }
+    if ('time' in options) {
+      action.seek(options.time);
+    }
+    if (options.fadeIn) {
+      return action.fadeIn(options.fadeIn);
+    }
+    return action.play();
+  }
+
+  pause(name) {
+    let action = this._actions.get(name);
+    if (action) {
+      action.pause();
+    }
+  }
+
+  stop(name) {
+    let action = this._actions.get(name);
+    if (action) {
+      action.stop();
+    }
+  }
+
+  stopAll() {
+    for (let action of this._actions.values()) {
+      action.stop();
+    }
+  }
+
+  // Advances all playing actions by |delta| seconds and writes the blended
+  // result into the animated nodes.
+  update(delta) {
+    delta *= this.timeScale;
+
+    for (let binding of this._bindingList) {
+      binding.reset();
+    }
+
+    for (let action of this._actions.values()) {
+      action._advance(delta);
+
+      if (!action.playing || !action.clip || action.weight <= 0) {
+        continue;
+      }
+
+      for (let channel of action.clip.channels) {
+        let binding = this._getBinding(channel);
+        if (binding && channel.sampler.sample(binding.sample, action.time,
+                                              binding.stride, binding.isRotation)) {
+          binding.accumulate(action.weight);
+        }
+      }
+    }
+
+    for (let binding of this._bindingList) {
+      binding.apply();
+    }
+  }
+
+  _getBinding(channel) {
+    if (!(channel.path in PATH_COMPONENTS)) {
+      return null;
+    }
+
+    if (channel.path == 'weights' && !channel.node.weights) {
+      return null;
+    }
+
+    let nodeBindings = this._bindings.get(channel.node);
+    if (!nodeBindings) {
+      nodeBindings = {};
+      this._bindings.set(channel.node, nodeBindings);
+    }
+
+    let binding = nodeBindings[channel.path];
+    if (!binding) {
+      binding = new AnimationBinding(channel.node, channel.path);
+      nodeBindings[channel.path] = binding;
+      this._bindingList.push(binding);
+    }
+    return binding;
+  }
+}
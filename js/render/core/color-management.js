@@ -0,0 +1,89 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+The renderer-wide color pipeline. With color management enabled, color
+textures (base color and emissive) are decoded from sRGB so that lighting is
+computed in linear space, and the lit result is encoded back to sRGB for the
+framebuffer. Independently of that, lit colors can be scaled by an exposure
+and passed through a tone mapping operator so that bright highlights roll off
+rather than clipping. See Renderer.colorManagement, toneMapping and exposure.
+
+Only materials that opt in by using this chunk are affected. Unlit materials,
+such as UI and the skybox, output colors that are already display ready.
+*/
+
+import {registerShaderChunk} from './shader-chunks.js';
+
+export const TONE_MAPPING = {
+  NONE: 0,
+  REINHARD: 1,
+  ACES_FILMIC: 2,
+};
+
+// GLSL chunk pulled in with #include <color_management>. Materials should pass
+// color texture samples through decodeColor() and their final lit color
+// through outputColor(). Non-color data, like normals or metallic/roughness,
+// must be left alone.
+export const COLOR_MANAGEMENT_FRAGMENT_SOURCE = `
+#include <srgb>
+
+#define TONE_MAPPING_REINHARD ${TONE_MAPPING.REINHARD}
+#define TONE_MAPPING_ACES_FILMIC ${TONE_MAPPING.ACES_FILMIC}
+
+// x: Exposure, y: Tone mapping operator, z: 1 if color management is enabled
+uniform vec3 COLOR_PARAMS;
+
+vec4 decodeColor(vec4 color) {
+  if (COLOR_PARAMS.z == 0.0) {
+    return color;
+  }
+  return vec4(srgbToLinear(color.rgb), color.a);
+}
+
+vec3 toneMapReinhard(vec3 color) {
+  return color / (1.0 + color);
+}
+
+// Krzysztof Narkowicz's fit of the ACES filmic curve.
+// https://knarkowicz.wordpress.com/2016/01/06/aces-filmic-tone-mapping-curve/
+vec3 toneMapAcesFilmic(vec3 color) {
+  return (color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14);
+}
+
+vec3 outputColor(vec3 color) {
+  color *= COLOR_PARAMS.x;
+
+  int toneMapping = int(COLOR_PARAMS.y);
+  if (toneMapping == TONE_MAPPING_REINHARD) {
+    color = toneMapReinhard(color);
+  } else if (toneMapping == TONE_MAPPING_ACES_FILMIC) {
+    color = toneMapAcesFilmic(color);
+  }
+
+  color = clamp(color, 0.0, 1.0);
+  if (COLOR_PARAMS.z != 0.0) {
+    color = linearToSrgb(color);
+  }
+  return color;
+}
+`;
+
+registerShaderChunk('color_management', COLOR_MANAGEMENT_FRAGMENT_SOURCE);
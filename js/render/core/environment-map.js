@@ -0,0 +1,365 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Image based lighting from an equirectangular environment image. Once the source
+image has loaded the renderer pre-filters it on the GPU into a diffuse
+irradiance map and a specular map whose mip levels hold increasingly rough
+reflections. Both stay in the equirect layout used by SkyboxNode, so the same
+image can be used for the background. See Renderer.environmentMap.
+*/
+
+import {Program} from './program.js';
+import {registerShaderChunk} from './shader-chunks.js';
+import {UrlTexture} from './texture.js';
+
+// Texture units the pre-filtered maps are bound to. Like the shadow map these
+// come from the top of the range to avoid colliding with material samplers.
+export const ENV_IRRADIANCE_TEXTURE_UNIT = 13;
+export const ENV_SPECULAR_TEXTURE_UNIT = 14;
+
+// Size of the intermediate copy of the source image that the maps are
+// filtered from. Resampling it to a power of two size ensures it has mipmaps.
+const SOURCE_WIDTH = 1024;
+const SOURCE_HEIGHT = 512;
+
+const EQUIRECT_FUNCTIONS = `
+#ifndef M_PI
+#define M_PI 3.14159265
+#endif
+
+// Matches the sphere mapping used by SkyboxNode.
+vec2 equirectUv(vec3 dir) {
+  float u = atan(dir.x, -dir.z) / (2.0 * M_PI);
+  float v = acos(clamp(dir.y, -1.0, 1.0)) / M_PI;
+  return vec2(fract(u), v);
+}
+
+vec3 equirectDir(vec2 uv) {
+  float phi = uv.x * 2.0 * M_PI;
+  float theta = uv.y * M_PI;
+  return vec3(sin(phi) * sin(theta), cos(theta), -cos(phi) * sin(theta));
+}
+
+mat3 tangentFrame(vec3 n) {
+  vec3 up = abs(n.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+  vec3 t = normalize(cross(up, n));
+  return mat3(t, cross(n, t), n);
+}
+`;
+
+// GLSL chunk for materials that use the environment lighting, pulled in with
+// #include <environment>. Provides environmentLight(), which returns the
+// combined diffuse and specular contribution for a surface.
+export const ENVIRONMENT_FRAGMENT_SOURCE = `
+#include <color_management>
+
+uniform sampler2D ENV_IRRADIANCE;
+uniform sampler2D ENV_SPECULAR;
+// x: Intensity (0 when there's no environment map), y: Max specular mip level
+uniform vec2 ENV_PARAMS;
+
+${EQUIRECT_FUNCTIONS}
+
+// Analytic approximation of the split sum BRDF lookup table from
+// https://www.unrealengine.com/en-US/blog/physically-based-shading-on-mobile
+vec3 envBRDFApprox(vec3 F0, float roughness, float nDotV) {
+  const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);
+  const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);
+  vec4 r = roughness * c0 + c1;
+  float a004 = min(r.x * r.x, exp2(-9.28 * nDotV)) * r.x + r.y;
+  vec2 ab = vec2(-1.04, 1.04) * a004 + r.zw;
+  return F0 * ab.x + ab.y;
+}
+
+vec3 environmentLight(vec3 n, vec3 v, vec3 cDiff, vec3 F0, float roughness) {
+  if (ENV_PARAMS.x == 0.0) {
+    return vec3(0.0);
+  }
+
+  // The maps are filtered from the source image as is, so they're decoded
+  // here along with other color textures.
+  vec3 irradiance = decodeColor(textureLod(ENV_IRRADIANCE, equirectUv(n), 0.0)).rgb;
+
+  vec3 r = reflect(-v, n);
+  vec3 prefiltered = decodeColor(textureLod(ENV_SPECULAR, equirectUv(r), roughness * ENV_PARAMS.y)).rgb;
+  float nDotV = clamp(dot(n, v), 0.0, 1.0);
+
+  return (irradiance * cDiff + prefiltered * envBRDFApprox(F0, roughness, nDotV)) * ENV_PARAMS.x;
+}
+`;
+
+registerShaderChunk('environment', ENVIRONMENT_FRAGMENT_SOURCE);
+
+// Covers the viewport with a single triangle, no attributes needed.
+const FULLSCREEN_VERTEX_SOURCE = `
+out vec2 vUv;
+
+void main() {
+  vec2 pos = vec2(float((gl_VertexID & 1) << 2) - 1.0, float((gl_VertexID & 2) << 1) - 1.0);
+  vUv = pos * 0.5 + 0.5;
+  gl_Position = vec4(pos, 0.0, 1.0);
+}
+`;
+
+const COPY_FRAGMENT_SOURCE = `
+precision highp float;
+uniform sampler2D SOURCE;
+in vec2 vUv;
+out vec4 color;
+
+void main() {
+  color = vec4(texture(SOURCE, vUv).rgb, 1.0);
+}
+`;
+
+const IRRADIANCE_FRAGMENT_SOURCE = `
+precision highp float;
+uniform sampler2D SOURCE;
+uniform float SOURCE_LOD;
+in vec2 vUv;
+out vec4 color;
+
+${EQUIRECT_FUNCTIONS}
+
+void main() {
+  mat3 frame = tangentFrame(equirectDir(vUv));
+
+  // Cosine weighted integral over the hemisphere.
+  const float STEP = 0.1;
+  vec3 irradiance = vec3(0.0);
+  float count = 0.0;
+  for (float phi = 0.0; phi < 2.0 * M_PI; phi += STEP) {
+    for (float theta = 0.0; theta < 0.5 * M_PI; theta += STEP) {
+      vec3 dir = vec3(sin(theta) * cos(phi), sin(theta) * sin(phi), cos(theta));
+      irradiance += textureLod(SOURCE, equirectUv(frame * dir), SOURCE_LOD).rgb * cos(theta) * sin(theta);
+      count += 1.0;
+    }
+  }
+
+  color = vec4(M_PI * irradiance / count, 1.0);
+}
+`;
+
+const SPECULAR_FRAGMENT_SOURCE = `
+precision highp float;
+uniform sampler2D SOURCE;
+uniform float ROUGHNESS;
+uniform vec2 SOURCE_SIZE;
+in vec2 vUv;
+out vec4 color;
+
+${EQUIRECT_FUNCTIONS}
+
+const uint SAMPLE_COUNT = 64u;
+
+vec2 hammersley(uint i) {
+  uint bits = i;
+  bits = (bits << 16u) | (bits >> 16u);
+  bits = ((bits & 0x55555555u) << 1u) | ((bits & 0xAAAAAAAAu) >> 1u);
+  bits = ((bits & 0x33333333u) << 2u) | ((bits & 0xCCCCCCCCu) >> 2u);
+  bits = ((bits & 0x0F0F0F0Fu) << 4u) | ((bits & 0xF0F0F0F0u) >> 4u);
+  bits = ((bits & 0x00FF00FFu) << 8u) | ((bits & 0xFF00FF00u) >> 8u);
+  return vec2(float(i) / float(SAMPLE_COUNT), float(bits) * 2.3283064365386963e-10);
+}
+
+void main() {
+  vec3 n = equirectDir(vUv);
+
+  if (ROUGHNESS == 0.0) {
+    color = vec4(textureLod(SOURCE, vUv, 0.0).rgb, 1.0);
+    return;
+  }
+
+  mat3 frame = tangentFrame(n);
+  float a = ROUGHNESS * ROUGHNESS;
+  float aSqr = a * a;
+  float texelSolidAngle = 4.0 * M_PI / (SOURCE_SIZE.x * SOURCE_SIZE.y);
+  float maxLod = log2(max(SOURCE_SIZE.x, SOURCE_SIZE.y));
+
+  // GGX importance sampling, assuming the view direction equals the normal.
+  vec3 result = vec3(0.0);
+  float weight = 0.0;
+  for (uint i = 0u; i < SAMPLE_COUNT; ++i) {
+    vec2 xi = hammersley(i);
+    float phi = 2.0 * M_PI * xi.x;
+    float cosTheta = sqrt((1.0 - xi.y) / (1.0 + (aSqr - 1.0) * xi.y));
+    float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+    vec3 h = frame * vec3(sinTheta * cos(phi), sinTheta * sin(phi), cosTheta);
+    vec3 l = 2.0 * dot(n, h) * h - n;
+
+    float nDotL = dot(n, l);
+    if (nDotL > 0.0) {
+      // Sample from a mip level matching the solid angle the sample covers to
+      // avoid aliasing with small sample counts.
+      float f = (cosTheta * cosTheta) * (aSqr - 1.0) + 1.0;
+      float pdf = aSqr / (M_PI * f * f) * 0.25;
+      float sampleSolidAngle = 1.0 / (float(SAMPLE_COUNT) * pdf);
+      float lod = clamp(0.5 * log2(sampleSolidAngle / texelSolidAngle) + 1.0, 0.0, maxLod);
+
+      result += textureLod(SOURCE, equirectUv(l), lod).rgb * nDotL;
+      weight += nDotL;
+    }
+  }
+
+  color = vec4(result / weight, 1.0);
+}
+`;
+
+export class EnvironmentMap {
+  constructor(options = {}) {
+    // The equirect source image, either as a Texture or a URL.
+    this.texture = options.texture || new UrlTexture(options.url);
+    this.intensity = 'intensity' in options ? options.intensity : 1.0;
+    this.irradianceWidth = options.irradianceWidth || 64;
+    this.specularWidth = options.specularWidth || 512;
+
+    this.params = new Float32Array(2);
+
+    this._irradianceTexture = null;
+    this._specularTexture = null;
+    this._specularLevels = 0;
+    this._ready = false;
+  }
+
+  get ready() {
+    return this._ready;
+  }
+
+  get irradianceTexture() {
+    return this._irradianceTexture;
+  }
+
+  get specularTexture() {
+    return this._specularTexture;
+  }
+
+  // Called by the renderer each frame. Generates the lighting maps once the
+  // source texture is available and returns true when they're ready for use.
+  _update(renderer) {
+    if (!this._ready) {
+      let source = renderer._getRenderTexture(this.texture);
+      if (!source || !source._complete) {
+        return false;
+      }
+      this._prefilter(renderer.gl, source._texture);
+      this._ready = true;
+    }
+
+    this.params[0] = this.intensity;
+    this.params[1] = this._specularLevels - 1;
+    return true;
+  }
+
+  // Forgets the lighting maps after a context loss so they're regenerated.
+  _reset() {
+    this._irradianceTexture = null;
+    this._specularTexture = null;
+    this._specularLevels = 0;
+    this._ready = false;
+  }
+
+  _prefilter(gl, sourceTexture) {
+    let prevFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    let prevViewport = gl.getParameter(gl.VIEWPORT);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.STENCIL_TEST);
+    gl.colorMask(true, true, true, true);
+
+    let framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+
+    let drawTo = (texture, level, width, height) => {
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, level);
+      gl.viewport(0, 0, width, height);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+    };
+
+    let useProgram = (fragmentSource) => {
+      let program = new Program(gl, FULLSCREEN_VERTEX_SOURCE, fragmentSource, {});
+      program.use();
+      if (program.program) {
+        gl.uniform1i(program.uniform.SOURCE, 0);
+      }
+      return program;
+    };
+
+    // Resample the source into a power of two texture with mipmaps.
+    let sourceLevels = Math.log2(SOURCE_WIDTH) + 1;
+    let source = createTexture(gl, SOURCE_WIDTH, SOURCE_HEIGHT, sourceLevels);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+    let program = useProgram(COPY_FRAGMENT_SOURCE);
+    drawTo(source, 0, SOURCE_WIDTH, SOURCE_HEIGHT);
+    program.dispose();
+
+    gl.bindTexture(gl.TEXTURE_2D, source);
+    gl.generateMipmap(gl.TEXTURE_2D);
+
+    // Diffuse irradiance. Sampled from a mip level roughly matching the
+    // output resolution since it's very low frequency anyway.
+    let irradianceWidth = this.irradianceWidth;
+    this._irradianceTexture = createTexture(gl, irradianceWidth, irradianceWidth / 2, 1);
+    gl.bindTexture(gl.TEXTURE_2D, source);
+    program = useProgram(IRRADIANCE_FRAGMENT_SOURCE);
+    if (program.program) {
+      gl.uniform1f(program.uniform.SOURCE_LOD, Math.log2(SOURCE_WIDTH / irradianceWidth));
+    }
+    drawTo(this._irradianceTexture, 0, irradianceWidth, irradianceWidth / 2);
+    program.dispose();
+
+    // Specular, with roughness increasing linearly with each mip level down
+    // to a 16 texel wide level at roughness 1.
+    let specularWidth = this.specularWidth;
+    this._specularLevels = Math.max(1, Math.log2(specularWidth) - 3);
+    this._specularTexture = createTexture(gl, specularWidth, specularWidth / 2, this._specularLevels);
+    gl.bindTexture(gl.TEXTURE_2D, source);
+    program = useProgram(SPECULAR_FRAGMENT_SOURCE);
+    if (program.program) {
+      gl.uniform2f(program.uniform.SOURCE_SIZE, SOURCE_WIDTH, SOURCE_HEIGHT);
+    }
+    for (let level = 0; level < this._specularLevels; ++level) {
+      if (program.program) {
+        gl.uniform1f(program.uniform.ROUGHNESS, level / Math.max(1, this._specularLevels - 1));
+      }
+      drawTo(this._specularTexture, level, specularWidth >> level, (specularWidth / 2) >> level);
+    }
+    program.dispose();
+
+    gl.deleteTexture(source);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, prevFramebuffer);
+    gl.deleteFramebuffer(framebuffer);
+    gl.viewport(prevViewport[0], prevViewport[1], prevViewport[2], prevViewport[3]);
+  }
+}
+
+function createTexture(gl, width, height, levels) {
+  let texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texStorage2D(gl.TEXTURE_2D, levels, gl.RGBA8, width, height);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, levels > 1 ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return texture;
+}
@@ -0,0 +1,344 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Lets tracked pointers and hands pick up nodes marked as grabbable, by select or
+squeeze. A grabbed node follows the grip pose of the input source holding it,
+keeping the offset it had when picked up. When grabbed by two input sources at
+once it's moved, rotated and scaled about the point between them.
+
+Nodes are picked up if the input source's target ray hits them, so they must be
+selectable or be the descendant of a selectable node that's hit. Nodes within
+reach of the grip are picked up too, which lets hands grab what they touch.
+
+Grabbed nodes get 'grabstart' and 'grabend' NodeEvents.
+*/
+
+import {NodeEvent} from './node-event.js';
+import {mat4, vec3, quat} from '../math/gl-matrix.js';
+
+// How close, in meters, a node's bounds have to be to the grip to be grabbed
+// without pointing at it.
+const GRAB_REACH = 0.05;
+
+let tmpMatrix = mat4.create();
+let tmpWorldMatrix = mat4.create();
+let tmpPosition = vec3.create();
+let tmpScale = vec3.create();
+let tmpRotation = quat.create();
+
+// Sets the node's translation, rotation and scale so that its world matrix
+// matches the given one.
+function setNodeWorldMatrix(node, worldMatrix) {
+  if (node.parent) {
+    mat4.invert(tmpMatrix, node.parent.worldMatrix);
+    mat4.multiply(tmpMatrix, tmpMatrix, worldMatrix);
+  } else {
+    mat4.copy(tmpMatrix, worldMatrix);
+  }
+
+  mat4.getTranslation(node.translation, tmpMatrix);
+  mat4.getScaling(node.scale, tmpMatrix);
+  // Remove the scale before extracting the rotation.
+  for (let i = 0; i < 3; ++i) {
+    let s = node.scale[i] ? 1.0 / node.scale[i] : 0;
+    tmpMatrix[i*4] *= s;
+    tmpMatrix[i*4+1] *= s;
+    tmpMatrix[i*4+2] *= s;
+  }
+  mat4.getRotation(node.rotation, tmpMatrix);
+  quat.normalize(node.rotation, node.rotation);
+}
+
+class GrabHand {
+  constructor(inputSource, eventType, gripMatrix) {
+    this.inputSource = inputSource;
+    // 'select' or 'squeeze', whichever picked the node up.
+    this.eventType = eventType;
+    this.gripMatrix = mat4.clone(gripMatrix);
+    // The node's world matrix relative to the grip.
+    this.offset = mat4.create();
+    // Latest surface hit by the input source, for snapping.
+    this.hitTestSource = null;
+    this.surfacePosition = null;
+  }
+}
+
+class Grab {
+  constructor(node) {
+    this.node = node;
+    this.hands = [];
+
+    // State captured when the second hand grabs the node.
+    this.startMatrix = mat4.create();
+    this.startCenter = vec3.create();
+    this.startDirection = vec3.create();
+    this.startDistance = 0;
+  }
+
+  // Records the node's current transform relative to the hands, so that
+  // further movement is applied from here.
+  capture() {
+    let worldMatrix = this.node.worldMatrix;
+    for (let hand of this.hands) {
+      mat4.invert(hand.offset, hand.gripMatrix);
+      mat4.multiply(hand.offset, hand.offset, worldMatrix);
+    }
+
+    if (this.hands.length == 2) {
+      mat4.copy(this.startMatrix, worldMatrix);
+      this._getHandSpan(this.startCenter, this.startDirection);
+      this.startDistance = vec3.length(this.startDirection);
+      vec3.normalize(this.startDirection, this.startDirection);
+    }
+  }
+
+  update() {
+    if (this.hands.length == 1) {
+      let hand = this.hands[0];
+      mat4.multiply(tmpWorldMatrix, hand.gripMatrix, hand.offset);
+      setNodeWorldMatrix(this.node, tmpWorldMatrix);
+      return;
+    }
+
+    let center = vec3.create();
+    let direction = vec3.create();
+    this._getHandSpan(center, direction);
+    let distance = vec3.length(direction);
+    vec3.normalize(direction, direction);
+
+    let scale = this.startDistance > 0 ? distance / this.startDistance : 1;
+    // Only the swing of the line between the hands is tracked, not any twist
+    // about it.
+    quat.rotationTo(tmpRotation, this.startDirection, direction);
+    vec3.set(tmpScale, scale, scale, scale);
+
+    // Move the start transform into the space of the hands' start center,
+    // rotate and scale it, and then place it at the current center.
+    let worldMatrix = tmpWorldMatrix;
+    mat4.fromRotationTranslationScale(worldMatrix, tmpRotation, center, tmpScale);
+    vec3.negate(tmpPosition, this.startCenter);
+    mat4.translate(worldMatrix, worldMatrix, tmpPosition);
+    mat4.multiply(worldMatrix, worldMatrix, this.startMatrix);
+    setNodeWorldMatrix(this.node, worldMatrix);
+  }
+
+  _getHandSpan(center, direction) {
+    let a = mat4.getTranslation(vec3.create(), this.hands[0].gripMatrix);
+    let b = mat4.getTranslation(vec3.create(), this.hands[1].gripMatrix);
+    vec3.lerp(center, a, b, 0.5);
+    vec3.subtract(direction, b, a);
+  }
+}
+
+export class GrabManager {
+  constructor(scene) {
+    this._scene = scene;
+    this._grabs = new Map();
+    this._inputSourceGrabs = new Map();
+
+    this.enabled = true;
+    // Which input events pick up nodes: 'select', 'squeeze' or both.
+    this.grabEvents = ['select', 'squeeze'];
+    // If true and the session supports WebXR hit testing, nodes dropped while
+    // the input source's target ray points at a real world surface are
+    // placed on it. Intended for AR sessions.
+    this.snapToSurfaces = false;
+  }
+
+  // Returns the node held by the input source, if any.
+  getGrabbedNode(inputSource) {
+    let grab = this._inputSourceGrabs.get(inputSource);
+    return grab ? grab.node : null;
+  }
+
+  isGrabbed(node) {
+    return this._grabs.has(node);
+  }
+
+  // Called by the Scene when the input source's select or squeeze starts, with
+  // the result of hit testing its target ray.
+  _onInputStart(eventType, inputSource, frame, refSpace, hitResult) {
+    if (!this.enabled || this.grabEvents.indexOf(eventType) == -1 ||
+        inputSource.targetRayMode != 'tracked-pointer' ||
+        this._inputSourceGrabs.has(inputSource)) {
+      return;
+    }
+
+    let gripPose = frame.getPose(inputSource.gripSpace || inputSource.targetRaySpace, refSpace);
+    if (!gripPose) {
+      return;
+    }
+
+    let node = hitResult ? this._findGrabbable(hitResult.node) : null;
+    if (!node) {
+      node = this._findGrabbableInReach(gripPose.transform.position);
+    }
+    if (!node) {
+      return;
+    }
+
+    let grab = this._grabs.get(node);
+    if (grab && grab.hands.length >= 2) {
+      return;
+    }
+
+    let hand = new GrabHand(inputSource, eventType, gripPose.transform.matrix);
+    let grabStarted = !grab;
+    if (grabStarted) {
+      grab = new Grab(node);
+      this._grabs.set(node, grab);
+    }
+    grab.hands.push(hand);
+    grab.capture();
+    this._inputSourceGrabs.set(inputSource, grab);
+
+    if (this.snapToSurfaces) {
+      this._requestHitTestSource(frame.session, hand);
+    }
+
+    this._scene.haptics.play('grab', inputSource);
+
+    if (grabStarted) {
+      node.dispatchEvent(new NodeEvent('grabstart', {
+        inputSource: inputSource,
+        frame: frame,
+        intersection: hitResult ? hitResult.intersection : null,
+        distance: hitResult ? hitResult.distance : Infinity,
+        hitResult: hitResult,
+      }));
+    }
+  }
+
+  // Called by the Scene when the input source's select or squeeze ends.
+  _onInputEnd(eventType, inputSource, frame) {
+    let grab = this._inputSourceGrabs.get(inputSource);
+    if (grab && grab.hands.some((hand) => hand.inputSource == inputSource &&
+                                          hand.eventType == eventType)) {
+      this._release(inputSource, frame);
+    }
+  }
+
+  // Called by the Scene with each input source's latest grip pose.
+  _updateInputSource(inputSource, gripPose, frame, refSpace) {
+    let grab = this._inputSourceGrabs.get(inputSource);
+    if (!grab || !gripPose) {
+      return;
+    }
+
+    for (let hand of grab.hands) {
+      if (hand.inputSource == inputSource) {
+        mat4.copy(hand.gripMatrix, gripPose.transform.matrix);
+
+        if (hand.hitTestSource) {
+          let results = frame.getHitTestResults(hand.hitTestSource);
+          let pose = results.length ? results[0].getPose(refSpace) : null;
+          hand.surfacePosition = pose ?
+              mat4.getTranslation(vec3.create(), pose.transform.matrix) : null;
+        }
+      }
+    }
+  }
+
+  // Moves every grabbed node to follow the hands holding it. Called by the
+  // Scene once all of the input sources have been updated for the frame.
+  _update(frame) {
+    // Drop anything held by input sources that have gone away.
+    let inputSources = frame.session.inputSources;
+    for (let inputSource of this._inputSourceGrabs.keys()) {
+      if (Array.prototype.indexOf.call(inputSources, inputSource) == -1) {
+        this._release(inputSource, frame);
+      }
+    }
+
+    for (let grab of this._grabs.values()) {
+      grab.update();
+    }
+  }
+
+  _release(inputSource, frame) {
+    let grab = this._inputSourceGrabs.get(inputSource);
+    if (!grab) {
+      return;
+    }
+    this._inputSourceGrabs.delete(inputSource);
+
+    let hand = grab.hands.find((hand) => hand.inputSource == inputSource);
+    grab.hands.splice(grab.hands.indexOf(hand), 1);
+    if (hand.hitTestSource) {
+      hand.hitTestSource.cancel();
+      hand.hitTestSource = null;
+    }
+
+    this._scene.haptics.play('release', inputSource);
+
+    if (grab.hands.length) {
+      // Carry on with the remaining hand from where the node is now.
+      grab.capture();
+      return;
+    }
+
+    this._grabs.delete(grab.node);
+
+    if (hand.surfacePosition) {
+      let worldMatrix = mat4.clone(grab.node.worldMatrix);
+      worldMatrix[12] = hand.surfacePosition[0];
+      worldMatrix[13] = hand.surfacePosition[1];
+      worldMatrix[14] = hand.surfacePosition[2];
+      setNodeWorldMatrix(grab.node, worldMatrix);
+    }
+
+    grab.node.dispatchEvent(new NodeEvent('grabend', {
+      inputSource: inputSource,
+      frame: frame,
+    }));
+  }
+
+  _findGrabbable(node) {
+    for (; node; node = node.parent) {
+      if (node.grabbable) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  _findGrabbableInReach(position) {
+    let center = vec3.fromValues(position.x, position.y, position.z);
+    let result = this._scene.bvh.nearest(center, GRAB_REACH,
+        (node) => node.visible && !!this._findGrabbable(node));
+    return result ? this._findGrabbable(result.node) : null;
+  }
+
+  _requestHitTestSource(session, hand) {
+    if (!session.requestHitTestSource) {
+      return;
+    }
+    session.requestHitTestSource({space: hand.inputSource.targetRaySpace}).then((hitTestSource) => {
+      // The node may have been dropped before the request completed.
+      if (this._inputSourceGrabs.has(hand.inputSource) &&
+          this._inputSourceGrabs.get(hand.inputSource).hands.indexOf(hand) != -1) {
+        hand.hitTestSource = hitTestSource;
+      } else {
+        hitTestSource.cancel();
+      }
+    }, () => {});
+  }
+}
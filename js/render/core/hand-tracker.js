@@ -0,0 +1,261 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Tracks the joints of articulated hand input sources (those with an XRHand) and
+turns their gestures into the same events Scene uses for tracked pointers:
+
+  * Pinching the thumb and index finger tips together selects along the hand's
+    target ray, like pulling a controller's trigger. Browsers that fire select
+    events for hands themselves are detected by their first 'selectstart', after
+    which that hand's pinches are left to them.
+  * Poking a selectable node, such as a ButtonNode, with the index finger tip
+    selects it directly at the point of contact.
+*/
+
+import {mat4} from '../math/gl-matrix.js';
+
+// Joints in the order XRHand defines them.
+export const HAND_JOINT_COUNT = 25;
+const WRIST = 0;
+const THUMB_TIP = 4;
+const INDEX_FINGER_TIP = 9;
+
+// Pairs of joints connected by a bone, used for rendering.
+export const HAND_BONES = [];
+for (let finger = 0; finger < 5; ++finger) {
+  // The thumb has no intermediate phalanx so has one joint fewer.
+  let first = finger == 0 ? 1 : finger * 5;
+  let last = finger * 5 + 4;
+  HAND_BONES.push([WRIST, first]);
+  for (let joint = first; joint < last; ++joint) {
+    HAND_BONES.push([joint, joint + 1]);
+  }
+}
+
+// Distances, in meters, between the surfaces of the thumb and index finger
+// tips at which a pinch starts and ends. The gap prevents flickering.
+const PINCH_START_DISTANCE = 0.005;
+const PINCH_END_DISTANCE = 0.02;
+
+// How far behind the index finger tip the poke test starts, so that contact is
+// still detected once the finger has pushed slightly into a node, and the
+// extra distance the finger must pull back to end the contact.
+const POKE_DEPTH = 0.02;
+const POKE_RELEASE_MARGIN = 0.005;
+
+let tmpPokeMatrix = mat4.create();
+
+class TrackedHand {
+  constructor(inputSource) {
+    this.inputSource = inputSource;
+    this.jointSpaces = Array.from(inputSource.hand.values());
+    // World space joint matrices, 16 floats each, and joint radii.
+    this.jointMatrices = new Float32Array(HAND_JOINT_COUNT * 16);
+    this.jointRadii = new Float32Array(HAND_JOINT_COUNT);
+    this.tracked = false;
+
+    this.pinching = false;
+    this.pokeResult = null;
+  }
+
+  getJointMatrix(joint) {
+    return this.jointMatrices.subarray(joint * 16, joint * 16 + 16);
+  }
+
+  update(frame, refSpace) {
+    if (frame.fillPoses && frame.fillJointRadii) {
+      this.tracked = frame.fillPoses(this.jointSpaces, refSpace, this.jointMatrices) &&
+                     frame.fillJointRadii(this.jointSpaces, this.jointRadii);
+      return;
+    }
+
+    this.tracked = true;
+    for (let i = 0; i < HAND_JOINT_COUNT; ++i) {
+      let pose = frame.getJointPose(this.jointSpaces[i], refSpace);
+      if (!pose) {
+        this.tracked = false;
+        return;
+      }
+      this.jointMatrices.set(pose.transform.matrix, i * 16);
+      this.jointRadii[i] = pose.radius;
+    }
+  }
+
+  // Distance between the surfaces of the two joints.
+  getJointGap(a, b) {
+    let m = this.jointMatrices;
+    let dx = m[a*16+12] - m[b*16+12];
+    let dy = m[a*16+13] - m[b*16+13];
+    let dz = m[a*16+14] - m[b*16+14];
+    return Math.sqrt(dx*dx + dy*dy + dz*dz) - this.jointRadii[a] - this.jointRadii[b];
+  }
+}
+
+export class HandTracker {
+  constructor(scene) {
+    this._scene = scene;
+    this._hands = new Map();
+    this._nativeSelectSources = new WeakSet();
+    this._emulatingSelect = false;
+
+    this.pinchEnabled = true;
+    this.pokeEnabled = true;
+  }
+
+  // Returns the world space joint matrices of the input source's hand as a
+  // Float32Array of HAND_JOINT_COUNT mat4s, or null if it isn't tracked.
+  getJointMatrices(inputSource) {
+    let hand = this._hands.get(inputSource);
+    return hand && hand.tracked ? hand.jointMatrices : null;
+  }
+
+  getJointRadii(inputSource) {
+    let hand = this._hands.get(inputSource);
+    return hand && hand.tracked ? hand.jointRadii : null;
+  }
+
+  isPinching(inputSource) {
+    let hand = this._hands.get(inputSource);
+    return hand ? hand.pinching : false;
+  }
+
+  // Called by the Scene for every 'selectstart' so that hands the browser
+  // already fires select events for can be told apart.
+  _onSelectStart(inputSource) {
+    if (!inputSource.hand || this._emulatingSelect ||
+        this._nativeSelectSources.has(inputSource)) {
+      return;
+    }
+    this._nativeSelectSources.add(inputSource);
+
+    // Let the browser's events take over from any pinch in progress.
+    let hand = this._hands.get(inputSource);
+    if (hand) {
+      hand.pinching = false;
+    }
+  }
+
+  // Updates the joints of a hand input source and handles its gestures.
+  // Returns false if the hand isn't currently tracked.
+  _updateInputSource(inputSource, frame, refSpace) {
+    let hand = this._hands.get(inputSource);
+    if (!hand) {
+      hand = new TrackedHand(inputSource);
+      this._hands.set(inputSource, hand);
+    }
+
+    hand.update(frame, refSpace);
+    if (!hand.tracked) {
+      this._endGestures(hand, frame, refSpace);
+      return false;
+    }
+
+    if (this.pinchEnabled && !this._nativeSelectSources.has(inputSource)) {
+      this._updatePinch(hand, frame, refSpace);
+    }
+    if (this.pokeEnabled) {
+      this._updatePoke(hand, frame);
+    }
+    return true;
+  }
+
+  // Forgets hands that are no longer input sources.
+  _update(frame, refSpace) {
+    let inputSources = frame.session.inputSources;
+    for (let [inputSource, hand] of this._hands) {
+      if (Array.prototype.indexOf.call(inputSources, inputSource) == -1) {
+        this._endGestures(hand, frame, refSpace);
+        this._hands.delete(inputSource);
+      }
+    }
+  }
+
+  _endGestures(hand, frame, refSpace) {
+    if (hand.pinching) {
+      hand.pinching = false;
+      this._emulateSelect(false, hand.inputSource, frame, refSpace);
+    }
+    if (hand.pokeResult) {
+      this._endPoke(hand, frame, false);
+    }
+  }
+
+  _updatePinch(hand, frame, refSpace) {
+    let gap = hand.getJointGap(THUMB_TIP, INDEX_FINGER_TIP);
+    if (!hand.pinching && gap < PINCH_START_DISTANCE) {
+      hand.pinching = true;
+      this._emulateSelect(true, hand.inputSource, frame, refSpace);
+    } else if (hand.pinching && gap > PINCH_END_DISTANCE) {
+      hand.pinching = false;
+      this._emulateSelect(false, hand.inputSource, frame, refSpace);
+    }
+  }
+
+  _emulateSelect(start, inputSource, frame, refSpace) {
+    this._emulatingSelect = true;
+    if (start) {
+      this._scene.handleSelectStart(inputSource, frame, refSpace);
+    } else {
+      this._scene.handleSelect(inputSource, frame, refSpace);
+      this._scene.handleSelectEnd(inputSource, frame, refSpace);
+    }
+    this._emulatingSelect = false;
+  }
+
+  _updatePoke(hand, frame) {
+    // Cast a short ray along the finger, starting a little behind its tip.
+    // Joint poses point -Z along the finger.
+    mat4.translate(tmpPokeMatrix, hand.getJointMatrix(INDEX_FINGER_TIP), [0, 0, POKE_DEPTH]);
+    let hitResult = this._scene.hitTest({matrix: tmpPokeMatrix});
+
+    let reach = POKE_DEPTH + hand.jointRadii[INDEX_FINGER_TIP];
+    if (hand.pokeResult) {
+      if (hitResult && hitResult.node == hand.pokeResult.node &&
+          hitResult.distance < reach + POKE_RELEASE_MARGIN) {
+        hand.pokeResult = hitResult;
+        return;
+      }
+      this._endPoke(hand, frame, true);
+    }
+
+    if (hitResult && hitResult.distance < reach) {
+      hand.pokeResult = hitResult;
+      hitResult.node.dispatchEvent(
+          this._scene._createInputEvent('selectstart', hand.inputSource, frame, hitResult));
+    }
+  }
+
+  // Ends contact with the poked node. It's selected if the finger pulled away
+  // from it, rather than contact being lost.
+  _endPoke(hand, frame, select) {
+    let hitResult = hand.pokeResult;
+    hand.pokeResult = null;
+
+    let node = hitResult.node;
+    if (select) {
+      let event = this._scene._createInputEvent('select', hand.inputSource, frame, hitResult);
+      node.handleSelect(event);
+      node.dispatchEvent(event);
+    }
+    node.dispatchEvent(
+        this._scene._createInputEvent('selectend', hand.inputSource, frame, hitResult));
+  }
+}
@@ -0,0 +1,146 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Plays named vibration patterns on the controller belonging to an input source.
+The Scene plays 'hover', 'select', 'grab' and 'release' as the user interacts
+with nodes, and apps can define and play their own, such as 'collision'.
+
+Uses the gamepad's hapticActuators, or its vibrationActuator where that's all
+the browser has. Input sources without either, such as hands, are silently
+ignored, as are any errors from the actuators themselves.
+*/
+
+// Each pattern is a list of pulses, with intensities from 0 to 1 and
+// durations in milliseconds. Zero intensity pulses are pauses.
+const DEFAULT_PATTERNS = {
+  hover: [{intensity: 0.1, duration: 10}],
+  select: [{intensity: 0.5, duration: 30}],
+  grab: [{intensity: 0.6, duration: 40}],
+  release: [{intensity: 0.3, duration: 20}],
+  collision: [
+    {intensity: 0.8, duration: 40},
+    {intensity: 0, duration: 30},
+    {intensity: 0.4, duration: 30},
+  ],
+};
+
+function getActuator(inputSource) {
+  let gamepad = inputSource ? inputSource.gamepad : null;
+  if (!gamepad) {
+    return null;
+  }
+  if (gamepad.hapticActuators && gamepad.hapticActuators.length) {
+    return gamepad.hapticActuators[0];
+  }
+  return gamepad.vibrationActuator || null;
+}
+
+function playPulse(actuator, intensity, duration) {
+  try {
+    let promise = null;
+    if (actuator.pulse) {
+      promise = actuator.pulse(intensity, duration);
+    } else if (actuator.playEffect) {
+      promise = actuator.playEffect('dual-rumble', {
+        duration: duration,
+        strongMagnitude: intensity,
+        weakMagnitude: intensity,
+      });
+    }
+    if (promise && promise.catch) {
+      promise.catch(() => {});
+    }
+  } catch (err) {
+    // Not every device that reports an actuator can actually use it.
+  }
+}
+
+export class Haptics {
+  constructor() {
+    this.enabled = true;
+    // Scales the intensity of every pulse.
+    this.intensity = 1.0;
+
+    this._patterns = new Map();
+    for (let name in DEFAULT_PATTERNS) {
+      this._patterns.set(name, DEFAULT_PATTERNS[name]);
+    }
+    // Pending timers for the pattern each input source is playing.
+    this._playing = new Map();
+  }
+
+  // Defines or replaces a pattern, as a list of {intensity, duration} pulses.
+  definePattern(name, pulses) {
+    this._patterns.set(name, pulses);
+  }
+
+  // Returns true if the input source has something to vibrate.
+  hasActuator(inputSource) {
+    return !!getActuator(inputSource);
+  }
+
+  // Plays the named pattern on the input source's controller, interrupting
+  // anything it was already playing.
+  play(name, inputSource) {
+    let pulses = this._patterns.get(name);
+    if (!pulses) {
+      throw new Error(`Unknown haptic pattern '${name}'`);
+    }
+
+    let actuator = this.enabled ? getActuator(inputSource) : null;
+    if (!actuator) {
+      return;
+    }
+
+    this.stop(inputSource);
+
+    let timers = [];
+    let delay = 0;
+    for (let pulse of pulses) {
+      let intensity = Math.min(pulse.intensity * this.intensity, 1);
+      if (intensity > 0) {
+        if (delay == 0) {
+          playPulse(actuator, intensity, pulse.duration);
+        } else {
+          timers.push(setTimeout(() => {
+            playPulse(actuator, intensity, pulse.duration);
+          }, delay));
+        }
+      }
+      delay += pulse.duration;
+    }
+    if (timers.length) {
+      this._playing.set(inputSource, timers);
+    }
+  }
+
+  // Stops any pattern playing on the input source. Pulses already sent to the
+  // controller run to completion.
+  stop(inputSource) {
+    let timers = this._playing.get(inputSource);
+    if (timers) {
+      for (let timer of timers) {
+        clearTimeout(timer);
+      }
+      this._playing.delete(inputSource);
+    }
+  }
+}
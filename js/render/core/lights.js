@@ -0,0 +1,152 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Punctual (point, spot and directional) lights placed in the scene graph with
+LightNode. Each frame the renderer gathers the active lights and forwards up to
+MAX_LIGHTS of them to materials as uniform arrays. These are in addition to the
+renderer's global light.
+*/
+
+import {registerShaderChunk} from './shader-chunks.js';
+import {vec3} from '../math/gl-matrix.js';
+
+export const MAX_LIGHTS = 8;
+
+export const LIGHT_TYPE = {
+  DIRECTIONAL: 0,
+  POINT: 1,
+  SPOT: 2,
+};
+
+// GLSL chunk for materials that support punctual lights, pulled in with
+// #include <lights>. punctualLight() returns the attenuated radiance reaching
+// |position| from light |i| and writes the direction towards the light to |l|.
+export const LIGHTS_FRAGMENT_SOURCE = `
+#define MAX_LIGHTS ${MAX_LIGHTS}
+#define LIGHT_TYPE_DIRECTIONAL ${LIGHT_TYPE.DIRECTIONAL}
+#define LIGHT_TYPE_POINT ${LIGHT_TYPE.POINT}
+#define LIGHT_TYPE_SPOT ${LIGHT_TYPE.SPOT}
+
+uniform int LIGHT_COUNT;
+// xyz: World position, w: Light type
+uniform vec4 LIGHT_POSITIONS[MAX_LIGHTS];
+// xyz: World direction the light points in, w: Range (0 for unlimited)
+uniform vec4 LIGHT_DIRECTIONS[MAX_LIGHTS];
+// rgb: Color multiplied by intensity
+uniform vec3 LIGHT_COLORS[MAX_LIGHTS];
+// Spot cone attenuation scale and offset
+uniform vec2 LIGHT_CONES[MAX_LIGHTS];
+
+// Attenuation recommended by the glTF KHR_lights_punctual extension.
+vec3 punctualLight(int i, vec3 position, out vec3 l) {
+  vec4 lightPosition = LIGHT_POSITIONS[i];
+  vec4 lightDirection = LIGHT_DIRECTIONS[i];
+  int type = int(lightPosition.w);
+
+  if (type == LIGHT_TYPE_DIRECTIONAL) {
+    l = -lightDirection.xyz;
+    return LIGHT_COLORS[i];
+  }
+
+  vec3 toLight = lightPosition.xyz - position;
+  float distanceSqr = max(dot(toLight, toLight), 0.0001);
+  l = toLight * inversesqrt(distanceSqr);
+
+  float attenuation = 1.0 / distanceSqr;
+  float range = lightDirection.w;
+  if (range > 0.0) {
+    float ratio = sqrt(distanceSqr) / range;
+    attenuation *= clamp(1.0 - ratio * ratio * ratio * ratio, 0.0, 1.0);
+  }
+
+  if (type == LIGHT_TYPE_SPOT) {
+    float cd = dot(lightDirection.xyz, -l);
+    float cone = clamp(cd * LIGHT_CONES[i].x + LIGHT_CONES[i].y, 0.0, 1.0);
+    attenuation *= cone * cone;
+  }
+
+  return LIGHT_COLORS[i] * attenuation;
+}
+`;
+
+registerShaderChunk('lights', LIGHTS_FRAGMENT_SOURCE);
+
+let tmpPosition = vec3.create();
+
+// Packed uniform values for the lights active in a frame.
+export class LightUniforms {
+  constructor() {
+    this.count = 0;
+    this.positions = new Float32Array(MAX_LIGHTS * 4);
+    this.directions = new Float32Array(MAX_LIGHTS * 4);
+    this.colors = new Float32Array(MAX_LIGHTS * 3);
+    this.cones = new Float32Array(MAX_LIGHTS * 2);
+  }
+
+  // If there are more lights than can be forwarded to the shaders the
+  // directional lights are kept first, then those closest to |origin|.
+  update(lights, origin) {
+    if (lights.length > MAX_LIGHTS) {
+      lights.sort((a, b) => {
+        let aDirectional = a.type == LIGHT_TYPE.DIRECTIONAL;
+        let bDirectional = b.type == LIGHT_TYPE.DIRECTIONAL;
+        if (aDirectional != bDirectional) {
+          return aDirectional ? -1 : 1;
+        }
+        return lightDistance(a, origin) - lightDistance(b, origin);
+      });
+    }
+
+    this.count = Math.min(lights.length, MAX_LIGHTS);
+    for (let i = 0; i < this.count; ++i) {
+      let light = lights[i];
+      let m = light.worldMatrix;
+
+      this.positions[i * 4] = m[12];
+      this.positions[i * 4 + 1] = m[13];
+      this.positions[i * 4 + 2] = m[14];
+      this.positions[i * 4 + 3] = light.type;
+
+      // Lights point down their local -Z axis.
+      let dir = vec3.set(tmpPosition, -m[8], -m[9], -m[10]);
+      vec3.normalize(dir, dir);
+      this.directions[i * 4] = dir[0];
+      this.directions[i * 4 + 1] = dir[1];
+      this.directions[i * 4 + 2] = dir[2];
+      this.directions[i * 4 + 3] = light.range;
+
+      this.colors[i * 3] = light.color[0] * light.intensity;
+      this.colors[i * 3 + 1] = light.color[1] * light.intensity;
+      this.colors[i * 3 + 2] = light.color[2] * light.intensity;
+
+      let cosOuter = Math.cos(light.outerConeAngle);
+      let scale = 1.0 / Math.max(0.001, Math.cos(light.innerConeAngle) - cosOuter);
+      this.cones[i * 2] = scale;
+      this.cones[i * 2 + 1] = -cosOuter * scale;
+    }
+  }
+}
+
+function lightDistance(light, origin) {
+  let m = light.worldMatrix;
+  vec3.set(tmpPosition, m[12], m[13], m[14]);
+  return vec3.squaredDistance(tmpPosition, origin);
+}
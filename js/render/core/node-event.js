@@ -0,0 +1,59 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Events dispatched to scene nodes by input sources, such as 'select',
+'hoverenter' or 'grabstart'. Like DOM events they're delivered to the target node first and
+then bubble up through its ancestors until stopPropagation() is called.
+*/
+
+export class NodeEvent {
+  constructor(type, options = {}) {
+    this.type = type;
+    // The input source that caused the event, and its handedness.
+    this.inputSource = options.inputSource || null;
+    this.handedness = this.inputSource ? this.inputSource.handedness : 'none';
+    // The XRFrame the event happened in, if any.
+    this.frame = options.frame || null;
+    // World space point where the input source's target ray hit the target,
+    // and its distance from the ray origin.
+    this.intersection = options.intersection || null;
+    this.distance = options.distance !== undefined ? options.distance : Infinity;
+    // The full result of the hit test, from Node.hitTest().
+    this.hitResult = options.hitResult || null;
+
+    // The node the event was dispatched to, and the node whose listeners are
+    // currently being called.
+    this.target = null;
+    this.currentTarget = null;
+
+    this._propagationStopped = false;
+  }
+
+  get propagationStopped() {
+    return this._propagationStopped;
+  }
+
+  // Prevents the event from bubbling to any further ancestors. Listeners on
+  // the current node are still called.
+  stopPropagation() {
+    this._propagationStopped = true;
+  }
+}
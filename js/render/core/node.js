@@ -18,14 +18,16 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 // SOFTWARE.
 
-import {Ray} from '../math/ray.js';
-import {mat4, vec3, quat} from '../math/gl-matrix.js';
+import {Ray, RAY_INTERSECTION_OFFSET} from '../math/ray.js';
+import {mat3, mat4, vec2, vec3, quat} from '../math/gl-matrix.js';
 
 const DEFAULT_TRANSLATION = new Float32Array([0, 0, 0]);
 const DEFAULT_ROTATION = new Float32Array([0, 0, 0, 1]);
 const DEFAULT_SCALE = new Float32Array([1, 1, 1]);
 
 let tmpRayMatrix = mat4.create();
+let tmpNormalMatrix = mat3.create();
+let tmpHitPoint = vec3.create();
 
 export class Node {
   constructor() {
@@ -34,6 +36,26 @@ export class Node {
     this.parent = null;
     this.visible = true;
     this.selectable = false;
+    // If true, hit tests against this node, when selectable, test the
+    // triangles of it and its children rather than just their bounds. Hit
+    // results then also describe the triangle that was hit. Only works for
+    // geometry whose buffers were created with keepData, such as glTF meshes
+    // or PrimitiveStreams with the keepData option. Other primitives fall back
+    // to their bounds.
+    this.triangleHitTest = false;
+    // If true the node can be picked up and moved around by the Scene's
+    // GrabManager.
+    this.grabbable = false;
+    // Set to false for nodes that should be drawn even when their bounds are
+    // outside of the view, such as skyboxes.
+    this.frustumCulled = true;
+    // Only set for skinned meshes.
+    this.skin = null;
+    // Morph target weights, only set for meshes with morph targets.
+    this.weights = null;
+    // Shadow flags. When null the value is inherited from the parent node.
+    this.castShadow = null;
+    this.receiveShadow = null;
 
     this._matrix = null;
 
@@ -46,11 +68,15 @@ export class Node {
     this._worldMatrix = null;
 
     this._activeFrameId = -1;
+    this._castShadow = false;
+    this._receiveShadow = false;
     this._hoverFrameId = -1;
     this._renderPrimitives = null;
     this._renderer = null;
+    this._sceneBVH = null;
 
     this._selectHandler = null;
+    this._eventListeners = null;
   }
 
   _setRenderer(renderer) {
@@ -67,10 +93,10 @@ export class Node {
     this._renderer = renderer;
     if (renderer) {
       this.onRendererChanged(renderer);
+    }
 
-      for (let child of this.children) {
-        child._setRenderer(renderer);
-      }
+    for (let child of this.children) {
+      child._setRenderer(renderer);
     }
   }
 
@@ -80,11 +106,39 @@ export class Node {
 
   // Create a clone of this node and all of it's children. Does not duplicate
   // RenderPrimitives, the cloned nodes will be treated as new instances of the
-  // geometry.
+  // geometry. Skins are duplicated once the whole subtree has been cloned, so
+  // that cloned skinned meshes follow the cloned joints. Joints outside of the
+  // cloned subtree are still shared with the original.
   clone() {
+    let nodeMap = new Map();
+    let [cloneNode, cloneComplete] = this._clone(nodeMap);
+    cloneComplete.then(() => {
+      for (let [node, clonedNode] of nodeMap) {
+        if (node.skin) {
+          clonedNode.skin = node.skin.clone(nodeMap);
+        }
+      }
+    });
+    return cloneNode;
+  }
+
+  // Returns the cloned node and a promise that resolves once all of its
+  // descendants have been cloned as well. |nodeMap| collects the clone of
+  // every node in the subtree.
+  _clone(nodeMap) {
     let cloneNode = new Node();
+    nodeMap.set(this, cloneNode);
     cloneNode.name = this.name;
     cloneNode.visible = this.visible;
+    cloneNode.triangleHitTest = this.triangleHitTest;
+    cloneNode.grabbable = this.grabbable;
+    cloneNode.frustumCulled = this.frustumCulled;
+    cloneNode.castShadow = this.castShadow;
+    cloneNode.receiveShadow = this.receiveShadow;
+    cloneNode.skin = this.skin;
+    if (this.weights) {
+      cloneNode.weights = new Float32Array(this.weights);
+    }
     cloneNode._renderer = this._renderer;
 
     cloneNode._dirtyTRS = this._dirtyTRS;
@@ -116,22 +170,30 @@ export class Node {
       mat4.copy(cloneNode._worldMatrix, this._worldMatrix);
     }
 
-    this.waitForComplete().then(() => {
+    let cloneComplete = this.waitForComplete().then(() => {
       if (this._renderPrimitives) {
         for (let primitive of this._renderPrimitives) {
           cloneNode.addRenderPrimitive(primitive);
         }
       }
 
+      let childPromises = [];
       for (let child of this.children) {
-        cloneNode.addNode(child.clone());
+        let [childClone, childComplete] = child._clone(nodeMap);
+        cloneNode.addNode(childClone);
+        childPromises.push(childComplete);
       }
+      return Promise.all(childPromises);
     });
 
-    return cloneNode;
+    return [cloneNode, cloneComplete];
   }
 
-  markActive(frameId) {
+  markActive(frameId, castShadow = false, receiveShadow = false) {
+    // Resolve the inherited shadow flags for this frame.
+    this._castShadow = this.castShadow != null ? this.castShadow : castShadow;
+    this._receiveShadow = this.receiveShadow != null ? this.receiveShadow : receiveShadow;
+
     if (this.visible && this._renderPrimitives) {
       this._activeFrameId = frameId;
       for (let primitive of this._renderPrimitives) {
@@ -141,7 +203,7 @@ export class Node {
 
     for (let child of this.children) {
       if (child.visible) {
-        child.markActive(frameId);
+        child.markActive(frameId, this._castShadow, this._receiveShadow);
       }
     }
   }
@@ -155,12 +217,14 @@ export class Node {
       value.parent.removeNode(value);
     }
     value.parent = this;
+    value.setMatrixDirty();
 
     this.children.push(value);
 
     if (this._renderer) {
       value._setRenderer(this._renderer);
     }
+    value._setSceneBVH(this._sceneBVH);
   }
 
   removeNode(value) {
@@ -168,19 +232,44 @@ export class Node {
     if (i > -1) {
       this.children.splice(i, 1);
       value.parent = null;
+      value._setSceneBVH(null);
     }
   }
 
   clearNodes() {
     for (let child of this.children) {
       child.parent = null;
+      child._setSceneBVH(null);
     }
     this.children = [];
   }
 
+  // Adds the nodes in this subtree that have render primitives to the given
+  // SceneBVH, removing them from any previous one.
+  _setSceneBVH(bvh) {
+    if (this._sceneBVH == bvh) {
+      return;
+    }
+
+    if (this._sceneBVH) {
+      this._sceneBVH._remove(this);
+    }
+    this._sceneBVH = bvh;
+    if (bvh && this._renderPrimitives) {
+      bvh._insert(this);
+    }
+
+    for (let child of this.children) {
+      child._setSceneBVH(bvh);
+    }
+  }
+
   setMatrixDirty() {
     if (!this._dirtyWorldMatrix) {
       this._dirtyWorldMatrix = true;
+      if (this._sceneBVH && this._renderPrimitives) {
+        this._sceneBVH._markDirty(this);
+      }
       for (let child of this.children) {
         child.setMatrixDirty();
       }
@@ -322,6 +411,11 @@ export class Node {
       this._renderPrimitives.push(primitive);
     }
     primitive._instances.push(this);
+
+    if (this._sceneBVH) {
+      this._sceneBVH._insert(this);
+      this._sceneBVH._markDirty(this);
+    }
   }
 
   removeRenderPrimitive(primitive) {
@@ -329,9 +423,9 @@ export class Node {
       return;
     }
 
-    let index = this._renderPrimitives._instances.indexOf(primitive);
+    let index = this._renderPrimitives.indexOf(primitive);
     if (index > -1) {
-      this._renderPrimitives._instances.splice(index, 1);
+      this._renderPrimitives.splice(index, 1);
 
       index = primitive._instances.indexOf(this);
       if (index > -1) {
@@ -340,6 +434,11 @@ export class Node {
 
       if (!this._renderPrimitives.length) {
         this._renderPrimitives = null;
+        if (this._sceneBVH) {
+          this._sceneBVH._remove(this);
+        }
+      } else if (this._sceneBVH) {
+        this._sceneBVH._markDirty(this);
       }
     }
   }
@@ -353,7 +452,43 @@ export class Node {
         }
       }
       this._renderPrimitives = null;
+      if (this._sceneBVH) {
+        this._sceneBVH._remove(this);
+      }
+    }
+  }
+
+  // Removes the node from its parent and frees the GPU resources used by it
+  // and its children. Render primitives are only disposed of once no other
+  // node is using them, so clones of the node are unaffected. The node
+  // shouldn't be used afterwards.
+  dispose() {
+    if (this.parent) {
+      this.parent.removeNode(this);
+    }
+    this._setSceneBVH(null);
+
+    for (let child of this.children) {
+      child.parent = null;
+      child.dispose();
+    }
+    this.children = [];
+
+    if (this._renderPrimitives) {
+      for (let primitive of this._renderPrimitives) {
+        let index = primitive._instances.indexOf(this);
+        if (index > -1) {
+          primitive._instances.splice(index, 1);
+        }
+        if (!primitive._instances.length) {
+          primitive.dispose();
+        }
+      }
+      this._renderPrimitives = null;
     }
+
+    this._renderer = null;
+    this._eventListeners = null;
   }
 
   _hitTestSelectableNode(rigidTransform) {
@@ -383,17 +518,140 @@ export class Node {
     return null;
   }
 
+  // Finds the triangle nearest to the ray's origin in this node and its
+  // children, updating |result| if it's nearer than the hit already in it.
+  // Primitives whose geometry can't be read fall back to their bounds.
+  _hitTestTriangles(rigidTransform, origin, result) {
+    if (this._renderPrimitives) {
+      let localRay = null;
+      for (let primitive of this._renderPrimitives) {
+        if (!localRay) {
+          mat4.invert(tmpRayMatrix, this.worldMatrix);
+          mat4.multiply(tmpRayMatrix, tmpRayMatrix, rigidTransform.matrix);
+          localRay = new Ray(tmpRayMatrix);
+        }
+
+        let boundsIntersection = primitive._min ?
+            localRay.intersectsAABB(primitive._min, primitive._max) : null;
+        if (primitive._min && !boundsIntersection) {
+          continue;
+        }
+
+        let mesh = primitive._getHitTestMesh();
+        if (!mesh) {
+          if (boundsIntersection) {
+            vec3.transformMat4(boundsIntersection, boundsIntersection, this.worldMatrix);
+            let distance = vec3.distance(origin, boundsIntersection);
+            if (distance < result.distance) {
+              Object.assign(result, {
+                intersection: boundsIntersection,
+                distance: distance,
+                primitive: primitive,
+                triangle: -1,
+                barycentric: null,
+                uv: null,
+                normal: null,
+              });
+            }
+          }
+          continue;
+        }
+
+        let hit = mesh.bvh.raycast(localRay);
+        if (!hit) {
+          continue;
+        }
+
+        vec3.scaleAndAdd(tmpHitPoint, localRay.origin, localRay.direction, hit.t);
+        vec3.transformMat4(tmpHitPoint, tmpHitPoint, this.worldMatrix);
+        let distance = vec3.distance(origin, tmpHitPoint) - RAY_INTERSECTION_OFFSET;
+        if (distance >= result.distance) {
+          continue;
+        }
+
+        let indices = mesh.bvh.indices;
+        let a = indices[hit.triangle * 3];
+        let b = indices[hit.triangle * 3 + 1];
+        let c = indices[hit.triangle * 3 + 2];
+        let w = 1 - hit.u - hit.v;
+
+        let uv = null;
+        if (mesh.uvs) {
+          let uvs = mesh.uvs;
+          uv = vec2.fromValues(
+              uvs[a * 2] * w + uvs[b * 2] * hit.u + uvs[c * 2] * hit.v,
+              uvs[a * 2 + 1] * w + uvs[b * 2 + 1] * hit.u + uvs[c * 2 + 1] * hit.v);
+        }
+
+        // Interpolated from the vertex normals if there are any, otherwise
+        // the face normal.
+        let normal = vec3.create();
+        if (mesh.normals) {
+          let n = mesh.normals;
+          for (let i = 0; i < 3; ++i) {
+            normal[i] = n[a * 3 + i] * w + n[b * 3 + i] * hit.u + n[c * 3 + i] * hit.v;
+          }
+        } else {
+          let p = mesh.bvh.positions;
+          let e1 = vec3.fromValues(p[b * 3] - p[a * 3], p[b * 3 + 1] - p[a * 3 + 1], p[b * 3 + 2] - p[a * 3 + 2]);
+          let e2 = vec3.fromValues(p[c * 3] - p[a * 3], p[c * 3 + 1] - p[a * 3 + 1], p[c * 3 + 2] - p[a * 3 + 2]);
+          vec3.cross(normal, e1, e2);
+        }
+        mat3.normalFromMat4(tmpNormalMatrix, this.worldMatrix);
+        vec3.transformMat3(normal, normal, tmpNormalMatrix);
+        vec3.normalize(normal, normal);
+
+        // Like bounds intersections, the point is pulled back towards the ray
+        // origin a little.
+        let intersection = vec3.create();
+        vec3.sub(intersection, origin, tmpHitPoint);
+        vec3.normalize(intersection, intersection);
+        vec3.scaleAndAdd(intersection, tmpHitPoint, intersection, RAY_INTERSECTION_OFFSET);
+
+        Object.assign(result, {
+          intersection: intersection,
+          distance: distance,
+          primitive: primitive,
+          triangle: hit.triangle,
+          barycentric: vec3.fromValues(w, hit.u, hit.v),
+          uv: uv,
+          normal: normal,
+        });
+      }
+    }
+
+    for (let child of this.children) {
+      child._hitTestTriangles(rigidTransform, origin, result);
+    }
+    return result;
+  }
+
+  // Returns the nearest hit of the ray against the selectable nodes in this
+  // subtree as {node, intersection, distance}. For nodes with triangleHitTest
+  // set the result also has the render |primitive| that was hit, the index of
+  // the |triangle| within it and the hit point's |barycentric| coordinates,
+  // texture coordinate (|uv|, if the primitive has them) and world space
+  // |normal|.
   hitTest(rigidTransform) {
+    if (this.selectable && this.visible && this.triangleHitTest) {
+      let ray = new Ray(rigidTransform.matrix);
+      let result = this._hitTestTriangles(rigidTransform, ray.origin, {distance: Infinity});
+      if (!result.intersection) {
+        return null;
+      }
+      result.node = this;
+      return result;
+    }
+
     if (this.selectable && this.visible) {
       let intersection = this._hitTestSelectableNode(rigidTransform);
 
       if (intersection) {
         let ray = new Ray(rigidTransform.matrix);
-        let origin = vec3.fromValues(ray.origin.x, ray.origin.y, ray.origin.z);
         return {
           node: this,
           intersection: intersection,
-          distance: vec3.distance(origin, intersection),
+          distance: vec3.distance(ray.origin, intersection),
         };
       }
       return null;
@@ -419,11 +677,63 @@ export class Node {
     return this._selectHandler;
   }
 
-  // Called when a selectable node is selected.
-  handleSelect() {
+  // Called when a selectable node is selected, with the NodeEvent that will be
+  // dispatched for it.
+  handleSelect(event) {
     if (this._selectHandler) {
-      this._selectHandler();
+      this._selectHandler(event);
+    }
+  }
+
+  // Listens for NodeEvents of the given type ('selectstart', 'selectend',
+  // 'select', 'squeezestart', 'squeezeend', 'squeeze', 'hoverenter',
+  // 'hoverleave', 'pointermove', 'grabstart' or 'grabend') targeting this node
+  // or any of its descendants.
+  addEventListener(type, listener) {
+    if (!this._eventListeners) {
+      this._eventListeners = new Map();
+    }
+    let listeners = this._eventListeners.get(type);
+    if (!listeners) {
+      listeners = [];
+      this._eventListeners.set(type, listeners);
+    }
+    if (listeners.indexOf(listener) == -1) {
+      listeners.push(listener);
+    }
+  }
+
+  removeEventListener(type, listener) {
+    if (!this._eventListeners) {
+      return;
+    }
+    let listeners = this._eventListeners.get(type);
+    if (listeners) {
+      let index = listeners.indexOf(listener);
+      if (index > -1) {
+        listeners.splice(index, 1);
+      }
+    }
+  }
+
+  // Delivers the event to this node's listeners and then to each ancestor's in
+  // turn, until one of them calls event.stopPropagation().
+  dispatchEvent(event) {
+    event.target = this;
+    for (let node = this; node; node = node.parent) {
+      let listeners = node._eventListeners ? node._eventListeners.get(event.type) : null;
+      if (listeners) {
+        event.currentTarget = node;
+        // Copied so listeners can remove themselves.
+        for (let listener of listeners.slice()) {
+          listener.call(node, event);
+        }
+      }
+      if (event.propagationStopped) {
+        break;
+      }
     }
+    event.currentTarget = null;
   }
 
   // Called when a selectable element is pointed at.
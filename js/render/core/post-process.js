@@ -0,0 +1,454 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+An optional chain of fullscreen passes applied to the scene after it's drawn.
+When a Scene has an active PostProcessChain, drawXRFrame() renders into an
+intermediate target laid out like the XR layer (a 2D texture holding every
+view's viewport, or a two layer texture array for multiview renderers) and
+each pass then draws a fullscreen triangle per view reading the output of the
+previous one. The last pass resolves into the layer's framebuffer.
+
+Passes provide a fragmentSource defining `vec4 pass_main(vec2 uv)`, where uv
+is 0-1 across the current view. They read their input with sampleSource(uv),
+which is clamped to the view so that filters don't bleed into the other eye.
+*/
+
+import {Program} from './program.js';
+import {resolveShaderIncludes} from './shader-chunks.js';
+
+// Covers the viewport with a single triangle, like StereoUtil.blit does with
+// its quads, but without needing a per-eye layout.
+const PASS_VERTEX_SOURCE = `
+out vec2 vUv;
+
+#ifdef MULTIVIEW
+flat out uint vViewId;
+#endif
+
+void main() {
+  vec2 pos = vec2(float((gl_VertexID & 1) << 2) - 1.0, float((gl_VertexID & 2) << 1) - 1.0);
+  vUv = pos * 0.5 + 0.5;
+  gl_Position = vec4(pos, 0.0, 1.0);
+#ifdef MULTIVIEW
+  vViewId = gl_ViewID_OVR;
+#endif
+}
+`;
+
+const PASS_FRAGMENT_HEADER = `precision highp float;
+
+#ifdef MULTIVIEW
+uniform highp sampler2DArray SOURCE_TEXTURE;
+flat in uint vViewId;
+#else
+uniform sampler2D SOURCE_TEXTURE;
+#endif
+
+// xy: Offset, zw: Scale of the current view within the source texture.
+uniform vec4 VIEW_RECT;
+// Size of a source texel in view uv units.
+uniform vec2 TEXEL_SIZE;
+
+in vec2 vUv;
+out vec4 fragColor;
+
+vec4 sampleSource(vec2 uv) {
+  uv = clamp(uv, TEXEL_SIZE * 0.5, 1.0 - TEXEL_SIZE * 0.5);
+#ifdef MULTIVIEW
+  return texture(SOURCE_TEXTURE, vec3(uv, float(vViewId)));
+#else
+  return texture(SOURCE_TEXTURE, VIEW_RECT.xy + uv * VIEW_RECT.zw);
+#endif
+}
+`;
+
+const PASS_FRAGMENT_ENTRY = `
+void main() {
+  fragColor = pass_main(vUv);
+}
+`;
+
+const PASS_FRAGMENT_LINE_OFFSET = PASS_FRAGMENT_HEADER.split('\n').length - 1;
+
+class PostProcessUniform {
+  constructor(uniformName, defaultValue, length) {
+    this._uniformName = uniformName;
+    this._value = defaultValue;
+    this._length = length;
+    if (!this._length) {
+      if (defaultValue instanceof Array) {
+        this._length = defaultValue.length;
+      } else {
+        this._length = 1;
+      }
+    }
+  }
+
+  get value() {
+    return this._value;
+  }
+
+  set value(value) {
+    this._value = value;
+  }
+}
+
+export class PostProcessPass {
+  constructor() {
+    this.enabled = true;
+    this._uniforms = [];
+  }
+
+  defineUniform(uniformName, defaultValue=null, length=0) {
+    let uniform = new PostProcessUniform(uniformName, defaultValue, length);
+    this._uniforms.push(uniform);
+    return uniform;
+  }
+
+  get passName() {
+    return null;
+  }
+
+  get fragmentSource() {
+    return null;
+  }
+
+  getProgramDefines() {
+    return {};
+  }
+}
+
+// Used when every pass in the chain has failed to build, so that the scene
+// still reaches the layer.
+class CopyPass extends PostProcessPass {
+  get passName() {
+    return 'COPY';
+  }
+
+  get fragmentSource() {
+    return `
+    vec4 pass_main(vec2 uv) {
+      return sampleSource(uv);
+    }`;
+  }
+}
+
+export class PostProcessChain {
+  constructor(passes = []) {
+    this.passes = passes.slice();
+
+    this._gl = null;
+    this._programs = {};
+    this._targets = [null, null];
+    this._vao = null;
+    this._outputFramebuffer = null;
+    this._copyPass = new CopyPass();
+  }
+
+  addPass(pass) {
+    this.passes.push(pass);
+    return pass;
+  }
+
+  removePass(pass) {
+    let i = this.passes.indexOf(pass);
+    if (i > -1) {
+      this.passes.splice(i, 1);
+    }
+  }
+
+  // True if any pass is enabled. Inactive chains are skipped entirely, so the
+  // scene draws straight to the layer.
+  get active() {
+    for (let pass of this.passes) {
+      if (pass.enabled) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Forgets all GL resources after a context loss so they're recreated.
+  _reset() {
+    this._gl = null;
+    this._programs = {};
+    this._targets = [null, null];
+    this._vao = null;
+  }
+
+  // Called by Scene.drawXRFrame() with the layer's framebuffer bound. Binds
+  // the intermediate target that the views should be drawn into instead.
+  _begin(renderer, views) {
+    let gl = renderer.gl;
+    if (this._gl != gl) {
+      this._reset();
+      this._gl = gl;
+    }
+
+    this._outputFramebuffer = gl.getParameter(gl.DRAW_FRAMEBUFFER_BINDING);
+
+    // The target matches the layer's layout, so the views' viewports can be
+    // used unchanged.
+    let width = 0;
+    let height = 0;
+    for (let view of views) {
+      let vp = view.viewport;
+      width = Math.max(width, vp.x + vp.width);
+      height = Math.max(height, vp.y + vp.height);
+    }
+
+    let target = this._getTarget(renderer, 0, width, height, true);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+  }
+
+  // Runs the enabled passes, the last of which draws into the framebuffer
+  // that was bound when _begin() was called.
+  _end(renderer, views) {
+    let gl = this._gl;
+    let multiview = renderer.multiview;
+
+    let passes = [];
+    for (let pass of this.passes) {
+      if (pass.enabled) {
+        let program = this._getProgram(renderer, pass);
+        program.use();
+        if (program.program) {
+          passes.push(pass);
+        }
+      }
+    }
+    if (!passes.length) {
+      passes.push(this._copyPass);
+    }
+
+    gl.disable(gl.SCISSOR_TEST);
+
+    let sceneTarget = this._targets[0];
+    if (sceneTarget.resolveFramebuffer) {
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, sceneTarget.framebuffer);
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, sceneTarget.resolveFramebuffer);
+      gl.blitFramebuffer(0, 0, sceneTarget.width, sceneTarget.height,
+                         0, 0, sceneTarget.width, sceneTarget.height,
+                         gl.COLOR_BUFFER_BIT, gl.NEAREST);
+    }
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.STENCIL_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.CULL_FACE);
+    gl.colorMask(true, true, true, true);
+    gl.depthMask(false);
+
+    if (!this._vao) {
+      this._vao = gl.createVertexArray();
+    }
+    gl.bindVertexArray(this._vao);
+    gl.activeTexture(gl.TEXTURE0);
+
+    let source = sceneTarget;
+    for (let i = 0; i < passes.length; ++i) {
+      let pass = passes[i];
+      let last = i == passes.length - 1;
+      let dest = null;
+      if (last) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this._outputFramebuffer);
+      } else {
+        dest = this._getTarget(renderer, source == this._targets[0] ? 1 : 0, source.width, source.height, false);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, dest.framebuffer);
+      }
+
+      let program = this._getProgram(renderer, pass);
+      program.use();
+
+      gl.bindTexture(multiview ? gl.TEXTURE_2D_ARRAY : gl.TEXTURE_2D, source.texture);
+      gl.uniform1i(program.uniform.SOURCE_TEXTURE, 0);
+
+      for (let uniform of pass._uniforms) {
+        let location = program.uniform[uniform._uniformName];
+        if (!location) {
+          continue;
+        }
+        switch (uniform._length) {
+          case 1: gl.uniform1f(location, uniform._value); break;
+          case 2: gl.uniform2fv(location, uniform._value); break;
+          case 3: gl.uniform3fv(location, uniform._value); break;
+          case 4: gl.uniform4fv(location, uniform._value); break;
+        }
+      }
+
+      // Multiview programs cover both views in one draw.
+      let viewCount = multiview ? 1 : views.length;
+      for (let j = 0; j < viewCount; ++j) {
+        let vp = views[j].viewport;
+        gl.viewport(vp.x, vp.y, vp.width, vp.height);
+        gl.uniform4f(program.uniform.VIEW_RECT,
+                     vp.x / source.width, vp.y / source.height,
+                     vp.width / source.width, vp.height / source.height);
+        gl.uniform2f(program.uniform.TEXEL_SIZE, 1.0 / vp.width, 1.0 / vp.height);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+      }
+
+      if (dest) {
+        source = dest;
+      }
+    }
+
+    gl.bindVertexArray(null);
+    gl.bindTexture(multiview ? gl.TEXTURE_2D_ARRAY : gl.TEXTURE_2D, null);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthMask(true);
+  }
+
+  _getProgram(renderer, pass) {
+    let multiview = renderer.multiview;
+    let defines = Object.assign({}, pass.getProgramDefines());
+    if (multiview) {
+      defines.MULTIVIEW = 1;
+    }
+
+    let key = pass.passName;
+    for (let define in defines) {
+      key += `:${define}=${defines[define]}`;
+    }
+
+    let program = this._programs[key];
+    if (!program) {
+      let extensions = multiview ? ['GL_OVR_multiview2'] : null;
+      let layouts = multiview ? ['num_views=2'] : null;
+      let fragmentSource = resolveShaderIncludes(PASS_FRAGMENT_HEADER + pass.fragmentSource + PASS_FRAGMENT_ENTRY);
+      program = new Program(this._gl, PASS_VERTEX_SOURCE, fragmentSource, {}, defines, extensions, layouts);
+      program.name = `POST_PROCESS_${pass.passName}`;
+      program.fragmentLineOffset = PASS_FRAGMENT_LINE_OFFSET;
+      program.onError((error) => renderer._onProgramError(error));
+      this._programs[key] = program;
+    }
+    return program;
+  }
+
+  // Returns one of the two intermediate targets, (re)allocating it if its
+  // size or layout no longer matches. Only the scene target needs depth.
+  _getTarget(renderer, index, width, height, depth) {
+    let gl = this._gl;
+    let multiview = renderer.multiview;
+
+    let target = this._targets[index];
+    if (target && target.width == width && target.height == height &&
+        target.multiview == multiview) {
+      return target;
+    }
+
+    if (target) {
+      gl.deleteFramebuffer(target.framebuffer);
+      gl.deleteFramebuffer(target.resolveFramebuffer);
+      gl.deleteTexture(target.texture);
+      gl.deleteTexture(target.depthTexture);
+      gl.deleteRenderbuffer(target.colorbuffer);
+      gl.deleteRenderbuffer(target.depthbuffer);
+    }
+
+    target = this._targets[index] = {
+      framebuffer: gl.createFramebuffer(),
+      // Only set for multisampled targets, which are drawn into through
+      // |framebuffer| and blitted into |texture| through this one.
+      resolveFramebuffer: null,
+      texture: gl.createTexture(),
+      colorbuffer: null,
+      depthTexture: null,
+      depthbuffer: null,
+      width: width,
+      height: height,
+      multiview: multiview,
+    };
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.activeTexture(gl.TEXTURE0);
+
+    if (multiview) {
+      let ext = renderer.multiviewExtension;
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, target.texture);
+      gl.texStorage3D(gl.TEXTURE_2D_ARRAY, 1, gl.RGBA8, width, height, 2);
+      setSamplerParameters(gl, gl.TEXTURE_2D_ARRAY);
+
+      if (depth) {
+        target.depthTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, target.depthTexture);
+        gl.texStorage3D(gl.TEXTURE_2D_ARRAY, 1, gl.DEPTH_COMPONENT24, width, height, 2);
+      }
+
+      // The multisampled variant resolves into the textures implicitly, so
+      // the scene keeps its antialiasing.
+      if (depth && renderer.multisampledMultiview) {
+        ext.framebufferTextureMultisampleMultiviewOVR(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, target.texture, 0, renderer.maxSamples, 0, 2);
+        ext.framebufferTextureMultisampleMultiviewOVR(gl.DRAW_FRAMEBUFFER, gl.DEPTH_ATTACHMENT, target.depthTexture, 0, renderer.maxSamples, 0, 2);
+      } else {
+        ext.framebufferTextureMultiviewOVR(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, target.texture, 0, 0, 2);
+        if (depth) {
+          ext.framebufferTextureMultiviewOVR(gl.DRAW_FRAMEBUFFER, gl.DEPTH_ATTACHMENT, target.depthTexture, 0, 0, 2);
+        }
+      }
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+    } else {
+      gl.bindTexture(gl.TEXTURE_2D, target.texture);
+      gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA8, width, height);
+      setSamplerParameters(gl, gl.TEXTURE_2D);
+
+      // The scene is drawn into multisampled renderbuffers and resolved into
+      // the texture by _end(), so it keeps its antialiasing like the
+      // multiview path above.
+      let samples = depth ? renderer.maxSamples : 0;
+      if (samples) {
+        target.resolveFramebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.resolveFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        target.colorbuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, target.colorbuffer);
+        gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, gl.RGBA8, width, height);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, target.colorbuffer);
+      } else {
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+      }
+
+      if (depth) {
+        target.depthbuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, target.depthbuffer);
+        if (samples) {
+          gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, gl.DEPTH_COMPONENT24, width, height);
+        } else {
+          gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+        }
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, target.depthbuffer);
+      }
+      gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    return target;
+  }
+}
+
+function setSamplerParameters(gl, target) {
+  gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+}
@@ -40,6 +40,7 @@ export class Primitive {
     this.indexBuffer = null;
     this.indexByteOffset = 0;
     this.indexType = 0;
+    this.morphTargets = null;
     this._min = null;
     this._max = null;
   }
@@ -50,6 +51,19 @@ export class Primitive {
     this.indexType = indexType || 5123; // gl.UNSIGNED_SHORT;
   }
 
+  // |data| is a Float32Array, or a promise that resolves to one, containing
+  // the morph target deltas packed as RGBA texels. Each target stores the
+  // position deltas for every vertex followed by the normal deltas for every
+  // vertex, if |hasNormals| is true.
+  setMorphTargets(data, targetCount, vertexCount, hasNormals = false) {
+    this.morphTargets = {
+      data: data,
+      targetCount: targetCount,
+      vertexCount: vertexCount,
+      hasNormals: hasNormals,
+    };
+  }
+
   setBounds(min, max) {
     this._min = vec3.clone(min);
     this._max = vec3.clone(max);
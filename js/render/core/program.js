@@ -18,6 +18,83 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 // SOFTWARE.
 
+import {getShaderChunkName} from './shader-chunks.js';
+
+const LOG_LINE_REGEX = /^(ERROR|WARNING): (\d+):(\d+): (.*)$/;
+const LINE_DIRECTIVE_REGEX = /^\s*#line\s+(\d+)(?:\s+(\d+))?/;
+
+// Finds the text of a line as the compiler numbers it, following any #line
+// directives in the source such as those added for shader chunks.
+function findSourceLine(source, stringId, line) {
+  let currentId = 0;
+  let currentLine = 1;
+  for (let text of source.split('\n')) {
+    let match = text.match(LINE_DIRECTIVE_REGEX);
+    if (match) {
+      currentLine = parseInt(match[1]);
+      if (match[2]) {
+        currentId = parseInt(match[2]);
+      }
+      continue;
+    }
+    if (currentId == stringId && currentLine == line) {
+      return text;
+    }
+    currentLine++;
+  }
+  return '';
+}
+
+// Describes why a Program failed to compile or link. The line numbers in
+// |messages| refer to the source that was given to the Program, not counting
+// the #version, extension, layout and define lines it prepends (or any lines
+// the caller says it prepended itself, see Program.vertexLineOffset). Errors
+// inside an included shader chunk give the chunk name and the line within it.
+export class ProgramError extends Error {
+  constructor(program, stage, log, source, lineOffset) {
+    let messages = [];
+    for (let logLine of log.split('\n')) {
+      let match = logLine.match(LOG_LINE_REGEX);
+      if (match) {
+        let stringId = parseInt(match[2]);
+        let line = parseInt(match[3]);
+        let chunk = stringId ? getShaderChunkName(stringId) : null;
+        messages.push({
+          type: match[1],
+          chunk: chunk,
+          line: chunk ? line : line - lineOffset,
+          text: match[4].trim(),
+          source: source ? findSourceLine(source, stringId, line) : '',
+        });
+      } else if (logLine.trim()) {
+        messages.push({type: 'ERROR', chunk: null, line: 0, text: logLine.trim(), source: ''});
+      }
+    }
+
+    let defines = Object.keys(program.defines).map((define) => {
+      return `${define}=${program.defines[define]}`;
+    }).join(', ');
+
+    let description = `${stage} shader error in "${program.name || 'unnamed'}"`;
+    if (defines) {
+      description += ` (${defines})`;
+    }
+    for (let message of messages) {
+      let location = message.chunk ? `<${message.chunk}>:${message.line}` : message.line;
+      description += message.line ?
+          `\n  ${location}: ${message.source.trim()}\n    ${message.text}` :
+          `\n  ${message.text}`;
+    }
+
+    super(description);
+    this.programName = program.name;
+    this.defines = program.defines;
+    this.stage = stage;
+    this.log = log;
+    this.messages = messages;
+  }
+}
+
 export class Program {
   constructor(gl, vertSrc, fragSrc, attribMap, defines, extensions, layouts) {
     this._gl = gl;
@@ -28,8 +105,23 @@ export class Program {
     this.extensions = [];
     this.layouts = [];
 
+    // Identifies the program in error reports.
+    this.name = null;
+    // Set to a ProgramError on first use if the program failed to build.
+    this.error = null;
+    // Number of lines the caller prepended to each source, so that error line
+    // numbers can refer to the caller's original source.
+    this.vertexLineOffset = 0;
+    this.fragmentLineOffset = 0;
+
     this._firstUse = true;
     this._nextUseCallbacks = [];
+    this._errorCallbacks = [];
+    this._disposeCallbacks = [];
+
+    // Number of materials using the program, see dispose().
+    this._refCount = 0;
+    this._deleted = false;
 
     let extensionsString = '';
     if (extensions) {
@@ -53,14 +145,23 @@ export class Program {
       }
     }
 
+    // The #line directive restarts line numbering at the start of the given
+    // sources, so the compiler's error line numbers match them.
+    let vertPrefix = '#version 300 es\n' + extensionsString + layoutsString + definesString + '#line 1\n';
+    let fragPrefix = '#version 300 es\n' + extensionsString + definesString + '#line 1\n';
+
+    // Kept until the first use so that errors can be reported against them.
+    this._vertSource = vertSrc;
+    this._fragSource = fragSrc;
+
     this._vertShader = gl.createShader(gl.VERTEX_SHADER);
     gl.attachShader(this.program, this._vertShader);
-    gl.shaderSource(this._vertShader, '#version 300 es\n' + extensionsString + layoutsString + definesString + vertSrc);
+    gl.shaderSource(this._vertShader, vertPrefix + vertSrc);
     gl.compileShader(this._vertShader);
 
     this._fragShader = gl.createShader(gl.FRAGMENT_SHADER);
     gl.attachShader(this.program, this._fragShader);
-    gl.shaderSource(this._fragShader, '#version 300 es\n' + extensionsString + definesString + fragSrc);
+    gl.shaderSource(this._fragShader, fragPrefix + fragSrc);
     gl.compileShader(this._fragShader);
 
     if (attribMap) {
@@ -78,6 +179,60 @@ export class Program {
     this._nextUseCallbacks.push(callback);
   }
 
+  // Called with a ProgramError if the program fails to build. Errors are only
+  // detected on first use, to avoid stalling on the compile before then.
+  onError(callback) {
+    this._errorCallbacks.push(callback);
+  }
+
+  // Called once the program has been deleted.
+  onDispose(callback) {
+    this._disposeCallbacks.push(callback);
+  }
+
+  // Deletes the program, unless it's still in use by some material. Programs
+  // that are in use are deleted when the last material using them is.
+  dispose() {
+    if (!this._refCount) {
+      this._delete();
+    }
+  }
+
+  _retain() {
+    this._refCount++;
+  }
+
+  _release() {
+    if (this._refCount > 0 && --this._refCount == 0) {
+      this._delete();
+    }
+  }
+
+  _delete() {
+    if (this._deleted) {
+      return;
+    }
+    this._deleted = true;
+
+    let gl = this._gl;
+    if (this._firstUse) {
+      this._firstUse = false;
+      gl.deleteShader(this._vertShader);
+      gl.deleteShader(this._fragShader);
+      this._vertSource = null;
+      this._fragSource = null;
+    }
+    gl.deleteProgram(this.program);
+    this.program = null;
+    this._nextUseCallbacks = [];
+    this._errorCallbacks = [];
+
+    for (let callback of this._disposeCallbacks) {
+      callback(this);
+    }
+    this._disposeCallbacks = [];
+  }
+
   use() {
     let gl = this._gl;
 
@@ -87,12 +242,15 @@ export class Program {
       this._firstUse = false;
       if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
         if (!gl.getShaderParameter(this._vertShader, gl.COMPILE_STATUS)) {
-          console.error('Vertex shader compile error: ' + gl.getShaderInfoLog(this._vertShader));
+          this.error = new ProgramError(this, 'Vertex', gl.getShaderInfoLog(this._vertShader),
+                                        this._vertSource, this.vertexLineOffset);
         } else if (!gl.getShaderParameter(this._fragShader, gl.COMPILE_STATUS)) {
-          console.error('Fragment shader compile error: ' + gl.getShaderInfoLog(this._fragShader));
+          this.error = new ProgramError(this, 'Fragment', gl.getShaderInfoLog(this._fragShader),
+                                        this._fragSource, this.fragmentLineOffset);
         } else {
-          console.error('Program link error: ' + gl.getProgramInfoLog(this.program));
+          this.error = new ProgramError(this, 'Link', gl.getProgramInfoLog(this.program), null, 0);
         }
+        console.error(this.error.message);
         gl.deleteProgram(this.program);
         this.program = null;
       } else {
@@ -116,6 +274,15 @@ export class Program {
       }
       gl.deleteShader(this._vertShader);
       gl.deleteShader(this._fragShader);
+      this._vertSource = null;
+      this._fragSource = null;
+
+      if (this.error) {
+        for (let callback of this._errorCallbacks) {
+          callback(this.error);
+        }
+      }
+      this._errorCallbacks = [];
     }
 
     gl.useProgram(this.program);
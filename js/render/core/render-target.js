@@ -0,0 +1,100 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+An offscreen color buffer, with an optional depth buffer, that the renderer can
+draw into by passing it to Renderer.drawViews(). The color buffer is exposed as
+a Texture that can be used by any material, for in-world monitors, mirrors,
+portals and the like. The GPU resources are created by the renderer when the
+target is first drawn into. Targets are drawn one view at a time, including on
+multiview renderers.
+*/
+
+import {Texture} from './texture.js';
+
+const GL = WebGLRenderingContext; // For enums
+
+let nextRenderTargetIndex = 0;
+
+export class RenderTargetTexture extends Texture {
+  constructor(renderTarget) {
+    super();
+
+    this._renderTarget = renderTarget;
+    this._key = `RENDER_TARGET_${nextRenderTargetIndex}`;
+    nextRenderTargetIndex++;
+
+    // The contents change every time the target is drawn into, so don't
+    // bother with mipmaps.
+    this.mipmap = false;
+  }
+
+  get format() {
+    return GL.RGBA;
+  }
+
+  get width() {
+    return this._renderTarget.width;
+  }
+
+  get height() {
+    return this._renderTarget.height;
+  }
+
+  get textureKey() {
+    return this._key;
+  }
+}
+
+export class RenderTarget {
+  constructor(width, height, options = {}) {
+    this.width = width;
+    this.height = height;
+    this.depth = 'depth' in options ? options.depth : true;
+
+    // If |clear| is true the target is cleared to |clearColor| before each
+    // draw.
+    this.clear = 'clear' in options ? options.clear : true;
+    this.clearColor = options.clearColor || [0.0, 0.0, 0.0, 1.0];
+
+    this._texture = new RenderTargetTexture(this);
+    // Set by the renderer that allocated the target's GPU resources.
+    this._renderer = null;
+  }
+
+  get texture() {
+    return this._texture;
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  // Frees the target's framebuffer and depth buffer. The texture is freed too
+  // once no material is using it. Drawing into the target again afterwards
+  // allocates new resources.
+  dispose() {
+    if (this._renderer) {
+      this._renderer._deleteRenderTarget(this);
+      this._renderer = null;
+    }
+  }
+}
@@ -18,10 +18,18 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 // SOFTWARE.
 
-import {CAP, MAT_STATE, RENDER_ORDER, stateToBlendFunc} from './material.js';
+import {CAP, MAT_STATE, Material, RENDER_ORDER, stateToBlendFunc} from './material.js';
 import {Node} from './node.js';
+import {ENV_IRRADIANCE_TEXTURE_UNIT, ENV_SPECULAR_TEXTURE_UNIT} from './environment-map.js';
+import {LightUniforms} from './lights.js';
+import {TONE_MAPPING} from './color-management.js';
 import {Program} from './program.js';
+import {RenderTargetTexture} from './render-target.js';
+import {resolveShaderIncludes} from './shader-chunks.js';
+import {ShadowMap, SHADOW_CASTER_FRAGMENT_SOURCE, SHADOW_TEXTURE_UNIT} from './shadow-map.js';
 import {DataTexture, ExternalTexture, VideoTexture} from './texture.js';
+import {Frustum} from '../math/frustum.js';
+import {MeshBVH} from '../math/mesh-bvh.js';
 import {mat4, vec3} from '../math/gl-matrix.js';
 
 export const ATTRIB = {
@@ -31,6 +39,12 @@ export const ATTRIB = {
   TEXCOORD_0: 4,
   TEXCOORD_1: 5,
   COLOR_0: 6,
+  JOINTS_0: 7,
+  WEIGHTS_0: 8,
+  // Per-instance attributes, only used by instanced programs. The matrix
+  // occupies four consecutive locations.
+  INSTANCE_MATRIX: 9,
+  INSTANCE_RECEIVE_SHADOW: 13,
 };
 
 export const ATTRIB_MASK = {
@@ -40,6 +54,8 @@ export const ATTRIB_MASK = {
   TEXCOORD_0: 0x0008,
   TEXCOORD_1: 0x0010,
   COLOR_0: 0x0020,
+  JOINTS_0: 0x0040,
+  WEIGHTS_0: 0x0080,
 };
 
 const GL = WebGLRenderingContext; // For enums
@@ -47,61 +63,82 @@ const GL = WebGLRenderingContext; // For enums
 const DEF_LIGHT_DIR = new Float32Array([-0.1, -1.0, -0.2]);
 const DEF_LIGHT_COLOR = new Float32Array([3.0, 3.0, 3.0]);
 
-const PRECISION_REGEX = new RegExp('precision (lowp|mediump|highp) float;');
+// Floats per instance in the instance buffer: A mat4 followed by the
+// receiveShadow flag.
+const INSTANCE_FLOAT_COUNT = 17;
+const INSTANCE_STRIDE = INSTANCE_FLOAT_COUNT * 4;
 
-const VERTEX_SHADER_ENTRY = `
-uniform mat4 PROJECTION_MATRIX, VIEW_MATRIX, MODEL_MATRIX;
+// Morph target textures wrap at this many texels per row.
+const MORPH_TEXTURE_WIDTH = 2048;
 
-void main() {
-  gl_Position = vertex_main(PROJECTION_MATRIX, VIEW_MATRIX, MODEL_MATRIX);
-}
+const PRECISION_REGEX = new RegExp('precision (lowp|mediump|highp) float;');
+
+// Materials opt into instanced rendering by returning USE_INSTANCING from
+// getProgramDefines(). The model matrix passed to vertex_main() then comes
+// from a per-instance attribute rather than a uniform.
+const VERTEX_SHADER_INSTANCING = `
+#ifdef USE_INSTANCING
+in mat4 INSTANCE_MATRIX;
+#define ENTRY_MODEL_MATRIX INSTANCE_MATRIX
+#else
+#define ENTRY_MODEL_MATRIX MODEL_MATRIX
+#endif
 `;
 
-const VERTEX_SHADER_MULTI_ENTRY = `
-uniform mat4 LEFT_PROJECTION_MATRIX, LEFT_VIEW_MATRIX, RIGHT_PROJECTION_MATRIX, RIGHT_VIEW_MATRIX, MODEL_MATRIX;
-void main() {
-  gl_Position = vertex_main(
-    (gl_ViewID_OVR == 0u) ? LEFT_PROJECTION_MATRIX : RIGHT_PROJECTION_MATRIX,
-    (gl_ViewID_OVR == 0u) ? LEFT_VIEW_MATRIX : RIGHT_VIEW_MATRIX,
-    MODEL_MATRIX);
+// Drawn in place of any material whose program fails to build, so that the
+// broken objects are easy to spot and the rest of the scene keeps rendering.
+class ErrorMaterial extends Material {
+  constructor(instanced) {
+    super();
+    this._instanced = instanced;
+  }
+
+  get materialName() {
+    return 'ERROR';
+  }
+
+  get vertexSource() {
+    return `
+    in vec3 POSITION;
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      return proj * view * model * vec4(POSITION, 1.0);
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    vec4 fragment_main() {
+      return vec4(1.0, 0.0, 1.0, 1.0);
+    }`;
+  }
+
+  getProgramDefines(renderPrimitive) {
+    return this._instanced ? {USE_INSTANCING: 1} : {};
+  }
 }
-`;
 
-const FRAGMENT_SHADER_ENTRY = `
-out vec4 color;
+// Entry points appended to every material's shaders. The multiview chunk
+// picks the right matrices for both single view and multiview programs.
+const VERTEX_SHADER_ENTRY = `
+#include <multiview>
+uniform mat4 MODEL_MATRIX;
+
 void main() {
-  color = fragment_main();
+  gl_Position = vertex_main(ENTRY_PROJECTION_MATRIX, ENTRY_VIEW_MATRIX, ENTRY_MODEL_MATRIX);
 }
 `;
 
-const FRAGMENT_SHADER_MULTI_ENTRY = `
+const FRAGMENT_SHADER_ENTRY = `
 out vec4 color;
 void main() {
   color = fragment_main();
 }
 `;
 
-const VERTEX_SHADER_MULTI_DEPTH_ENTRY = `
-uniform mat4 LEFT_PROJECTION_MATRIX, LEFT_VIEW_MATRIX, RIGHT_PROJECTION_MATRIX, RIGHT_VIEW_MATRIX, MODEL_MATRIX;
-out vec4 vWorldPosition;
-
-const mat4 identity = mat4(
-  1, 0, 0, 0,
-  0, 1, 0, 0,
-  0, 0, 1, 0,
-  0, 0, 0, 1);
-
-void main() {
-  vWorldPosition = vertex_main(identity, identity, MODEL_MATRIX);
-  gl_Position = vertex_main(
-    (gl_ViewID_OVR == 0u) ? LEFT_PROJECTION_MATRIX : RIGHT_PROJECTION_MATRIX,
-    (gl_ViewID_OVR == 0u) ? LEFT_VIEW_MATRIX : RIGHT_VIEW_MATRIX,
-    MODEL_MATRIX);
-}
-`;
-
 const VERTEX_SHADER_DEPTH_ENTRY = `
-uniform mat4 PROJECTION_MATRIX, VIEW_MATRIX, MODEL_MATRIX;
+#include <multiview>
+uniform mat4 MODEL_MATRIX;
 out vec4 vWorldPosition;
 
 const mat4 identity = mat4(
@@ -111,90 +148,16 @@ const mat4 identity = mat4(
   0, 0, 0, 1);
 
 void main() {
-  vWorldPosition = vertex_main(identity, identity, MODEL_MATRIX);
-  gl_Position = vertex_main(PROJECTION_MATRIX, VIEW_MATRIX, MODEL_MATRIX);
+  vWorldPosition = vertex_main(identity, identity, ENTRY_MODEL_MATRIX);
+  gl_Position = vertex_main(ENTRY_PROJECTION_MATRIX, ENTRY_VIEW_MATRIX, ENTRY_MODEL_MATRIX);
 }
 `;
 
-const FRAGMENT_SHADER_DEPTH_COMMON = `
-precision highp float;
-precision highp sampler2DArray;
-uniform sampler2DArray depthColor;
-uniform float rawValueToMeters;
+const FRAGMENT_SHADER_DEPTH_ENTRY = `
+#include <view_id>
+#include <depth_occlusion>
 out vec4 color;
 in vec4 vWorldPosition;
-uniform bool sortDepth;
-
-uniform mat4 LEFT_DEPTH_PROJECTION_MATRIX, LEFT_DEPTH_VIEW_MATRIX, RIGHT_DEPTH_PROJECTION_MATRIX, RIGHT_DEPTH_VIEW_MATRIX;
-
-float Depth_GetCameraDepthInMillimeters(const sampler2DArray depthTexture,
-  const vec2 depthUv) {
-  return texture(depthColor, vec3(depthUv.x, depthUv.y, VIEW_ID)).r * 1000.0 * rawValueToMeters;
-}
-
-float Depth_GetOcclusion(const sampler2DArray depthTexture, const vec2 depthUv, float assetDepthMm) {
-  float depthMm = Depth_GetCameraDepthInMillimeters(depthTexture, depthUv);
-
-  // Instead of a hard z-buffer test, allow the asset to fade into the
-  // background along a 2 * kDepthTolerancePerMm * assetDepthMm
-  // range centered on the background depth.
-  const float kDepthTolerancePerMm = 0.01;
-  return clamp(1.0 -
-    0.5 * (depthMm - assetDepthMm) /
-        (kDepthTolerancePerMm * assetDepthMm) +
-    0.5, 0.0, 1.0);
-}
-
-float Depth_GetBlurredOcclusionAroundUV(const sampler2DArray depthTexture, const vec2 uv, float assetDepthMm) {
-  // Kernel used:
-  // 0   4   7   4   0
-  // 4   16  26  16  4
-  // 7   26  41  26  7
-  // 4   16  26  16  4
-  // 0   4   7   4   0
-  const float kKernelTotalWeights = 269.0;
-  float sum = 0.0;
-
-  const float kOcclusionBlurAmount = 0.01;
-  vec2 blurriness = vec2(kOcclusionBlurAmount /SideBySideMultiplier, kOcclusionBlurAmount /** u_DepthAspectRatio*/);
-
-  float current = 0.0;
-
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, -2.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, -2.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, +2.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, +2.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-2.0, +1.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+2.0, +1.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-2.0, -1.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+2.0, -1.0) * blurriness, assetDepthMm);
-  sum += current * 4.0;
-
-  current = 0.0;
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-2.0, -0.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+2.0, +0.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+0.0, +2.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-0.0, -2.0) * blurriness, assetDepthMm);
-  sum += current * 7.0;
-
-  current = 0.0;
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, -1.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, -1.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, +1.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, +1.0) * blurriness, assetDepthMm);
-  sum += current * 16.0;
-
-  current = 0.0;
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+0.0, +1.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-0.0, -1.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, -0.0) * blurriness, assetDepthMm);
-  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, +0.0) * blurriness, assetDepthMm);
-  sum += current * 26.0;
-
-  sum += Depth_GetOcclusion(depthTexture, uv, assetDepthMm) * 41.0;
-
-  return sum / kKernelTotalWeights;
-}
 
 void main() {
   vec4 depthPosition = (VIEW_ID == 0u) ? LEFT_DEPTH_PROJECTION_MATRIX * LEFT_DEPTH_VIEW_MATRIX * vWorldPosition :
@@ -228,19 +191,84 @@ void main() {
 }
 `;
 
-const FRAGMENT_SHADER_MULTI_DEPTH_ENTRY = `
-#define VIEW_ID gl_ViewID_OVR
-#define SideBySideMultiplier 1.0
-` + FRAGMENT_SHADER_DEPTH_COMMON;
+function isPowerOfTwo(n) {
+  return (n & (n - 1)) === 0;
+}
+
+// Returns a byte view of buffer data given as an ArrayBuffer or a view.
+function getByteView(data) {
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
 
+// Unpacks |componentCount| components of a vertex attribute into a tightly
+// packed Float32Array, applying normalization for integer types.
+function readVertexAttribute(data, attribute, componentCount, vertexCount) {
+  let view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let componentSize = 4;
+  let read = (offset) => view.getFloat32(offset, true);
+  switch (attribute._componentType) {
+    case GL.BYTE:
+      componentSize = 1;
+      read = (offset) => attribute._normalized ? Math.max(view.getInt8(offset) / 127, -1) : view.getInt8(offset);
+      break;
+    case GL.UNSIGNED_BYTE:
+      componentSize = 1;
+      read = (offset) => attribute._normalized ? view.getUint8(offset) / 255 : view.getUint8(offset);
+      break;
+    case GL.SHORT:
+      componentSize = 2;
+      read = (offset) => attribute._normalized ? Math.max(view.getInt16(offset, true) / 32767, -1) : view.getInt16(offset, true);
+      break;
+    case GL.UNSIGNED_SHORT:
+      componentSize = 2;
+      read = (offset) => attribute._normalized ? view.getUint16(offset, true) / 65535 : view.getUint16(offset, true);
+      break;
+  }
 
-const FRAGMENT_SHADER_DEPTH_ENTRY = `
-uniform uint VIEW_ID;
-#define SideBySideMultiplier 1.0
-` + FRAGMENT_SHADER_DEPTH_COMMON;
+  let stride = attribute._stride || attribute._componentCount * componentSize;
+  let count = Math.min(componentCount, attribute._componentCount);
+  let values = new Float32Array(vertexCount * componentCount);
+  for (let i = 0; i < vertexCount; ++i) {
+    let offset = attribute._byteOffset + i * stride;
+    if (offset + count * componentSize > data.byteLength) {
+      break;
+    }
+    for (let j = 0; j < count; ++j) {
+      values[i * componentCount + j] = read(offset + j * componentSize);
+    }
+  }
+  return values;
+}
 
-function isPowerOfTwo(n) {
-  return (n & (n - 1)) === 0;
+// Size of a single texel of an uploaded texture, for memoryInfo().
+function getTexelByteSize(format, type) {
+  let components = 4;
+  switch (format) {
+    case GL.ALPHA:
+    case GL.LUMINANCE:
+      components = 1;
+      break;
+    case GL.LUMINANCE_ALPHA:
+      components = 2;
+      break;
+    case GL.RGB:
+      components = 3;
+      break;
+  }
+
+  switch (type) {
+    case GL.FLOAT:
+      return components * 4;
+    case GL.UNSIGNED_SHORT_5_6_5:
+    case GL.UNSIGNED_SHORT_4_4_4_4:
+    case GL.UNSIGNED_SHORT_5_5_5_1:
+      return 2;
+    default:
+      return components;
+  }
 }
 
 // Creates a WebGL context and initializes it with some common default state.
@@ -324,6 +352,14 @@ class RenderBuffer {
     this._target = target;
     this._usage = usage;
     this._length = length;
+    this._renderer = null;
+    // Number of render primitives using the buffer, see dispose().
+    this._refCount = 0;
+    // Incremented whenever the contents are updated.
+    this._version = 0;
+    // CPU side copy of the contents, for triangle hit tests. Only kept for
+    // buffers created with keepData.
+    this._data = null;
     if (buffer instanceof Promise) {
       this._buffer = null;
       this._promise = buffer.then((buffer) => {
@@ -339,6 +375,32 @@ class RenderBuffer {
   waitForComplete() {
     return this._promise;
   }
+
+  // Deletes the buffer, unless it's still in use by some render primitive.
+  // Buffers that are in use are deleted along with the last primitive using
+  // them.
+  dispose() {
+    if (!this._refCount) {
+      this._delete();
+    }
+  }
+
+  _retain() {
+    this._refCount++;
+  }
+
+  _release() {
+    if (this._refCount > 0 && --this._refCount == 0) {
+      this._delete();
+    }
+  }
+
+  _delete() {
+    if (this._renderer) {
+      this._renderer._deleteRenderBuffer(this);
+      this._renderer = null;
+    }
+  }
 }
 
 class RenderPrimitiveAttribute {
@@ -363,12 +425,22 @@ class RenderPrimitive {
   constructor(primitive) {
     this._activeFrameId = 0;
     this._instances = [];
+    // Per instance bitmask of the views it's visible in, and the union of
+    // those for the whole primitive. Updated each frame by the renderer.
+    this._viewMasks = [];
+    this._viewMask = 0;
     this._material = null;
+    this._renderer = null;
+    this._attributeBuffers = [];
+    this._indexBuffer = null;
 
     this.setPrimitive(primitive);
   }
 
   setPrimitive(primitive) {
+    this._releaseBuffers();
+    this._hitTestMesh = null;
+
     this._mode = primitive.mode;
     this._elementCount = primitive.elementCount;
     this._promise = null;
@@ -378,6 +450,10 @@ class RenderPrimitive {
     this._attributeMask = 0;
 
     for (let attribute of primitive.attributes) {
+      // Skip attributes that the renderer doesn't have a binding for.
+      if (!(attribute.name in ATTRIB)) {
+        continue;
+      }
       this._attributeMask |= ATTRIB_MASK[attribute.name];
       let renderAttribute = new RenderPrimitiveAttribute(attribute);
       let foundBuffer = false;
@@ -399,12 +475,24 @@ class RenderPrimitive {
     this._indexByteOffset = 0;
     this._indexType = 0;
 
+    this._morphTargets = primitive.morphTargets;
+    this._morphTexture = null;
+    this._defaultMorphWeights = primitive.morphTargets ?
+        new Float32Array(primitive.morphTargets.targetCount) : null;
+
     if (primitive.indexBuffer) {
       this._indexByteOffset = primitive.indexByteOffset;
       this._indexType = primitive.indexType;
       this._indexBuffer = primitive.indexBuffer;
     }
 
+    for (let attributeBuffer of this._attributeBuffers) {
+      attributeBuffer._buffer._retain();
+    }
+    if (this._indexBuffer) {
+      this._indexBuffer._retain();
+    }
+
     if (primitive._min) {
       this._min = vec3.clone(primitive._min);
       this._max = vec3.clone(primitive._max);
@@ -428,6 +516,137 @@ class RenderPrimitive {
     }
   }
 
+  // Removes the primitive from every node using it and releases its GPU
+  // resources. Buffers, textures and programs that are shared with other
+  // primitives are kept until those are disposed of too.
+  dispose() {
+    for (let instance of this._instances.slice()) {
+      instance.removeRenderPrimitive(this);
+    }
+
+    if (this._renderer) {
+      this._renderer._deleteRenderPrimitive(this);
+      this._renderer = null;
+    }
+
+    this._releaseBuffers();
+    this._hitTestMesh = null;
+    if (this._morphTexture) {
+      this._morphTexture._release();
+      this._morphTexture = null;
+    }
+    if (this._material) {
+      this._material._release();
+      this._material = null;
+    }
+    this._complete = false;
+  }
+
+  // Builds a MeshBVH over the data kept by the primitive's buffers for
+  // triangle accurate hit tests. It's cached, and rebuilt if the buffers are
+  // updated. Returns null for geometry that can't be tested this way, such as
+  // non-triangle primitives, buffers that are still loading or buffers that
+  // weren't created with keepData. Skinning and morph targets aren't taken
+  // into account.
+  _getHitTestMesh() {
+    if (!this._renderer || this._mode != GL.TRIANGLES) {
+      return null;
+    }
+
+    let version = 0;
+    for (let attributeBuffer of this._attributeBuffers) {
+      if (!attributeBuffer._buffer._buffer) {
+        return null;
+      }
+      version += attributeBuffer._buffer._version;
+    }
+    if (this._indexBuffer) {
+      if (!this._indexBuffer._buffer) {
+        return null;
+      }
+      version += this._indexBuffer._version;
+    }
+
+    if (this._hitTestMesh && this._hitTestMesh.version == version) {
+      return this._hitTestMesh;
+    }
+
+    // Without a copy of the positions there's nothing to test against.
+    let hasPositions = this._attributeBuffers.some((attributeBuffer) => {
+      return attributeBuffer._buffer._data && attributeBuffer._attributes.some((attribute) => {
+        return attribute._attrib_index == ATTRIB.POSITION;
+      });
+    });
+    if (!hasPositions) {
+      return null;
+    }
+
+    let readAttribute = (name, componentCount, vertexCount) => {
+      for (let attributeBuffer of this._attributeBuffers) {
+        for (let attribute of attributeBuffer._attributes) {
+          if (attribute._attrib_index == ATTRIB[name]) {
+            let data = attributeBuffer._buffer._data;
+            return data ? readVertexAttribute(data, attribute, componentCount, vertexCount) : null;
+          }
+        }
+      }
+      return null;
+    };
+
+    let indices;
+    if (this._indexBuffer) {
+      let data = this._indexBuffer._data;
+      if (!data) {
+        return null;
+      }
+      let byteOffset = data.byteOffset + this._indexByteOffset;
+      switch (this._indexType) {
+        case GL.UNSIGNED_BYTE:
+          indices = new Uint8Array(data.buffer, byteOffset, this._elementCount);
+          break;
+        case GL.UNSIGNED_SHORT:
+          indices = new Uint16Array(data.buffer.slice(byteOffset, byteOffset + this._elementCount * 2));
+          break;
+        default:
+          indices = new Uint32Array(data.buffer.slice(byteOffset, byteOffset + this._elementCount * 4));
+      }
+    } else {
+      indices = new Uint32Array(this._elementCount);
+      for (let i = 0; i < this._elementCount; ++i) {
+        indices[i] = i;
+      }
+    }
+
+    let vertexCount = 0;
+    for (let i = 0; i < indices.length; ++i) {
+      vertexCount = Math.max(vertexCount, indices[i] + 1);
+    }
+
+    let positions = readAttribute('POSITION', 3, vertexCount);
+    if (!positions) {
+      return null;
+    }
+
+    this._hitTestMesh = {
+      version: version,
+      bvh: new MeshBVH(positions, indices),
+      normals: readAttribute('NORMAL', 3, vertexCount),
+      uvs: readAttribute('TEXCOORD_0', 2, vertexCount),
+    };
+    return this._hitTestMesh;
+  }
+
+  _releaseBuffers() {
+    for (let attributeBuffer of this._attributeBuffers) {
+      attributeBuffer._buffer._release();
+    }
+    if (this._indexBuffer) {
+      this._indexBuffer._release();
+    }
+    this._attributeBuffers = [];
+    this._indexBuffer = null;
+  }
+
   markActive(frameId) {
     if (this._complete && this._activeFrameId != frameId) {
       if (this._material) {
@@ -482,6 +701,38 @@ export class RenderTexture {
     this._activeCallback = null;
     this._isExternalTexture = false;
     this._isArray = false;
+    this._renderer = null;
+    this._key = null;
+    // Estimated GPU memory used by the texture, see Renderer.memoryInfo().
+    this._byteSize = 0;
+    // Number of materials using the texture, see dispose().
+    this._refCount = 0;
+  }
+
+  // Deletes the texture, unless it's still in use by some material. Textures
+  // that are in use are deleted along with the last material using them. The
+  // renderer will upload the texture again if it's used after that.
+  dispose() {
+    if (!this._refCount) {
+      this._delete();
+    }
+  }
+
+  _retain() {
+    this._refCount++;
+  }
+
+  _release() {
+    if (this._refCount > 0 && --this._refCount == 0) {
+      this._delete();
+    }
+  }
+
+  _delete() {
+    if (this._renderer) {
+      this._renderer._deleteRenderTexture(this);
+      this._renderer = null;
+    }
   }
 
   markActive(frameId) {
@@ -493,6 +744,27 @@ export class RenderTexture {
 }
 
 const inverseMatrix = mat4.create();
+const viewProjectionMatrix = mat4.create();
+const NO_ENVIRONMENT_PARAMS = new Float32Array(2);
+const sortOrigin = vec3.create();
+const sortPosition = vec3.create();
+
+// Instances are sorted by the center of their bounds when available, and
+// their origin otherwise.
+function getSortPosition(primitive, instance) {
+  if (primitive._min) {
+    vec3.add(sortPosition, primitive._min, primitive._max);
+    vec3.scale(sortPosition, sortPosition, 0.5);
+  } else {
+    vec3.set(sortPosition, 0, 0, 0);
+  }
+  return vec3.transformMat4(sortPosition, sortPosition, instance.worldMatrix);
+}
+
+// Furthest first.
+function compareSortedDraws(a, b) {
+  return b.distance - a.distance;
+}
 
 function setCap(gl, glEnum, cap, prevState, state) {
   let change = (state & cap) - (prevState & cap);
@@ -513,10 +785,25 @@ class RenderMaterialSampler {
     this._uniformName = materialSampler._uniformName;
     this._renderTexture = renderer._getRenderTexture(materialSampler._texture);
     this._index = index;
+    if (this._renderTexture) {
+      this._renderTexture._retain();
+    }
   }
 
   set texture(value) {
-    this._renderTexture = this._renderer._getRenderTexture(value);
+    let renderTexture = this._renderer._getRenderTexture(value);
+    if (renderTexture) {
+      renderTexture._retain();
+    }
+    this._release();
+    this._renderTexture = renderTexture;
+  }
+
+  _release() {
+    if (this._renderTexture) {
+      this._renderTexture._release();
+      this._renderTexture = null;
+    }
   }
 }
 
@@ -546,12 +833,21 @@ class RenderMaterialUniform {
 class RenderMaterial {
   constructor(renderer, material, program) {
     this._program = program;
+    this._program._retain();
+    // Depth only variant of the program, created when first needed.
+    this._shadowProgram = null;
+    // Single view variant of a multiview program, for drawing into
+    // RenderTargets. Also created when first needed.
+    this._singleViewProgram = null;
     this._state = material.state._state;
     this._activeFrameId = 0;
     this._completeForActiveFrame = false;
 
     this._samplerDictionary = {};
     this._samplers = [];
+    // Unused samplers are removed from the list on first bind, so keep track
+    // of how many texture units the material may occupy.
+    this._samplerCount = material._samplers.length;
     for (let i = 0; i < material._samplers.length; ++i) {
       let renderSampler = new RenderMaterialSampler(renderer, material._samplers[i], i);
       this._samplers.push(renderSampler);
@@ -578,6 +874,23 @@ class RenderMaterial {
     }
   }
 
+  // Releases the material's program and textures. Unused samplers have been
+  // removed from |_samplers| by then, so go through the dictionary instead.
+  _release() {
+    this._program._release();
+    if (this._shadowProgram) {
+      this._shadowProgram._release();
+      this._shadowProgram = null;
+    }
+    if (this._singleViewProgram) {
+      this._singleViewProgram._release();
+      this._singleViewProgram = null;
+    }
+    for (let name in this._samplerDictionary) {
+      this._samplerDictionary[name]._release();
+    }
+  }
+
   bind(gl) {
     // First time we do a binding, cache the uniform locations and remove
     // unused uniforms from the list.
@@ -624,6 +937,33 @@ class RenderMaterial {
     }
   }
 
+  // Binds the textures and uniforms used by a variant of the material's
+  // program, such as an alpha masked shadow caster. Locations are looked up in
+  // |program| rather than cached, since it differs from the material's own.
+  bindVariant(gl, program) {
+    for (let sampler of this._samplers) {
+      if (!sampler._renderTexture || !program.uniform[sampler._uniformName]) {
+        continue;
+      }
+      let type = sampler._renderTexture._isArray ? gl.TEXTURE_2D_ARRAY : gl.TEXTURE_2D;
+      gl.activeTexture(gl.TEXTURE0 + sampler._index);
+      gl.bindTexture(type, sampler._renderTexture._complete ? sampler._renderTexture._texture : null);
+    }
+
+    for (let uniform of this._uniforms) {
+      let location = program.uniform[uniform._uniformName];
+      if (!location) {
+        continue;
+      }
+      switch (uniform._length) {
+        case 1: gl.uniform1fv(location, uniform._value); break;
+        case 2: gl.uniform2fv(location, uniform._value); break;
+        case 3: gl.uniform3fv(location, uniform._value); break;
+        case 4: gl.uniform4fv(location, uniform._value); break;
+      }
+    }
+  }
+
   markActive(frameId) {
     if (this._activeFrameId != frameId) {
       this._activeFrameId = frameId;
@@ -700,8 +1040,21 @@ export class Renderer {
     this._frameId = 0;
     this._programCache = {};
     this._textureCache = {};
+    this._renderTargetCache = {};
     this._renderPrimitives = Array(RENDER_ORDER.DEFAULT);
+    // Every live buffer and texture, for memoryInfo().
+    this._renderBuffers = new Set();
+    this._renderTextures = new Set();
     this._cameraPositions = [];
+    this._frustums = [];
+    this._frustumCulling = true;
+    this._culledCount = 0;
+
+    this._sortedDraws = [];
+    this._sortedDrawPool = [];
+    this._sortedRunInstances = [];
+    this._sortedRunViewMasks = [];
+    this._resetDrawState();
 
     this._vaoExt = gl.getExtension('OES_vertex_array_object');
 
@@ -713,12 +1066,29 @@ export class Renderer {
 
     this._globalLightColor = vec3.clone(DEF_LIGHT_COLOR);
     this._globalLightDir = vec3.clone(DEF_LIGHT_DIR);
+    this._shadowMap = null;
+    this._environmentMap = null;
+    this._environmentParams = NO_ENVIRONMENT_PARAMS;
+    // x: Exposure, y: Tone mapping operator, z: Color management enabled
+    this._colorParams = new Float32Array([1.0, TONE_MAPPING.NONE, 0.0]);
+    this._activeLights = [];
+    this._lightUniforms = new LightUniforms();
+
+    this._instanceBuffer = null;
+    this._instanceData = new Float32Array(INSTANCE_FLOAT_COUNT * 64);
+    this._instanceAttribsEnabled = false;
+
+    this._shaderErrorHandler = null;
 
     this._mv_ext = gl.getExtension('OVR_multiview2');
 
     this._multiview = multiview && this._mv_ext;
     this._multisampledMultiview = multisampledMultiview;
     this._useDepth = useDepth;
+
+    // Whether the views currently being drawn use the multiview programs.
+    // False while a multiview renderer draws into a RenderTarget.
+    this._drawMultiview = false;
   }
 
   get gl() {
@@ -777,100 +1147,434 @@ export class Renderer {
     return vec3.clone(this._globalLightDir);
   }
 
-  createRenderBuffer(target, data, usage = GL.STATIC_DRAW) {
-    let gl = this._gl;
-    let glBuffer = gl.createBuffer();
+  // An EnvironmentMap used for image based lighting by materials that
+  // support it, such as PbrMaterial.
+  set environmentMap(value) {
+    this._environmentMap = value;
+  }
 
-    if (data instanceof Promise) {
-      let renderBuffer = new RenderBuffer(target, usage, data.then((data) => {
-        gl.bindBuffer(target, glBuffer);
-        gl.bufferData(target, data, usage);
-        renderBuffer._length = data.byteLength;
-        return glBuffer;
-      }));
-      return renderBuffer;
-    } else {
-      gl.bindBuffer(target, glBuffer);
-      gl.bufferData(target, data, usage);
-      return new RenderBuffer(target, usage, glBuffer, data.byteLength);
-    }
+  get environmentMap() {
+    return this._environmentMap;
   }
 
-  updateRenderBuffer(buffer, data, offset = 0) {
-    if (buffer._buffer) {
-      let gl = this._gl;
-      gl.bindBuffer(buffer._target, buffer._buffer);
-      if (offset == 0 && buffer._length == data.byteLength) {
-        gl.bufferData(buffer._target, data, buffer._usage);
-      } else {
-        gl.bufferSubData(buffer._target, offset, data);
-      }
-    } else {
-      buffer.waitForComplete().then((buffer) => {
-        this.updateRenderBuffer(buffer, data, offset);
-      });
-    }
+  // If true, color textures are decoded from sRGB and lighting is done in
+  // linear space, with the result encoded back to sRGB for display.
+  set colorManagement(value) {
+    this._colorParams[2] = value ? 1.0 : 0.0;
   }
 
-  createRenderPrimitive(primitive, material) {
-    let renderPrimitive = new RenderPrimitive(primitive);
+  get colorManagement() {
+    return this._colorParams[2] != 0.0;
+  }
 
-    let program = this._getMaterialProgram(material, renderPrimitive);
-    let renderMaterial = new RenderMaterial(this, material, program);
-    renderPrimitive.setRenderMaterial(renderMaterial);
+  // One of the TONE_MAPPING operators, applied to the output of lit materials.
+  set toneMapping(value) {
+    this._colorParams[1] = value;
+  }
 
-    if (!this._renderPrimitives[renderMaterial._renderOrder]) {
-      this._renderPrimitives[renderMaterial._renderOrder] = [];
-    }
+  get toneMapping() {
+    return this._colorParams[1];
+  }
 
-    this._renderPrimitives[renderMaterial._renderOrder].push(renderPrimitive);
+  // Scales lit colors before tone mapping.
+  set exposure(value) {
+    this._colorParams[0] = value;
+  }
 
-    return renderPrimitive;
+  get exposure() {
+    return this._colorParams[0];
   }
 
-  createMesh(primitive, material) {
-    let meshNode = new Node();
-    meshNode.addRenderPrimitive(this.createRenderPrimitive(primitive, material));
-    return meshNode;
+  set frustumCulling(value) {
+    this._frustumCulling = !!value;
   }
 
-  drawViews(views, rootNode, depthData) {
-    if (!rootNode) {
-      return;
-    }
+  get frustumCulling() {
+    return this._frustumCulling;
+  }
 
-    let gl = this._gl;
-    this._frameId++;
+  // Number of primitive instances that were skipped by frustum culling in the
+  // last frame.
+  get culledCount() {
+    return this._culledCount;
+  }
 
-    rootNode.markActive(this._frameId);
+  // Estimates the GPU memory used by the renderer's buffers and textures.
+  // WebGL doesn't expose the size of compiled programs, so only their number
+  // is reported.
+  memoryInfo() {
+    let info = {
+      buffers: {count: 0, bytes: 0},
+      textures: {count: 0, bytes: 0},
+      // Depth buffers of RenderTargets. Their color buffers are textures.
+      renderTargets: {count: 0, bytes: 0},
+      programs: {count: 0},
+      totalBytes: 0,
+    };
 
-    // If there's only one view then flip the algorithm a bit so that we're only
-    // setting the viewport once.
-    if (views.length == 1 && views[0].viewport) {
-      let vp = views[0].viewport;
-      this._gl.viewport(vp.x, vp.y, vp.width, vp.height);
+    for (let renderBuffer of this._renderBuffers) {
+      info.buffers.count++;
+      info.buffers.bytes += renderBuffer._length;
     }
 
-    // Get the positions of the 'camera' for each view matrix.
-    for (let i = 0; i < views.length; ++i) {
-      if (this._cameraPositions.length <= i) {
-        this._cameraPositions.push(vec3.create());
-      }
-      let p = views[i].viewTransform.position;
-      this._cameraPositions[i][0] = p.x;
-      this._cameraPositions[i][1] = p.y;
-      this._cameraPositions[i][2] = p.z;
-
-      /*mat4.invert(inverseMatrix, views[i].viewMatrix);
-      let cameraPosition = this._cameraPositions[i];
-      vec3.set(cameraPosition, 0, 0, 0);
-      vec3.transformMat4(cameraPosition, cameraPosition, inverseMatrix);*/
+    for (let renderTexture of this._renderTextures) {
+      info.textures.count++;
+      info.textures.bytes += renderTexture._byteSize;
     }
 
-    // Draw each set of render primitives in order
-    for (let renderPrimitives of this._renderPrimitives) {
-      if (renderPrimitives && renderPrimitives.length) {
-        this._drawRenderPrimitiveSet(views, renderPrimitives, depthData);
+    for (let key in this._renderTargetCache) {
+      let target = this._renderTargetCache[key];
+      info.renderTargets.count++;
+      if (target.depthbuffer) {
+        info.renderTargets.bytes += target.width * target.height * 4;
+      }
+    }
+
+    info.programs.count = new Set(Object.values(this._programCache)).size;
+    info.totalBytes = info.buffers.bytes + info.textures.bytes + info.renderTargets.bytes;
+
+    return info;
+  }
+
+  // Turns on shadow mapping for the global light. Only nodes with castShadow
+  // set will be rendered into the shadow map, and only those with
+  // receiveShadow set will have shadows applied to them. See ShadowMap for the
+  // available options.
+  enableShadows(options = {}) {
+    if (!this._shadowMap) {
+      this._shadowMap = new ShadowMap(this._gl, options);
+    }
+    return this._shadowMap;
+  }
+
+  disableShadows() {
+    this._shadowMap = null;
+  }
+
+  get shadowMap() {
+    return this._shadowMap;
+  }
+
+  // Called with a ProgramError whenever one of the renderer's programs fails
+  // to compile or link. Objects using a broken material program are drawn in
+  // magenta instead.
+  set onShaderError(value) {
+    this._shaderErrorHandler = value;
+  }
+
+  get onShaderError() {
+    return this._shaderErrorHandler;
+  }
+
+  // True while the WebGL context is lost. Nothing is drawn until the context
+  // has been restored and restoreContext() has been called.
+  get contextLost() {
+    return this._gl.isContextLost();
+  }
+
+  // Rebuilds the renderer's caches after a webglcontextrestored event. Every
+  // RenderBuffer and RenderPrimitive created before the loss is invalid, so
+  // the scene's renderer needs to be set again afterwards to let nodes
+  // recreate them. Textures reupload from their sources the next time they're
+  // used.
+  restoreContext() {
+    let gl = this._gl;
+
+    this._programCache = {};
+    this._textureCache = {};
+    this._renderTargetCache = {};
+    this._renderPrimitives = Array(RENDER_ORDER.DEFAULT);
+    this._renderBuffers = new Set();
+    this._renderTextures = new Set();
+    this._resetDrawState();
+
+    this._instanceBuffer = null;
+    this._instanceAttribsEnabled = false;
+    this._depthMaskNeedsReset = false;
+    this._colorMaskNeedsReset = false;
+    this._xrFramebuffer = null;
+    this._xrBinding = null;
+    this._xrBindingSession = null;
+
+    // Extension objects don't survive a context loss either.
+    this._vaoExt = gl.getExtension('OES_vertex_array_object');
+    this._mv_ext = gl.getExtension('OVR_multiview2');
+    this._multiview = this._multiview && this._mv_ext;
+
+    if (this._shadowMap) {
+      this._shadowMap._resetTarget();
+    }
+    if (this._environmentMap) {
+      this._environmentMap._reset();
+    }
+  }
+
+  // Uses WEBGL_lose_context to lose and restore the context on demand, which
+  // is useful for testing that an app recovers correctly.
+  simulateContextLoss() {
+    if (!this._loseContextExt) {
+      this._loseContextExt = this._gl.getExtension('WEBGL_lose_context');
+    }
+    if (this._loseContextExt) {
+      this._loseContextExt.loseContext();
+    }
+  }
+
+  simulateContextRestore() {
+    if (this._loseContextExt) {
+      this._loseContextExt.restoreContext();
+    }
+  }
+
+  // If |keepData| is true the buffer holds on to |data|, which triangle hit
+  // tests need to read the geometry back.
+  createRenderBuffer(target, data, usage = GL.STATIC_DRAW, keepData = false) {
+    let gl = this._gl;
+    let glBuffer = gl.createBuffer();
+
+    let renderBuffer;
+    if (data instanceof Promise) {
+      renderBuffer = new RenderBuffer(target, usage, data.then((data) => {
+        gl.bindBuffer(target, glBuffer);
+        gl.bufferData(target, data, usage);
+        renderBuffer._length = data.byteLength;
+        if (keepData) {
+          renderBuffer._data = getByteView(data);
+        }
+        return glBuffer;
+      }));
+    } else {
+      gl.bindBuffer(target, glBuffer);
+      gl.bufferData(target, data, usage);
+      renderBuffer = new RenderBuffer(target, usage, glBuffer, data.byteLength);
+      if (keepData) {
+        renderBuffer._data = getByteView(data);
+      }
+    }
+
+    renderBuffer._renderer = this;
+    this._renderBuffers.add(renderBuffer);
+    return renderBuffer;
+  }
+
+  updateRenderBuffer(buffer, data, offset = 0) {
+    // Nothing to update once the buffer has been disposed of.
+    if (!buffer._renderer) {
+      return;
+    }
+    buffer._version++;
+
+    if (buffer._buffer) {
+      let gl = this._gl;
+      gl.bindBuffer(buffer._target, buffer._buffer);
+      if (offset == 0 && buffer._length == data.byteLength) {
+        gl.bufferData(buffer._target, data, buffer._usage);
+      } else {
+        gl.bufferSubData(buffer._target, offset, data);
+      }
+
+      if (buffer._data) {
+        // The kept data may be a view of the caller's, so update a copy.
+        let copy = new Uint8Array(buffer._data);
+        copy.set(getByteView(data), offset);
+        buffer._data = copy;
+      }
+    } else {
+      buffer.waitForComplete().then((buffer) => {
+        this.updateRenderBuffer(buffer, data, offset);
+      });
+    }
+  }
+
+  createRenderPrimitive(primitive, material) {
+    let renderPrimitive = new RenderPrimitive(primitive);
+    renderPrimitive._renderer = this;
+
+    if (primitive.morphTargets) {
+      renderPrimitive._morphTexture = this._createMorphTargetTexture(primitive.morphTargets);
+      renderPrimitive._morphTexture._retain();
+    }
+
+    let program = this._getMaterialProgram(material, renderPrimitive);
+    let renderMaterial = new RenderMaterial(this, material, program);
+    renderMaterial._sourceMaterial = material;
+    renderPrimitive.setRenderMaterial(renderMaterial);
+
+    if (!this._renderPrimitives[renderMaterial._renderOrder]) {
+      this._renderPrimitives[renderMaterial._renderOrder] = [];
+    }
+
+    this._renderPrimitives[renderMaterial._renderOrder].push(renderPrimitive);
+
+    return renderPrimitive;
+  }
+
+  _createMorphTargetTexture(morphTargets) {
+    let gl = this._gl;
+    let renderTexture = new RenderTexture(gl.createTexture());
+    renderTexture._renderer = this;
+    this._renderTextures.add(renderTexture);
+
+    Promise.resolve(morphTargets.data).then((data) => {
+      let texelCount = data.length / 4;
+      let width = Math.min(texelCount, MORPH_TEXTURE_WIDTH);
+      let height = Math.ceil(texelCount / width);
+      if (data.length < width * height * 4) {
+        let paddedData = new Float32Array(width * height * 4);
+        paddedData.set(data);
+        data = paddedData;
+      }
+
+      gl.bindTexture(gl.TEXTURE_2D, renderTexture._texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, data);
+      renderTexture._byteSize = width * height * 16;
+      // Float textures aren't filterable, and the shader only uses texelFetch.
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      renderTexture._complete = true;
+    });
+
+    return renderTexture;
+  }
+
+  _deleteRenderPrimitive(primitive) {
+    if (primitive._material) {
+      let renderPrimitives = this._renderPrimitives[primitive._material._renderOrder];
+      let index = renderPrimitives ? renderPrimitives.indexOf(primitive) : -1;
+      if (index > -1) {
+        renderPrimitives.splice(index, 1);
+      }
+    }
+
+    if (primitive._vao && this._vaoExt) {
+      this._vaoExt.deleteVertexArrayOES(primitive._vao);
+    }
+    primitive._vao = null;
+  }
+
+  _deleteRenderBuffer(renderBuffer) {
+    if (!this._renderBuffers.delete(renderBuffer)) {
+      return;
+    }
+
+    let gl = this._gl;
+    renderBuffer.waitForComplete().then(() => {
+      gl.deleteBuffer(renderBuffer._buffer);
+      renderBuffer._buffer = null;
+    });
+  }
+
+  _deleteRenderTexture(renderTexture) {
+    if (!this._renderTextures.delete(renderTexture)) {
+      return;
+    }
+
+    if (renderTexture._key && this._textureCache[renderTexture._key] == renderTexture) {
+      delete this._textureCache[renderTexture._key];
+    }
+
+    this._gl.deleteTexture(renderTexture._texture);
+    renderTexture._texture = null;
+    renderTexture._complete = false;
+    renderTexture._activeCallback = null;
+  }
+
+  // Called by RenderTarget.dispose(). The texture is only deleted once no
+  // material is using it either.
+  _deleteRenderTarget(renderTarget) {
+    let key = renderTarget.texture.textureKey;
+    let target = this._renderTargetCache[key];
+    if (!target) {
+      return;
+    }
+    delete this._renderTargetCache[key];
+
+    let gl = this._gl;
+    gl.deleteFramebuffer(target.framebuffer);
+    if (target.depthbuffer) {
+      gl.deleteRenderbuffer(target.depthbuffer);
+    }
+    target.renderTexture._release();
+  }
+
+  createMesh(primitive, material) {
+    let meshNode = new Node();
+    meshNode.addRenderPrimitive(this.createRenderPrimitive(primitive, material));
+    return meshNode;
+  }
+
+  // Draws the given node tree for each view. If a RenderTarget is given the
+  // views are drawn into it rather than the currently bound framebuffer, which
+  // is restored afterwards. Views without a viewport cover the whole target.
+  // Multiview renderers draw targets one view at a time, with single view
+  // variants of the material programs that are built on first use.
+  drawViews(views, rootNode, depthData, renderTarget = null) {
+    if (!rootNode || this._gl.isContextLost()) {
+      return;
+    }
+
+    let gl = this._gl;
+
+    let prevDrawFramebuffer = null;
+    let prevReadFramebuffer = null;
+    let prevViewport = null;
+    this._drawMultiview = this.multiview && !renderTarget;
+
+    if (renderTarget) {
+      prevDrawFramebuffer = gl.getParameter(gl.DRAW_FRAMEBUFFER_BINDING);
+      prevReadFramebuffer = gl.getParameter(gl.READ_FRAMEBUFFER_BINDING);
+      prevViewport = gl.getParameter(gl.VIEWPORT);
+      this._bindRenderTarget(renderTarget);
+    }
+
+    this._frameId++;
+
+    this._activeLights.length = 0;
+    rootNode.markActive(this._frameId);
+
+    // If there's only one view then flip the algorithm a bit so that we're only
+    // setting the viewport once.
+    if (views.length == 1 && views[0].viewport) {
+      let vp = views[0].viewport;
+      this._gl.viewport(vp.x, vp.y, vp.width, vp.height);
+    }
+
+    // Get the positions of the 'camera' for each view matrix.
+    for (let i = 0; i < views.length; ++i) {
+      if (this._cameraPositions.length <= i) {
+        this._cameraPositions.push(vec3.create());
+      }
+      let p = views[i].viewTransform.position;
+      this._cameraPositions[i][0] = p.x;
+      this._cameraPositions[i][1] = p.y;
+      this._cameraPositions[i][2] = p.z;
+
+      /*mat4.invert(inverseMatrix, views[i].viewMatrix);
+      let cameraPosition = this._cameraPositions[i];
+      vec3.set(cameraPosition, 0, 0, 0);
+      vec3.transformMat4(cameraPosition, cameraPosition, inverseMatrix);*/
+    }
+
+    this._lightUniforms.update(this._activeLights, this._cameraPositions[0]);
+    this._cullRenderPrimitives(views);
+
+    if (this._shadowMap) {
+      this._drawShadowMap();
+    }
+
+    this._bindEnvironmentMap();
+
+    // Draw each set of render primitives in order
+    for (let i = 0; i < this._renderPrimitives.length; ++i) {
+      let renderPrimitives = this._renderPrimitives[i];
+      if (renderPrimitives && renderPrimitives.length) {
+        if (i == RENDER_ORDER.TRANSPARENT) {
+          this._drawSortedRenderPrimitiveSet(views, renderPrimitives, depthData);
+        } else {
+          this._drawRenderPrimitiveSet(views, renderPrimitives, depthData);
+        }
       }
     }
 
@@ -878,145 +1582,683 @@ export class Renderer {
       this._vaoExt.bindVertexArrayOES(null);
     }
 
+    if (this._instanceAttribsEnabled) {
+      this._disableInstanceAttribs();
+    }
+
     if (this._depthMaskNeedsReset) {
       gl.depthMask(true);
     }
     if (this._colorMaskNeedsReset) {
       gl.colorMask(true, true, true, true);
     }
+
+    if (renderTarget) {
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, prevDrawFramebuffer);
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, prevReadFramebuffer);
+      gl.viewport(prevViewport[0], prevViewport[1], prevViewport[2], prevViewport[3]);
+    }
   }
 
-  _drawRenderPrimitiveSet(views, renderPrimitives, depthData) {
+  // Binds the framebuffer for a RenderTarget and clears it, (re)allocating its
+  // attachments if the target is new or has been resized.
+  _bindRenderTarget(renderTarget) {
     let gl = this._gl;
-    let program = null;
-    let material = null;
-    let attribMask = 0;
+    let renderTexture = this._getRenderTexture(renderTarget.texture);
+    let key = renderTarget.texture.textureKey;
+
+    let target = this._renderTargetCache[key];
+    if (!target) {
+      // The target keeps its texture alive while materials come and go, until
+      // RenderTarget.dispose() is called.
+      renderTexture._retain();
+      target = this._renderTargetCache[key] = {
+        renderTexture: renderTexture,
+        framebuffer: gl.createFramebuffer(),
+        depthbuffer: null,
+        width: 0,
+        height: 0,
+      };
+      renderTarget._renderer = this;
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+
+    let width = renderTarget.width;
+    let height = renderTarget.height;
+    if (target.width != width || target.height != height) {
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, renderTexture._texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      this._setSamplerParameters(renderTarget.texture);
+      // The depth buffer is counted separately, see memoryInfo().
+      renderTexture._byteSize = width * height * 4;
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, renderTexture._texture, 0);
+
+      if (renderTarget.depth) {
+        if (!target.depthbuffer) {
+          target.depthbuffer = gl.createRenderbuffer();
+        }
+        gl.bindRenderbuffer(gl.RENDERBUFFER, target.depthbuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, target.depthbuffer);
+      }
+
+      target.width = width;
+      target.height = height;
+    }
+
+    gl.viewport(0, 0, width, height);
+
+    if (renderTarget.clear) {
+      let prevClearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+      let c = renderTarget.clearColor;
+      gl.clearColor(c[0], c[1], c[2], c[3]);
+      gl.depthMask(true);
+      gl.colorMask(true, true, true, true);
+      gl.clear(gl.COLOR_BUFFER_BIT | (renderTarget.depth ? gl.DEPTH_BUFFER_BIT : 0));
+      gl.clearColor(prevClearColor[0], prevClearColor[1], prevClearColor[2], prevClearColor[3]);
+    }
+  }
+
+  _drawRenderPrimitiveSet(views, renderPrimitives, depthData) {
+    this._resetDrawState();
 
     // Loop through every primitive known to the renderer.
     for (let primitive of renderPrimitives) {
       // Skip over those that haven't been marked as active for this frame.
-      if (primitive._activeFrameId != this._frameId) {
+      if (primitive._activeFrameId != this._frameId || !primitive._viewMask) {
         continue;
       }
 
-      // Bind the primitive material's program if it's different than the one we
-      // were using for the previous primitive.
-      // TODO: The ording of this could be more efficient.
-      if (program != primitive._material._program) {
-        program = primitive._material._program;
-        program.use();
+      this._drawRenderPrimitive(views, primitive, primitive._instances, primitive._viewMasks, depthData);
+    }
+  }
+
+  // Blended primitives have to be drawn back to front to composite correctly,
+  // so rather than grouping by primitive every visible instance is sorted by
+  // its distance from the viewer. Consecutive instances that share a
+  // primitive are still drawn together.
+  _drawSortedRenderPrimitiveSet(views, renderPrimitives, depthData) {
+    // Sort relative to the point between all of the views.
+    vec3.set(sortOrigin, 0, 0, 0);
+    for (let i = 0; i < views.length; ++i) {
+      vec3.add(sortOrigin, sortOrigin, this._cameraPositions[i]);
+    }
+    vec3.scale(sortOrigin, sortOrigin, 1.0 / views.length);
+
+    let sortedDraws = this._sortedDraws;
+    sortedDraws.length = 0;
+
+    for (let primitive of renderPrimitives) {
+      if (primitive._activeFrameId != this._frameId || !primitive._viewMask) {
+        continue;
+      }
 
-        if (program.uniform.LIGHT_DIRECTION) {
-          gl.uniform3fv(program.uniform.LIGHT_DIRECTION, this._globalLightDir);
+      for (let j = 0; j < primitive._instances.length; ++j) {
+        let instance = primitive._instances[j];
+        if (instance._activeFrameId != this._frameId || !primitive._viewMasks[j]) {
+          continue;
+        }
+
+        if (this._sortedDrawPool.length <= sortedDraws.length) {
+          this._sortedDrawPool.push({primitive: null, instance: null, viewMask: 0, distance: 0});
         }
+        let draw = this._sortedDrawPool[sortedDraws.length];
+        draw.primitive = primitive;
+        draw.instance = instance;
+        draw.viewMask = primitive._viewMasks[j];
+        draw.distance = vec3.squaredDistance(sortOrigin, getSortPosition(primitive, instance));
+        sortedDraws.push(draw);
+      }
+    }
+
+    sortedDraws.sort(compareSortedDraws);
 
-        if (program.uniform.LIGHT_COLOR) {
-          gl.uniform3fv(program.uniform.LIGHT_COLOR, this._globalLightColor);
+    this._resetDrawState();
+
+    let runInstances = this._sortedRunInstances;
+    let runViewMasks = this._sortedRunViewMasks;
+    for (let i = 0; i < sortedDraws.length;) {
+      let primitive = sortedDraws[i].primitive;
+      runInstances.length = 0;
+      runViewMasks.length = 0;
+      for (; i < sortedDraws.length && sortedDraws[i].primitive == primitive; ++i) {
+        runInstances.push(sortedDraws[i].instance);
+        runViewMasks.push(sortedDraws[i].viewMask);
+      }
+      this._drawRenderPrimitive(views, primitive, runInstances, runViewMasks, depthData);
+    }
+
+    // Don't hold on to any nodes past the end of the frame.
+    for (let draw of sortedDraws) {
+      draw.primitive = null;
+      draw.instance = null;
+    }
+    runInstances.length = 0;
+  }
+
+  _resetDrawState() {
+    this._drawProgram = null;
+    this._drawMaterial = null;
+    this._drawAttribMask = 0;
+  }
+
+  // Draws the given instances of a primitive, which must be a subset of its
+  // instances with matching view masks.
+  _drawRenderPrimitive(views, primitive, instances, viewMasks, depthData) {
+    let gl = this._gl;
+    let program = this._drawProgram;
+    let material = this._drawMaterial;
+
+    // Bind the primitive material's program if it's different than the one we
+    // were using for the previous primitive.
+    // TODO: The ording of this could be more efficient.
+    let materialProgram = this._getDrawProgram(primitive);
+    if (program != materialProgram) {
+      program = this._drawProgram = materialProgram;
+      program.use();
+
+      if (!program.program) {
+        // The failed program stays retained by the material so that it isn't
+        // rebuilt, and fails again, for every new primitive.
+        program = this._drawProgram = this._getErrorProgram(primitive, this._drawMultiview);
+        program._retain();
+        if (this._drawMultiview == this.multiview) {
+          primitive._material._program = program;
+        } else {
+          primitive._material._singleViewProgram = program;
         }
+        program.use();
+      }
 
-        if (views.length == 1) {
-          gl.uniformMatrix4fv(program.uniform.PROJECTION_MATRIX, false, views[0].projectionMatrix);
-          gl.uniformMatrix4fv(program.uniform.VIEW_MATRIX, false, views[0].viewMatrix);
-          gl.uniform3fv(program.uniform.CAMERA_POSITION, this._cameraPositions[0]);
-          gl.uniform1i(program.uniform.EYE_INDEX, views[0].eyeIndex);
+      if (program.uniform.LIGHT_DIRECTION) {
+        gl.uniform3fv(program.uniform.LIGHT_DIRECTION, this._globalLightDir);
+      }
+
+      if (program.uniform.LIGHT_COLOR) {
+        gl.uniform3fv(program.uniform.LIGHT_COLOR, this._globalLightColor);
+      }
+
+      if (program.uniform.LIGHT_COUNT) {
+        let lights = this._lightUniforms;
+        gl.uniform1i(program.uniform.LIGHT_COUNT, lights.count);
+        if (lights.count) {
+          gl.uniform4fv(program.uniform.LIGHT_POSITIONS, lights.positions);
+          gl.uniform4fv(program.uniform.LIGHT_DIRECTIONS, lights.directions);
+          gl.uniform3fv(program.uniform.LIGHT_COLORS, lights.colors);
+          gl.uniform2fv(program.uniform.LIGHT_CONES, lights.cones);
         }
       }
 
-      if (material != primitive._material) {
-        this._bindMaterialState(primitive._material, material);
+      if (program.uniform.ENV_PARAMS) {
+        gl.uniform2fv(program.uniform.ENV_PARAMS, this._environmentParams);
+      }
+
+      if (program.uniform.COLOR_PARAMS) {
+        gl.uniform3fv(program.uniform.COLOR_PARAMS, this._colorParams);
+      }
+
+      if (this._shadowMap && program.uniform.SHADOW_MATRIX) {
+        gl.uniformMatrix4fv(program.uniform.SHADOW_MATRIX, false, this._shadowMap.shadowMatrix);
+        gl.uniform4fv(program.uniform.SHADOW_PARAMS, this._shadowMap.params);
+      }
+
+      if (views.length == 1) {
+        gl.uniformMatrix4fv(program.uniform.PROJECTION_MATRIX, false, views[0].projectionMatrix);
+        gl.uniformMatrix4fv(program.uniform.VIEW_MATRIX, false, views[0].viewMatrix);
+        gl.uniform3fv(program.uniform.CAMERA_POSITION, this._cameraPositions[0]);
+        gl.uniform1i(program.uniform.EYE_INDEX, views[0].eyeIndex);
+      }
+    }
+
+    if (material != primitive._material) {
+      this._bindMaterialState(primitive._material, material);
+      if (program == primitive._material._program) {
         primitive._material.bind(gl, program, material);
-        material = primitive._material;
+      } else {
+        primitive._material.bindVariant(gl, program);
       }
+      material = this._drawMaterial = primitive._material;
+    }
+
+    if (this._vaoExt) {
+      if (primitive._vao) {
+        this._vaoExt.bindVertexArrayOES(primitive._vao);
+      } else {
+        primitive._vao = this._vaoExt.createVertexArrayOES();
+        this._vaoExt.bindVertexArrayOES(primitive._vao);
+        this._bindPrimitive(primitive);
+      }
+    } else {
+      this._bindPrimitive(primitive, this._drawAttribMask);
+      this._drawAttribMask = primitive._attributeMask;
+    }
 
-      if (this._vaoExt) {
-        if (primitive._vao) {
-          this._vaoExt.bindVertexArrayOES(primitive._vao);
+    if (primitive._morphTexture && program.uniform.MORPH_TARGETS) {
+      // Bound past the material samplers and the depth texture.
+      let morphUnit = material._samplerCount + 1;
+      gl.activeTexture(gl.TEXTURE0 + morphUnit);
+      gl.bindTexture(gl.TEXTURE_2D, primitive._morphTexture._complete ? primitive._morphTexture._texture : null);
+      gl.uniform1i(program.uniform.MORPH_TARGETS, morphUnit);
+      gl.uniform1i(program.uniform.MORPH_VERTEX_COUNT, primitive._morphTargets.vertexCount);
+    }
+
+    let instanceCount = 0;
+    if (program.defines.USE_INSTANCING) {
+      instanceCount = this._bindInstances(primitive, instances, viewMasks);
+      if (!instanceCount) {
+        return;
+      }
+    }
+
+    for (let i = 0; i < views.length; ++i) {
+      let view = views[i];
+      // Multiview draws every view at once, so only instances outside of all
+      // of them can be skipped.
+      let viewMask = this._drawMultiview ? ~0 : (1 << i);
+
+      if (views.length > 1) {
+        if (view.viewport) {
+          let vp = view.viewport;
+          gl.viewport(vp.x, vp.y, vp.width, vp.height);
+        }
+        if (this._drawMultiview) {
+          if (i == 0) {
+            gl.uniformMatrix4fv(program.uniform.LEFT_PROJECTION_MATRIX, false, views[0].projectionMatrix);
+            gl.uniformMatrix4fv(program.uniform.LEFT_VIEW_MATRIX, false, views[0].viewMatrix);
+            gl.uniformMatrix4fv(program.uniform.RIGHT_PROJECTION_MATRIX, false, views[1].projectionMatrix);
+            gl.uniformMatrix4fv(program.uniform.RIGHT_VIEW_MATRIX, false, views[1].viewMatrix);
+          }
+          // TODO(AB): modify shaders which use CAMERA_POSITION and EYE_INDEX to work with Multiview
+          gl.uniform3fv(program.uniform.CAMERA_POSITION, this._cameraPositions[i]);
+          gl.uniform1i(program.uniform.EYE_INDEX, view.eyeIndex);
         } else {
-          primitive._vao = this._vaoExt.createVertexArrayOES();
-          this._vaoExt.bindVertexArrayOES(primitive._vao);
-          this._bindPrimitive(primitive);
+          gl.uniformMatrix4fv(program.uniform.PROJECTION_MATRIX, false, view.projectionMatrix);
+          gl.uniformMatrix4fv(program.uniform.VIEW_MATRIX, false, view.viewMatrix);
+          gl.uniform3fv(program.uniform.CAMERA_POSITION, this._cameraPositions[i]);
+          gl.uniform1i(program.uniform.EYE_INDEX, view.eyeIndex);
+
+          if (depthData && depthData.length) {
+            gl.uniform1ui(program.uniform.VIEW_ID, i);
+          }
         }
-      } else {
-        this._bindPrimitive(primitive, attribMask);
-        attribMask = primitive._attributeMask;
+        if (depthData) {
+          gl.uniform1i(program.uniform.sortDepth, depthData.length > 0);
+        }
+        if ((i == 0) && depthData && depthData.length) {
+          // for older browser that don't support projectionMatrix and transform on the depth data
+          gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_PROJECTION_MATRIX, false, views[0].projectionMatrix);
+          gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_VIEW_MATRIX, false, views[0].viewMatrix);
+          gl.uniformMatrix4fv(program.uniform.RIGHT_DEPTH_PROJECTION_MATRIX, false, views[1].projectionMatrix);
+          gl.uniformMatrix4fv(program.uniform.RIGHT_DEPTH_VIEW_MATRIX, false, views[1].viewMatrix);
+
+          gl.uniform1f(program.uniform.rawValueToMeters, depthData[0].rawValueToMeters);
+
+          if (depthData[0].projectionMatrix) {
+            gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_PROJECTION_MATRIX, false, depthData[0].projectionMatrix);
+            gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_VIEW_MATRIX, false, depthData[0].transform.inverse.matrix);
+            gl.uniformMatrix4fv(program.uniform.RIGHT_DEPTH_PROJECTION_MATRIX, false, depthData[1].projectionMatrix);
+            gl.uniformMatrix4fv(program.uniform.RIGHT_DEPTH_VIEW_MATRIX, false, depthData[1].transform.inverse.matrix);
+          }
+          // Bind the depth texture to the slot after the material samplers
+          gl.activeTexture(gl.TEXTURE0 + material._samplers.length);
+          gl.bindTexture(gl.TEXTURE_2D_ARRAY, depthData[0].texture);
+          gl.uniform1i(program.uniform.depthColor, material._samplers.length);
+        }
+      }
+
+      if (!(primitive._viewMask & viewMask)) {
+        continue;
+      }
+
+      if (instanceCount) {
+        this._drawInstanced(primitive, instanceCount);
+        if (this._drawMultiview) {
+          break;
+        }
+        continue;
+      }
+
+      for (let j = 0; j < instances.length; ++j) {
+        let instance = instances[j];
+        if (instance._activeFrameId != this._frameId ||
+            !(viewMasks[j] & viewMask)) {
+          continue;
+        }
+
+        if (program.uniform.RECEIVE_SHADOW) {
+          gl.uniform1i(program.uniform.RECEIVE_SHADOW, (this._shadowMap && instance._receiveShadow) ? 1 : 0);
+        }
+
+        this._drawInstance(program, primitive, instance);
+      }
+      if (this._drawMultiview) {
+        break;
+      }
+    }
+  }
+
+  // Called by LightNodes as they're marked active for the frame.
+  _addActiveLight(light) {
+    this._activeLights.push(light);
+  }
+
+  // Generates the environment map's lighting textures if needed, and binds
+  // them for the frame.
+  _bindEnvironmentMap() {
+    let gl = this._gl;
+    let environmentMap = this._environmentMap;
+
+    this._environmentParams = NO_ENVIRONMENT_PARAMS;
+    if (environmentMap && environmentMap._update(this)) {
+      this._environmentParams = environmentMap.params;
+      gl.activeTexture(gl.TEXTURE0 + ENV_IRRADIANCE_TEXTURE_UNIT);
+      gl.bindTexture(gl.TEXTURE_2D, environmentMap.irradianceTexture);
+      gl.activeTexture(gl.TEXTURE0 + ENV_SPECULAR_TEXTURE_UNIT);
+      gl.bindTexture(gl.TEXTURE_2D, environmentMap.specularTexture);
+    }
+  }
+
+  // Tests the bounds of every active instance against each view's frustum.
+  _cullRenderPrimitives(views) {
+    for (let i = 0; i < views.length; ++i) {
+      if (this._frustums.length <= i) {
+        this._frustums.push(new Frustum());
+      }
+      mat4.mul(viewProjectionMatrix, views[i].projectionMatrix, views[i].viewMatrix);
+      this._frustums[i].setFromMatrix(viewProjectionMatrix);
+    }
+
+    let allViews = (1 << views.length) - 1;
+    let culledCount = 0;
+
+    for (let renderPrimitives of this._renderPrimitives) {
+      if (!renderPrimitives) {
+        continue;
       }
 
-      for (let i = 0; i < views.length; ++i) {
-        let view = views[i];
-        if (views.length > 1) {
-          if (view.viewport) {
-            let vp = view.viewport;
-            gl.viewport(vp.x, vp.y, vp.width, vp.height);
+      for (let primitive of renderPrimitives) {
+        if (primitive._activeFrameId != this._frameId) {
+          continue;
+        }
+
+        // Skinning and morph targets move vertices outside of the static bounds.
+        let cullable = this._frustumCulling && primitive._min && !primitive._morphTargets;
+
+        primitive._viewMask = 0;
+        for (let j = 0; j < primitive._instances.length; ++j) {
+          let instance = primitive._instances[j];
+          if (instance._activeFrameId != this._frameId) {
+            continue;
           }
-          if (this.multiview) {
-            if (i == 0) {
-              gl.uniformMatrix4fv(program.uniform.LEFT_PROJECTION_MATRIX, false, views[0].projectionMatrix);
-              gl.uniformMatrix4fv(program.uniform.LEFT_VIEW_MATRIX, false, views[0].viewMatrix);
-              gl.uniformMatrix4fv(program.uniform.RIGHT_PROJECTION_MATRIX, false, views[1].projectionMatrix);
-              gl.uniformMatrix4fv(program.uniform.RIGHT_VIEW_MATRIX, false, views[1].viewMatrix);
+
+          let mask = allViews;
+          if (cullable && instance.frustumCulled && !instance.skin) {
+            mask = 0;
+            let worldMatrix = instance.worldMatrix;
+            for (let i = 0; i < views.length; ++i) {
+              if (this._frustums[i].intersectsAABB(primitive._min, primitive._max, worldMatrix)) {
+                mask |= (1 << i);
+              }
             }
-            // TODO(AB): modify shaders which use CAMERA_POSITION and EYE_INDEX to work with Multiview
-            gl.uniform3fv(program.uniform.CAMERA_POSITION, this._cameraPositions[i]);
-            gl.uniform1i(program.uniform.EYE_INDEX, view.eyeIndex);
-          } else {
-            gl.uniformMatrix4fv(program.uniform.PROJECTION_MATRIX, false, view.projectionMatrix);
-            gl.uniformMatrix4fv(program.uniform.VIEW_MATRIX, false, view.viewMatrix);
-            gl.uniform3fv(program.uniform.CAMERA_POSITION, this._cameraPositions[i]);
-            gl.uniform1i(program.uniform.EYE_INDEX, view.eyeIndex);
-
-            if (depthData && depthData.length) {
-              gl.uniform1ui(program.uniform.VIEW_ID, i);
+            if (!mask) {
+              culledCount++;
             }
           }
-          if (depthData) {
-            gl.uniform1i(program.uniform.sortDepth, depthData.length > 0);
+
+          primitive._viewMasks[j] = mask;
+          primitive._viewMask |= mask;
+        }
+      }
+    }
+
+    this._culledCount = culledCount;
+  }
+
+  _drawInstance(program, primitive, instance) {
+    let gl = this._gl;
+
+    gl.uniformMatrix4fv(program.uniform.MODEL_MATRIX, false, instance.worldMatrix);
+
+    if (primitive._morphTargets && program.uniform.MORPH_WEIGHTS) {
+      gl.uniform1fv(program.uniform.MORPH_WEIGHTS, instance.weights || primitive._defaultMorphWeights);
+    }
+
+    if (instance.skin && program.uniform.JOINT_MATRICES) {
+      gl.uniformMatrix4fv(program.uniform.JOINT_MATRICES, false,
+                          instance.skin.updateJointMatrices(instance));
+    }
+
+    if (primitive._indexBuffer) {
+      gl.drawElements(primitive._mode, primitive._elementCount,
+          primitive._indexType, primitive._indexByteOffset);
+    } else {
+      gl.drawArrays(primitive._mode, 0, primitive._elementCount);
+    }
+  }
+
+  _drawInstanced(primitive, instanceCount) {
+    let gl = this._gl;
+
+    if (primitive._indexBuffer) {
+      gl.drawElementsInstanced(primitive._mode, primitive._elementCount,
+          primitive._indexType, primitive._indexByteOffset, instanceCount);
+    } else {
+      gl.drawArraysInstanced(primitive._mode, 0, primitive._elementCount, instanceCount);
+    }
+  }
+
+  // Packs the world matrices of the given active instances into the
+  // instance buffer and binds it to the per-instance attributes. Returns the
+  // number of instances to draw.
+  _bindInstances(primitive, instances, viewMasks) {
+    let gl = this._gl;
+    let count = 0;
+
+    for (let j = 0; j < instances.length; ++j) {
+      let instance = instances[j];
+      if (instance._activeFrameId != this._frameId) {
+        continue;
+      }
+
+      // Without view masks only shadow casters are included. Those outside of
+      // the view can still cast visible shadows, so they aren't culled.
+      if (viewMasks ? !viewMasks[j] : !instance._castShadow) {
+        continue;
+      }
+
+      let offset = count * INSTANCE_FLOAT_COUNT;
+      if (offset + INSTANCE_FLOAT_COUNT > this._instanceData.length) {
+        let instanceData = new Float32Array(this._instanceData.length * 2);
+        instanceData.set(this._instanceData);
+        this._instanceData = instanceData;
+      }
+
+      this._instanceData.set(instance.worldMatrix, offset);
+      this._instanceData[offset + 16] = (this._shadowMap && instance._receiveShadow) ? 1.0 : 0.0;
+      count++;
+    }
+
+    if (!count) {
+      return 0;
+    }
+
+    if (!this._instanceBuffer) {
+      this._instanceBuffer = gl.createBuffer();
+    }
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this._instanceData.subarray(0, count * INSTANCE_FLOAT_COUNT), gl.DYNAMIC_DRAW);
+
+    for (let i = 0; i < 4; ++i) {
+      let index = ATTRIB.INSTANCE_MATRIX + i;
+      gl.enableVertexAttribArray(index);
+      gl.vertexAttribPointer(index, 4, gl.FLOAT, false, INSTANCE_STRIDE, i * 16);
+      gl.vertexAttribDivisor(index, 1);
+    }
+
+    gl.enableVertexAttribArray(ATTRIB.INSTANCE_RECEIVE_SHADOW);
+    gl.vertexAttribPointer(ATTRIB.INSTANCE_RECEIVE_SHADOW, 1, gl.FLOAT, false, INSTANCE_STRIDE, 64);
+    gl.vertexAttribDivisor(ATTRIB.INSTANCE_RECEIVE_SHADOW, 1);
+
+    this._instanceAttribsEnabled = true;
+
+    return count;
+  }
+
+  _disableInstanceAttribs() {
+    let gl = this._gl;
+
+    for (let i = 0; i < 4; ++i) {
+      gl.vertexAttribDivisor(ATTRIB.INSTANCE_MATRIX + i, 0);
+      gl.disableVertexAttribArray(ATTRIB.INSTANCE_MATRIX + i);
+    }
+    gl.vertexAttribDivisor(ATTRIB.INSTANCE_RECEIVE_SHADOW, 0);
+    gl.disableVertexAttribArray(ATTRIB.INSTANCE_RECEIVE_SHADOW);
+
+    this._instanceAttribsEnabled = false;
+  }
+
+  // Renders every active, opaque shadow caster into the shadow map from the
+  // point of view of the global light.
+  _drawShadowMap() {
+    let gl = this._gl;
+    let shadowMap = this._shadowMap;
+    let casters = this._renderPrimitives[RENDER_ORDER.OPAQUE];
+
+    shadowMap.update(this._globalLightDir, this._cameraPositions[0]);
+
+    let prevDrawFramebuffer = gl.getParameter(gl.DRAW_FRAMEBUFFER_BINDING);
+    let prevReadFramebuffer = gl.getParameter(gl.READ_FRAMEBUFFER_BINDING);
+    let prevViewport = gl.getParameter(gl.VIEWPORT);
+
+    // Make sure the shadow map isn't bound for sampling while it's rendered to.
+    gl.activeTexture(gl.TEXTURE0 + SHADOW_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    shadowMap.bind();
+
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LESS);
+    gl.disable(gl.BLEND);
+    // Both faces are rendered so that open meshes and planes cast shadows.
+    gl.disable(gl.CULL_FACE);
+    gl.enable(gl.POLYGON_OFFSET_FILL);
+    gl.polygonOffset(shadowMap.polygonOffsetFactor, shadowMap.polygonOffsetUnits);
+
+    let program = null;
+    let attribMask = 0;
+
+    if (casters) {
+      for (let primitive of casters) {
+        if (primitive._activeFrameId != this._frameId) {
+          continue;
+        }
+
+        let shadowProgram = this._getShadowProgram(primitive);
+        if (program != shadowProgram) {
+          program = shadowProgram;
+          program.use();
+          // Programs that failed to link are left without a valid handle.
+          if (program.program) {
+            gl.uniformMatrix4fv(program.uniform.PROJECTION_MATRIX, false, shadowMap.projectionMatrix);
+            gl.uniformMatrix4fv(program.uniform.VIEW_MATRIX, false, shadowMap.viewMatrix);
           }
-          if ((i == 0) && depthData && depthData.length) {
-            // for older browser that don't support projectionMatrix and transform on the depth data
-            gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_PROJECTION_MATRIX, false, views[0].projectionMatrix);
-            gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_VIEW_MATRIX, false, views[0].viewMatrix);
-            gl.uniformMatrix4fv(program.uniform.RIGHT_DEPTH_PROJECTION_MATRIX, false, views[1].projectionMatrix);
-            gl.uniformMatrix4fv(program.uniform.RIGHT_DEPTH_VIEW_MATRIX, false, views[1].viewMatrix);
-
-            gl.uniform1f(program.uniform.rawValueToMeters, depthData[0].rawValueToMeters);
-
-            if (depthData[0].projectionMatrix) {
-              gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_PROJECTION_MATRIX, false, depthData[0].projectionMatrix);
-              gl.uniformMatrix4fv(program.uniform.LEFT_DEPTH_VIEW_MATRIX, false, depthData[0].transform.inverse.matrix);
-              gl.uniformMatrix4fv(program.uniform.RIGHT_DEPTH_PROJECTION_MATRIX, false, depthData[1].projectionMatrix);
-              gl.uniformMatrix4fv(program.uniform.RIGHT_DEPTH_VIEW_MATRIX, false, depthData[1].transform.inverse.matrix);
-            }
-            // Bind the depth texture to the slot after the material samplers
-            gl.activeTexture(gl.TEXTURE0 + material._samplers.length);
-            gl.bindTexture(gl.TEXTURE_2D_ARRAY, depthData[0].texture);
-            gl.uniform1i(program.uniform.depthColor, material._samplers.length);
+        }
+
+        if (!program.program) {
+          continue;
+        }
+
+        this._bindPrimitive(primitive, attribMask);
+        attribMask = primitive._attributeMask;
+
+        // Alpha masked casters need the material's base color and cutoff.
+        if (program.defines.USE_ALPHA_MASK) {
+          primitive._material.bindVariant(gl, program);
+        }
+
+        if (primitive._morphTexture && program.uniform.MORPH_TARGETS) {
+          // Bound past the material samplers, as in the main pass.
+          let morphUnit = primitive._material._samplerCount + 1;
+          gl.activeTexture(gl.TEXTURE0 + morphUnit);
+          gl.bindTexture(gl.TEXTURE_2D, primitive._morphTexture._complete ? primitive._morphTexture._texture : null);
+          gl.uniform1i(program.uniform.MORPH_TARGETS, morphUnit);
+          gl.uniform1i(program.uniform.MORPH_VERTEX_COUNT, primitive._morphTargets.vertexCount);
+        }
+
+        if (program.defines.USE_INSTANCING) {
+          let instanceCount = this._bindInstances(primitive, primitive._instances, null);
+          if (instanceCount) {
+            this._drawInstanced(primitive, instanceCount);
           }
+          continue;
         }
 
         for (let instance of primitive._instances) {
-          if (instance._activeFrameId != this._frameId) {
+          if (instance._activeFrameId != this._frameId || !instance._castShadow) {
             continue;
           }
 
-          gl.uniformMatrix4fv(program.uniform.MODEL_MATRIX, false, instance.worldMatrix);
+          this._drawInstance(program, primitive, instance);
+        }
+      }
+    }
+
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, prevDrawFramebuffer);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, prevReadFramebuffer);
+    gl.viewport(prevViewport[0], prevViewport[1], prevViewport[2], prevViewport[3]);
+
+    gl.activeTexture(gl.TEXTURE0 + SHADOW_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, shadowMap.texture);
+  }
+
+  // Builds a depth-only variant of the primitive's material program, used to
+  // render it into the shadow map.
+  _getShadowProgram(primitive) {
+    let renderMaterial = primitive._material;
+    if (renderMaterial._shadowProgram) {
+      return renderMaterial._shadowProgram;
+    }
 
-          if (primitive._indexBuffer) {
-            gl.drawElements(primitive._mode, primitive._elementCount,
-                primitive._indexType, primitive._indexByteOffset);
-          } else {
-            gl.drawArrays(primitive._mode, 0, primitive._elementCount);
+    let material = renderMaterial._sourceMaterial;
+    let defines = material.getProgramDefines(primitive);
+    let key = this._getProgramKey(`${material.materialName}_SHADOW`, defines);
+
+    if (!(key in this._programCache)) {
+      let vertexSource = resolveShaderIncludes(material.vertexSource + VERTEX_SHADER_INSTANCING + VERTEX_SHADER_ENTRY);
+      let fragmentSource = `precision ${this._defaultFragPrecision} float;\n` + SHADOW_CASTER_FRAGMENT_SOURCE;
+      let program = new Program(this._gl, vertexSource, fragmentSource, ATTRIB, defines);
+      program.name = `${material.materialName}_SHADOW`;
+      program.onError((error) => this._onProgramError(error));
+      this._addProgramToCache(key, program);
+
+      if (defines.USE_ALPHA_MASK) {
+        // Same texture units as the material's main program.
+        program.onNextUse((program) => {
+          for (let i = 0; i < material._samplers.length; ++i) {
+            let uniform = program.uniform[material._samplers[i]._uniformName];
+            if (uniform) {
+              this._gl.uniform1i(uniform, i);
+            }
           }
-        }
-        if (this.multiview) {
-          break;
-        }
+        });
       }
     }
+
+    renderMaterial._shadowProgram = this._programCache[key];
+    renderMaterial._shadowProgram._retain();
+    return renderMaterial._shadowProgram;
   }
 
   addExternalTexture(key, texture, isArray) {
     if (this._textureCache[key] === undefined) {
-      this._textureCache[key] = {};
+      // Owned by the caller, so it's never deleted by the renderer.
+      this._textureCache[key] = new RenderTexture(null);
+      this._textureCache[key]._isExternalTexture = true;
     }
     this._textureCache[key]._complete = true;
     this._textureCache[key]._texture = texture;
@@ -1040,21 +2282,33 @@ export class Renderer {
       let textureHandle = gl.createTexture();
 
       let renderTexture = new RenderTexture(textureHandle);
+      renderTexture._renderer = this;
+      renderTexture._key = key;
       this._textureCache[key] = renderTexture;
+      this._renderTextures.add(renderTexture);
 
       if (texture instanceof ExternalTexture) {
         renderTexture._isExternalTexture = true;
+      } else if (texture instanceof RenderTargetTexture) {
+        // Storage is allocated when the target is first drawn into.
+        renderTexture._complete = true;
       } else if (texture instanceof DataTexture) {
         gl.bindTexture(gl.TEXTURE_2D, textureHandle);
         gl.texImage2D(gl.TEXTURE_2D, 0, texture.format, texture.width, texture.height,
                                      0, texture.format, texture._type, texture._data);
-        this._setSamplerParameters(texture);
+        renderTexture._byteSize = this._setSamplerParameters(texture) *
+            getTexelByteSize(texture.format, texture._type);
         renderTexture._complete = true;
       } else {
         texture.waitForComplete().then(() => {
+          // Disposed of before it finished loading.
+          if (!this._renderTextures.has(renderTexture)) {
+            return;
+          }
           gl.bindTexture(gl.TEXTURE_2D, textureHandle);
           gl.texImage2D(gl.TEXTURE_2D, 0, texture.format, texture.format, gl.UNSIGNED_BYTE, texture.source);
-          this._setSamplerParameters(texture);
+          renderTexture._byteSize = this._setSamplerParameters(texture) *
+              getTexelByteSize(texture.format, gl.UNSIGNED_BYTE);
           renderTexture._complete = true;
 
           if (texture instanceof VideoTexture) {
@@ -1062,7 +2316,7 @@ export class Renderer {
             // contents each frame.
             texture._video.addEventListener('playing', () => {
               renderTexture._activeCallback = () => {
-                if (!texture._video.paused && !texture._video.waiting) {
+                if (renderTexture._texture && !texture._video.paused && !texture._video.waiting) {
                   gl.bindTexture(gl.TEXTURE_2D, textureHandle);
                   gl.texImage2D(gl.TEXTURE_2D, 0, texture.format, texture.format, gl.UNSIGNED_BYTE, texture.source);
                 }
@@ -1076,6 +2330,7 @@ export class Renderer {
     }
   }
 
+  // Returns the number of texels in the texture, including its mip levels.
   _setSamplerParameters(texture) {
     let gl = this._gl;
 
@@ -1094,6 +2349,9 @@ export class Renderer {
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, minFilter);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrapS);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrapT);
+
+    let texelCount = texture.width * texture.height;
+    return mipmap ? Math.ceil(texelCount * 4 / 3) : texelCount;
   }
 
   _getProgramKey(name, defines) {
@@ -1106,7 +2364,24 @@ export class Renderer {
     return key;
   }
 
-  _getMaterialProgram(material, renderPrimitive) {
+  // Gets the program to draw the primitive with for the current views, which
+  // for a multiview renderer drawing into a RenderTarget is a single view
+  // variant of its material's program.
+  _getDrawProgram(primitive) {
+    let renderMaterial = primitive._material;
+    if (this._drawMultiview == this.multiview) {
+      return renderMaterial._program;
+    }
+
+    if (!renderMaterial._singleViewProgram) {
+      renderMaterial._singleViewProgram =
+          this._getMaterialProgram(renderMaterial._sourceMaterial, primitive, false);
+      renderMaterial._singleViewProgram._retain();
+    }
+    return renderMaterial._singleViewProgram;
+  }
+
+  _getMaterialProgram(material, renderPrimitive, multiview = this.multiview) {
     let materialName = material.materialName;
     material.useDepth = this.useDepth;
     let vertexSource = material.vertexSource;
@@ -1124,38 +2399,38 @@ export class Renderer {
     }
 
     let defines = material.getProgramDefines(renderPrimitive);
-    let key = this._getProgramKey(materialName, defines);
 
     let extensions = [];
     let layouts = [];
-    if (this.multiview) {
+    let programDefines = defines;
+    if (multiview) {
       extensions = ['GL_OVR_multiview2'];
       layouts = ['num_views=2'];
+      programDefines = Object.assign({MULTIVIEW: 1}, defines);
     }
 
+    // Multiview renderers can have both variants of a program.
+    let key = this._getProgramKey(materialName, programDefines);
+
     if (key in this._programCache) {
       return this._programCache[key];
     } else {
-      let fullVertexSource = vertexSource;
-      if (this._useDepth) {
-        fullVertexSource += this.multiview ? VERTEX_SHADER_MULTI_DEPTH_ENTRY : VERTEX_SHADER_DEPTH_ENTRY;
-      } else {
-        fullVertexSource += this.multiview ? VERTEX_SHADER_MULTI_ENTRY : VERTEX_SHADER_ENTRY;
-      }
+      let fullVertexSource = vertexSource + VERTEX_SHADER_INSTANCING +
+          (this._useDepth ? VERTEX_SHADER_DEPTH_ENTRY : VERTEX_SHADER_ENTRY);
 
       let precisionMatch = fragmentSource.match(PRECISION_REGEX);
       let fragPrecisionHeader = precisionMatch ? '' : `precision ${this._defaultFragPrecision} float;\n`;
 
-      let fullFragmentSource = fragPrecisionHeader + fragmentSource;
-
-      if (this._useDepth) {
-        fullFragmentSource += this.multiview ? FRAGMENT_SHADER_MULTI_DEPTH_ENTRY : FRAGMENT_SHADER_DEPTH_ENTRY;
-      } else {
-        fullFragmentSource += this.multiview ? FRAGMENT_SHADER_MULTI_ENTRY : FRAGMENT_SHADER_ENTRY
-      }
+      let fullFragmentSource = fragPrecisionHeader + fragmentSource +
+          (this._useDepth ? FRAGMENT_SHADER_DEPTH_ENTRY : FRAGMENT_SHADER_ENTRY);
 
-      let program = new Program(this._gl, fullVertexSource, fullFragmentSource, ATTRIB, defines, extensions, layouts);
-      this._programCache[key] = program;
+      let program = new Program(this._gl, resolveShaderIncludes(fullVertexSource),
+                                resolveShaderIncludes(fullFragmentSource),
+                                ATTRIB, programDefines, extensions, layouts);
+      program.name = materialName;
+      program.fragmentLineOffset = fragPrecisionHeader ? 1 : 0;
+      program.onError((error) => this._onProgramError(error));
+      this._addProgramToCache(key, program);
 
       program.onNextUse((program) => {
         // Bind the samplers to the right texture index. This is constant for
@@ -1167,18 +2442,49 @@ export class Renderer {
             this._gl.uniform1i(uniform, i);
           }
         }
+
+        if (program.uniform.SHADOW_MAP) {
+          this._gl.uniform1i(program.uniform.SHADOW_MAP, SHADOW_TEXTURE_UNIT);
+        }
+
+        if (program.uniform.ENV_IRRADIANCE) {
+          this._gl.uniform1i(program.uniform.ENV_IRRADIANCE, ENV_IRRADIANCE_TEXTURE_UNIT);
+          this._gl.uniform1i(program.uniform.ENV_SPECULAR, ENV_SPECULAR_TEXTURE_UNIT);
+        }
       });
 
       return program;
     }
   }
 
+  // Gets the fallback program for a primitive whose material program failed,
+  // matching its use of instancing.
+  _getErrorProgram(primitive, multiview = this.multiview) {
+    let instanced = !!primitive._material._program.defines.USE_INSTANCING;
+    return this._getMaterialProgram(new ErrorMaterial(instanced), primitive, multiview);
+  }
+
+  _addProgramToCache(key, program) {
+    this._programCache[key] = program;
+    program.onDispose(() => {
+      if (this._programCache[key] == program) {
+        delete this._programCache[key];
+      }
+    });
+  }
+
+  _onProgramError(error) {
+    if (this._shaderErrorHandler) {
+      this._shaderErrorHandler(error);
+    }
+  }
+
   _bindPrimitive(primitive, attribMask) {
     let gl = this._gl;
 
     // If the active attributes have changed then update the active set.
     if (attribMask != primitive._attributeMask) {
-      for (let attrib in ATTRIB) {
+      for (let attrib in ATTRIB_MASK) {
         if (primitive._attributeMask & ATTRIB_MASK[attrib]) {
           gl.enableVertexAttribArray(ATTRIB[attrib]);
         } else {
@@ -0,0 +1,405 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Dynamic bounding volume hierarchy over the world space bounds of the nodes in
+a scene that have render primitives. Each Scene keeps one up to date as nodes
+are added, removed or moved: moved nodes are only refit when the tree is next
+queried, and only reinserted if they've left the slightly enlarged bounds the
+tree holds for them. Used by Scene.hitTest() and available for other spatial
+queries through Scene.bvh.
+
+Nodes whose primitives have no bounds can't be placed in the tree, so they're
+returned by every query.
+*/
+
+import {vec3} from '../math/gl-matrix.js';
+
+// How far the bounds stored in the tree extend past a node's actual bounds,
+// so that small movements don't require reinserting it.
+const BOUNDS_MARGIN = 0.1;
+
+let tmpCorner = vec3.create();
+
+class SceneBVHEntry {
+  constructor(node) {
+    this.node = node;
+    // The node's actual world space bounds.
+    this.min = vec3.create();
+    this.max = vec3.create();
+    this.leaf = null;
+    this.dirty = true;
+  }
+}
+
+class SceneBVHTreeNode {
+  constructor() {
+    this.min = vec3.create();
+    this.max = vec3.create();
+    this.parent = null;
+    this.left = null;
+    this.right = null;
+    // Only set for leaves.
+    this.entry = null;
+  }
+}
+
+// Writes the world space bounds of the node's render primitives to |min| and
+// |max|. Returns false if none of them have bounds.
+function computeWorldBounds(node, min, max) {
+  vec3.set(min, Infinity, Infinity, Infinity);
+  vec3.set(max, -Infinity, -Infinity, -Infinity);
+
+  let bounded = false;
+  let worldMatrix = node.worldMatrix;
+  for (let primitive of node._renderPrimitives) {
+    if (!primitive._min) {
+      continue;
+    }
+    bounded = true;
+    for (let i = 0; i < 8; ++i) {
+      vec3.set(tmpCorner,
+               (i & 1) ? primitive._max[0] : primitive._min[0],
+               (i & 2) ? primitive._max[1] : primitive._min[1],
+               (i & 4) ? primitive._max[2] : primitive._min[2]);
+      vec3.transformMat4(tmpCorner, tmpCorner, worldMatrix);
+      vec3.min(min, min, tmpCorner);
+      vec3.max(max, max, tmpCorner);
+    }
+  }
+  return bounded;
+}
+
+function surfaceArea(min, max) {
+  let x = max[0] - min[0];
+  let y = max[1] - min[1];
+  let z = max[2] - min[2];
+  return 2 * (x * y + y * z + z * x);
+}
+
+function unionSurfaceArea(a, b) {
+  let x = Math.max(a.max[0], b.max[0]) - Math.min(a.min[0], b.min[0]);
+  let y = Math.max(a.max[1], b.max[1]) - Math.min(a.min[1], b.min[1]);
+  let z = Math.max(a.max[2], b.max[2]) - Math.min(a.min[2], b.min[2]);
+  return 2 * (x * y + y * z + z * x);
+}
+
+function contains(outer, min, max) {
+  return outer.min[0] <= min[0] && outer.min[1] <= min[1] && outer.min[2] <= min[2] &&
+         outer.max[0] >= max[0] && outer.max[1] >= max[1] && outer.max[2] >= max[2];
+}
+
+// Distance along the ray to the box, or Infinity if it's missed.
+function rayBoxDistance(ray, min, max) {
+  let tmin = 0;
+  let tmax = Infinity;
+  for (let k = 0; k < 3; ++k) {
+    let t0 = (min[k] - ray.origin[k]) * ray.inv_dir[k];
+    let t1 = (max[k] - ray.origin[k]) * ray.inv_dir[k];
+    if (t0 > t1) {
+      let t = t0;
+      t0 = t1;
+      t1 = t;
+    }
+    // NaN, from a ray parallel to and on the slab's plane, counts as a hit.
+    if (t0 > tmin) {
+      tmin = t0;
+    }
+    if (t1 < tmax) {
+      tmax = t1;
+    }
+    if (tmin > tmax) {
+      return Infinity;
+    }
+  }
+  return tmin;
+}
+
+function pointBoxDistanceSquared(point, min, max) {
+  let distance = 0;
+  for (let k = 0; k < 3; ++k) {
+    let d = Math.max(min[k] - point[k], 0, point[k] - max[k]);
+    distance += d * d;
+  }
+  return distance;
+}
+
+export class SceneBVH {
+  constructor() {
+    this._root = null;
+    this._entries = new Map();
+    this._dirtyEntries = new Set();
+    this._unbounded = new Set();
+  }
+
+  // Nodes are added and removed by the Scene as they enter and leave it.
+  _insert(node) {
+    if (!this._entries.has(node)) {
+      let entry = new SceneBVHEntry(node);
+      this._entries.set(node, entry);
+      this._dirtyEntries.add(entry);
+    }
+  }
+
+  _remove(node) {
+    let entry = this._entries.get(node);
+    if (entry) {
+      this._removeLeaf(entry);
+      this._entries.delete(node);
+      this._dirtyEntries.delete(entry);
+      this._unbounded.delete(node);
+    }
+  }
+
+  // Called when a node has moved or its render primitives have changed.
+  _markDirty(node) {
+    let entry = this._entries.get(node);
+    if (entry) {
+      this._dirtyEntries.add(entry);
+    }
+  }
+
+  // Refits any nodes that have changed since the last update. Called by each
+  // of the queries.
+  update() {
+    for (let entry of this._dirtyEntries) {
+      let node = entry.node;
+      if (!node._renderPrimitives || !computeWorldBounds(node, entry.min, entry.max)) {
+        this._removeLeaf(entry);
+        this._unbounded.add(node);
+        continue;
+      }
+      this._unbounded.delete(node);
+
+      if (entry.leaf && contains(entry.leaf, entry.min, entry.max)) {
+        continue;
+      }
+
+      this._removeLeaf(entry);
+      this._insertLeaf(entry);
+    }
+    this._dirtyEntries.clear();
+  }
+
+  // Returns every node whose bounds are hit by the ray, nearest first, as
+  // {node, distance} where |distance| is to the point the ray enters the
+  // node's bounds. Distances for unbounded nodes are 0.
+  raycast(ray) {
+    this.update();
+
+    let hits = [];
+    for (let node of this._unbounded) {
+      hits.push({node: node, distance: 0});
+    }
+
+    this._traverse(
+      (treeNode) => rayBoxDistance(ray, treeNode.min, treeNode.max) != Infinity,
+      (entry) => {
+        let distance = rayBoxDistance(ray, entry.min, entry.max);
+        if (distance != Infinity) {
+          hits.push({node: entry.node, distance: distance});
+        }
+      });
+
+    hits.sort((a, b) => a.distance - b.distance);
+    return hits;
+  }
+
+  // Returns the nodes whose bounds overlap the given sphere.
+  querySphere(center, radius, out = []) {
+    this.update();
+
+    let radiusSquared = radius * radius;
+    let overlaps = (min, max) => pointBoxDistanceSquared(center, min, max) <= radiusSquared;
+    this._query(overlaps, out);
+    return out;
+  }
+
+  // Returns the nodes whose bounds are at least partially inside the Frustum.
+  queryFrustum(frustum, out = []) {
+    this.update();
+
+    this._query((min, max) => frustum.intersectsAABB(min, max), out);
+    return out;
+  }
+
+  // Returns the node whose bounds are closest to |point| as {node, distance},
+  // or null if there's none within |maxDistance|. Points inside a node's
+  // bounds are at distance 0. Unbounded nodes aren't considered, nor are nodes
+  // for which the optional |filter| function returns false.
+  nearest(point, maxDistance = Infinity, filter = null) {
+    this.update();
+
+    let result = null;
+    let bestSquared = maxDistance * maxDistance;
+    let stack = this._root ? [this._root] : [];
+    while (stack.length) {
+      let treeNode = stack.pop();
+      if (pointBoxDistanceSquared(point, treeNode.min, treeNode.max) > bestSquared) {
+        continue;
+      }
+
+      if (treeNode.entry) {
+        let entry = treeNode.entry;
+        let distanceSquared = pointBoxDistanceSquared(point, entry.min, entry.max);
+        if (distanceSquared <= bestSquared && (!filter || filter(entry.node))) {
+          bestSquared = distanceSquared;
+          result = {node: entry.node, distance: Math.sqrt(distanceSquared)};
+        }
+        continue;
+      }
+
+      // Visit the nearer child first to tighten the bound sooner.
+      let left = pointBoxDistanceSquared(point, treeNode.left.min, treeNode.left.max);
+      let right = pointBoxDistanceSquared(point, treeNode.right.min, treeNode.right.max);
+      if (left < right) {
+        stack.push(treeNode.right, treeNode.left);
+      } else {
+        stack.push(treeNode.left, treeNode.right);
+      }
+    }
+    return result;
+  }
+
+  _query(overlaps, out) {
+    for (let node of this._unbounded) {
+      out.push(node);
+    }
+
+    this._traverse(
+      (treeNode) => overlaps(treeNode.min, treeNode.max),
+      (entry) => {
+        if (overlaps(entry.min, entry.max)) {
+          out.push(entry.node);
+        }
+      });
+  }
+
+  _traverse(visitTreeNode, visitEntry) {
+    let stack = this._root ? [this._root] : [];
+    while (stack.length) {
+      let treeNode = stack.pop();
+      if (!visitTreeNode(treeNode)) {
+        continue;
+      }
+      if (treeNode.entry) {
+        visitEntry(treeNode.entry);
+      } else {
+        stack.push(treeNode.left, treeNode.right);
+      }
+    }
+  }
+
+  _insertLeaf(entry) {
+    let leaf = new SceneBVHTreeNode();
+    leaf.entry = entry;
+    for (let k = 0; k < 3; ++k) {
+      leaf.min[k] = entry.min[k] - BOUNDS_MARGIN;
+      leaf.max[k] = entry.max[k] + BOUNDS_MARGIN;
+    }
+    entry.leaf = leaf;
+
+    if (!this._root) {
+      this._root = leaf;
+      return;
+    }
+
+    // Descend towards the sibling that grows the least by adding the leaf.
+    let sibling = this._root;
+    while (!sibling.entry) {
+      let area = surfaceArea(sibling.min, sibling.max);
+      let combinedArea = unionSurfaceArea(sibling, leaf);
+      // Cost of pairing the leaf with this node directly.
+      let cost = 2 * combinedArea;
+      let inheritanceCost = 2 * (combinedArea - area);
+
+      let childCost = (child) => {
+        let grownArea = unionSurfaceArea(child, leaf);
+        if (!child.entry) {
+          grownArea -= surfaceArea(child.min, child.max);
+        }
+        return grownArea + inheritanceCost;
+      };
+      let leftCost = childCost(sibling.left);
+      let rightCost = childCost(sibling.right);
+
+      if (cost < leftCost && cost < rightCost) {
+        break;
+      }
+      sibling = leftCost < rightCost ? sibling.left : sibling.right;
+    }
+
+    let oldParent = sibling.parent;
+    let parent = new SceneBVHTreeNode();
+    parent.parent = oldParent;
+    parent.left = sibling;
+    parent.right = leaf;
+    sibling.parent = parent;
+    leaf.parent = parent;
+
+    if (oldParent) {
+      if (oldParent.left == sibling) {
+        oldParent.left = parent;
+      } else {
+        oldParent.right = parent;
+      }
+    } else {
+      this._root = parent;
+    }
+
+    this._refitAncestors(parent);
+  }
+
+  _removeLeaf(entry) {
+    let leaf = entry.leaf;
+    if (!leaf) {
+      return;
+    }
+    entry.leaf = null;
+
+    if (leaf == this._root) {
+      this._root = null;
+      return;
+    }
+
+    let parent = leaf.parent;
+    let sibling = parent.left == leaf ? parent.right : parent.left;
+    let grandParent = parent.parent;
+    sibling.parent = grandParent;
+    if (grandParent) {
+      if (grandParent.left == parent) {
+        grandParent.left = sibling;
+      } else {
+        grandParent.right = sibling;
+      }
+      this._refitAncestors(grandParent);
+    } else {
+      this._root = sibling;
+    }
+  }
+
+  _refitAncestors(treeNode) {
+    while (treeNode) {
+      vec3.min(treeNode.min, treeNode.left.min, treeNode.right.min);
+      vec3.max(treeNode.max, treeNode.left.max, treeNode.right.max);
+      treeNode = treeNode.parent;
+    }
+  }
+}
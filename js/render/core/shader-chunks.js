@@ -0,0 +1,210 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Named GLSL snippets that material sources can pull in with an
+`#include <name>` line. Includes are resolved by the renderer when it builds a
+material's program, and each chunk is only included once per shader. Modules
+that own a piece of shader functionality (lights, shadows, environment maps)
+register their chunks here, and materials can register their own.
+*/
+
+const INCLUDE_REGEX = /^\s*#include\s+<([\w.-]+)>\s*$/;
+
+// Maps chunk names to their source and the source string number used to
+// identify them in shader info logs.
+let chunks = new Map();
+
+export function registerShaderChunk(name, source) {
+  let chunk = chunks.get(name);
+  if (chunk) {
+    chunk.source = source;
+  } else {
+    chunks.set(name, {id: chunks.size + 1, source: source});
+  }
+}
+
+export function getShaderChunk(name) {
+  let chunk = chunks.get(name);
+  return chunk ? chunk.source : null;
+}
+
+// Returns the name of the chunk with the given source string number, as
+// reported in shader info logs, or null if it isn't a chunk.
+export function getShaderChunkName(id) {
+  for (let [name, chunk] of chunks) {
+    if (chunk.id == id) {
+      return name;
+    }
+  }
+  return null;
+}
+
+// Replaces every #include line in |source| with the named chunk. #line
+// directives are inserted around each chunk so that compile errors report the
+// line within the chunk, and the original line numbers of |source| after it.
+export function resolveShaderIncludes(source, included = new Set(), stringId = 0) {
+  let lines = source.split('\n');
+  let resolved = [];
+  for (let i = 0; i < lines.length; ++i) {
+    let match = lines[i].match(INCLUDE_REGEX);
+    if (!match) {
+      resolved.push(lines[i]);
+      continue;
+    }
+
+    let name = match[1];
+    let chunk = chunks.get(name);
+    if (!chunk) {
+      throw new Error(`Unknown shader chunk "${name}"`);
+    }
+
+    if (!included.has(name)) {
+      included.add(name);
+      resolved.push(`#line 1 ${chunk.id}`);
+      resolved.push(resolveShaderIncludes(chunk.source, included, chunk.id));
+    }
+    resolved.push(`#line ${i + 2} ${stringId}`);
+  }
+  return resolved.join('\n');
+}
+
+// Selects the per-view matrices for the entry points, whether or not the
+// program is being built for multiview rendering. MULTIVIEW is defined by the
+// renderer for multiview programs.
+registerShaderChunk('multiview', `
+#ifdef MULTIVIEW
+uniform mat4 LEFT_PROJECTION_MATRIX, LEFT_VIEW_MATRIX, RIGHT_PROJECTION_MATRIX, RIGHT_VIEW_MATRIX;
+#define VIEW_ID gl_ViewID_OVR
+#define ENTRY_PROJECTION_MATRIX ((VIEW_ID == 0u) ? LEFT_PROJECTION_MATRIX : RIGHT_PROJECTION_MATRIX)
+#define ENTRY_VIEW_MATRIX ((VIEW_ID == 0u) ? LEFT_VIEW_MATRIX : RIGHT_VIEW_MATRIX)
+#else
+uniform mat4 PROJECTION_MATRIX, VIEW_MATRIX;
+#define ENTRY_PROJECTION_MATRIX PROJECTION_MATRIX
+#define ENTRY_VIEW_MATRIX VIEW_MATRIX
+#endif
+`);
+
+// Fragment stage view index. Kept apart from the multiview chunk so the
+// fragment stage doesn't redeclare the vertex matrices at another precision.
+registerShaderChunk('view_id', `
+#ifdef MULTIVIEW
+#define VIEW_ID gl_ViewID_OVR
+#else
+uniform uint VIEW_ID;
+#endif
+`);
+
+registerShaderChunk('srgb', `
+vec3 linearToSrgb(vec3 color) {
+  vec3 low = color * 12.92;
+  vec3 high = 1.055 * pow(color, vec3(1.0 / 2.4)) - 0.055;
+  return mix(low, high, step(vec3(0.0031308), color));
+}
+
+vec3 srgbToLinear(vec3 color) {
+  vec3 low = color / 12.92;
+  vec3 high = pow((color + 0.055) / 1.055, vec3(2.4));
+  return mix(low, high, step(vec3(0.04045), color));
+}
+`);
+
+// Occlusion against the real world depth provided by the XR depth sensing
+// API. Requires the view_id chunk for VIEW_ID.
+registerShaderChunk('depth_occlusion', `
+#define SideBySideMultiplier 1.0
+precision highp float;
+precision highp sampler2DArray;
+uniform sampler2DArray depthColor;
+uniform float rawValueToMeters;
+uniform bool sortDepth;
+
+uniform mat4 LEFT_DEPTH_PROJECTION_MATRIX, LEFT_DEPTH_VIEW_MATRIX, RIGHT_DEPTH_PROJECTION_MATRIX, RIGHT_DEPTH_VIEW_MATRIX;
+
+float Depth_GetCameraDepthInMillimeters(const sampler2DArray depthTexture,
+  const vec2 depthUv) {
+  return texture(depthColor, vec3(depthUv.x, depthUv.y, VIEW_ID)).r * 1000.0 * rawValueToMeters;
+}
+
+float Depth_GetOcclusion(const sampler2DArray depthTexture, const vec2 depthUv, float assetDepthMm) {
+  float depthMm = Depth_GetCameraDepthInMillimeters(depthTexture, depthUv);
+
+  // Instead of a hard z-buffer test, allow the asset to fade into the
+  // background along a 2 * kDepthTolerancePerMm * assetDepthMm
+  // range centered on the background depth.
+  const float kDepthTolerancePerMm = 0.01;
+  return clamp(1.0 -
+    0.5 * (depthMm - assetDepthMm) /
+        (kDepthTolerancePerMm * assetDepthMm) +
+    0.5, 0.0, 1.0);
+}
+
+float Depth_GetBlurredOcclusionAroundUV(const sampler2DArray depthTexture, const vec2 uv, float assetDepthMm) {
+  // Kernel used:
+  // 0   4   7   4   0
+  // 4   16  26  16  4
+  // 7   26  41  26  7
+  // 4   16  26  16  4
+  // 0   4   7   4   0
+  const float kKernelTotalWeights = 269.0;
+  float sum = 0.0;
+
+  const float kOcclusionBlurAmount = 0.01;
+  vec2 blurriness = vec2(kOcclusionBlurAmount /SideBySideMultiplier, kOcclusionBlurAmount /** u_DepthAspectRatio*/);
+
+  float current = 0.0;
+
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, -2.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, -2.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, +2.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, +2.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-2.0, +1.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+2.0, +1.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-2.0, -1.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+2.0, -1.0) * blurriness, assetDepthMm);
+  sum += current * 4.0;
+
+  current = 0.0;
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-2.0, -0.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+2.0, +0.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+0.0, +2.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-0.0, -2.0) * blurriness, assetDepthMm);
+  sum += current * 7.0;
+
+  current = 0.0;
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, -1.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, -1.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, +1.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, +1.0) * blurriness, assetDepthMm);
+  sum += current * 16.0;
+
+  current = 0.0;
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+0.0, +1.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-0.0, -1.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(-1.0, -0.0) * blurriness, assetDepthMm);
+  current += Depth_GetOcclusion(depthTexture, uv + vec2(+1.0, +0.0) * blurriness, assetDepthMm);
+  sum += current * 26.0;
+
+  sum += Depth_GetOcclusion(depthTexture, uv, assetDepthMm) * 41.0;
+
+  return sum / kKernelTotalWeights;
+}
+
+`);
@@ -0,0 +1,254 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Shadow map for the renderer's global directional light. The scene is rendered
+from the light's point of view into a depth texture using an orthographic
+"shadow camera", which materials can then sample to determine if a fragment is
+lit. See Renderer.enableShadows().
+*/
+
+import {registerShaderChunk} from './shader-chunks.js';
+import {mat4, vec3} from '../math/gl-matrix.js';
+
+// Texture unit the shadow map is bound to. Picked from the top of the range
+// so that it never collides with material samplers.
+export const SHADOW_TEXTURE_UNIT = 15;
+
+// Fragment shader used when rendering shadow casters. Only depth is written.
+// Alpha masked materials (USE_ALPHA_MASK) discard the same fragments they do
+// when rendered normally, which relies on them using PbrMaterial's names for
+// the base color and cutoff uniforms.
+export const SHADOW_CASTER_FRAGMENT_SOURCE = `
+#ifdef USE_ALPHA_MASK
+uniform vec4 baseColorFactor;
+uniform float alphaCutoff;
+#ifdef USE_BASE_COLOR_MAP
+uniform sampler2D baseColorTex;
+#endif
+in vec2 vTex;
+#ifdef USE_VERTEX_COLOR
+in vec4 vCol;
+#endif
+#endif
+
+void main() {
+#ifdef USE_ALPHA_MASK
+  float alpha = baseColorFactor.a;
+#ifdef USE_BASE_COLOR_MAP
+  alpha *= texture(baseColorTex, vTex).a;
+#endif
+#ifdef USE_VERTEX_COLOR
+  alpha *= vCol.a;
+#endif
+  if (alpha < alphaCutoff) {
+    discard;
+  }
+#endif
+}
+`;
+
+// GLSL chunks for materials that receive shadows, pulled in with
+// #include <shadow_receiver_vertex> and <shadow_receiver_fragment>. The
+// vertex shader must call computeShadowCoord() with the world space vertex
+// position, after which the fragment shader can call shadowVisibility().
+export const SHADOW_RECEIVER_VERTEX_SOURCE = `
+uniform mat4 SHADOW_MATRIX;
+out vec4 vShadowCoord;
+
+#ifdef USE_INSTANCING
+in float INSTANCE_RECEIVE_SHADOW;
+flat out float vReceiveShadow;
+#endif
+
+void computeShadowCoord(vec4 worldPosition) {
+  vShadowCoord = SHADOW_MATRIX * worldPosition;
+#ifdef USE_INSTANCING
+  vReceiveShadow = INSTANCE_RECEIVE_SHADOW;
+#endif
+}
+`;
+
+export const SHADOW_RECEIVER_FRAGMENT_SOURCE = `
+uniform highp sampler2DShadow SHADOW_MAP;
+// x: Texel size, y: Depth bias, z: Shadow strength
+uniform vec4 SHADOW_PARAMS;
+in vec4 vShadowCoord;
+
+#ifdef USE_INSTANCING
+// Instanced programs get the flag per instance rather than as a uniform.
+flat in float vReceiveShadow;
+#define RECEIVE_SHADOW (vReceiveShadow > 0.5)
+#else
+uniform bool RECEIVE_SHADOW;
+#endif
+
+// Returns 1.0 for fully lit fragments, fading down to 1.0 - strength for
+// fragments in shadow.
+float shadowVisibility(float nDotL) {
+  if (!RECEIVE_SHADOW) {
+    return 1.0;
+  }
+
+  vec3 coord = vShadowCoord.xyz / vShadowCoord.w;
+  if (any(lessThan(coord, vec3(0.0))) || any(greaterThan(coord, vec3(1.0)))) {
+    // Outside of the shadow camera frustum.
+    return 1.0;
+  }
+
+  // Surfaces at glancing angles to the light need a larger bias to avoid acne.
+  coord.z -= max(SHADOW_PARAMS.y * (1.0 - clamp(nDotL, 0.0, 1.0)), SHADOW_PARAMS.y * 0.1);
+
+  // 3x3 PCF. Each tap is also bilinearly filtered by the hardware comparison.
+  float visibility = 0.0;
+  for (int x = -1; x <= 1; ++x) {
+    for (int y = -1; y <= 1; ++y) {
+      vec2 offset = vec2(float(x), float(y)) * SHADOW_PARAMS.x;
+      visibility += texture(SHADOW_MAP, vec3(coord.xy + offset, coord.z));
+    }
+  }
+  visibility /= 9.0;
+
+  return mix(1.0, visibility, SHADOW_PARAMS.z);
+}
+`;
+
+registerShaderChunk('shadow_receiver_vertex', SHADOW_RECEIVER_VERTEX_SOURCE);
+registerShaderChunk('shadow_receiver_fragment', SHADOW_RECEIVER_FRAGMENT_SOURCE);
+
+// Maps clip space [-1, 1] to texture space [0, 1].
+const CLIP_TO_TEXTURE = new Float32Array([
+  0.5, 0.0, 0.0, 0.0,
+  0.0, 0.5, 0.0, 0.0,
+  0.0, 0.0, 0.5, 0.0,
+  0.5, 0.5, 0.5, 1.0,
+]);
+
+const UP = vec3.fromValues(0, 1, 0);
+const FORWARD = vec3.fromValues(0, 0, 1);
+
+let tmpEye = vec3.create();
+let tmpDir = vec3.create();
+
+export class ShadowMap {
+  constructor(gl, options = {}) {
+    this._gl = gl;
+
+    // Resolution of the shadow depth texture.
+    this.size = options.size || 2048;
+
+    // The shadow camera frustum. An orthographic box extending |frustumSize|
+    // meters in each direction around |center|, starting |distance| meters
+    // back from it along the light direction.
+    this.frustumSize = options.frustumSize || 5.0;
+    this.center = vec3.clone(options.center || [0, 0, 0]);
+    this.distance = options.distance || 10.0;
+    this.near = options.near || 0.1;
+    this.far = options.far || 20.0;
+    // If true the frustum is centered on the (first) viewer each frame
+    // rather than on |center|.
+    this.followCamera = !!options.followCamera;
+
+    this.bias = 'bias' in options ? options.bias : 0.002;
+    this.strength = 'strength' in options ? options.strength : 0.7;
+    this.polygonOffsetFactor = options.polygonOffsetFactor || 2.0;
+    this.polygonOffsetUnits = options.polygonOffsetUnits || 4.0;
+
+    this.viewMatrix = mat4.create();
+    this.projectionMatrix = mat4.create();
+    this.shadowMatrix = mat4.create();
+    this.params = new Float32Array(4);
+
+    this._texture = null;
+    this._framebuffer = null;
+    this._textureSize = 0;
+  }
+
+  get texture() {
+    return this._texture;
+  }
+
+  // Computes the shadow camera matrices for the given light direction.
+  update(lightDir, cameraPosition) {
+    let center = (this.followCamera && cameraPosition) ? cameraPosition : this.center;
+
+    vec3.normalize(tmpDir, lightDir);
+    vec3.scaleAndAdd(tmpEye, center, tmpDir, -this.distance);
+    let up = Math.abs(vec3.dot(tmpDir, UP)) > 0.99 ? FORWARD : UP;
+    mat4.lookAt(this.viewMatrix, tmpEye, center, up);
+
+    let s = this.frustumSize;
+    mat4.ortho(this.projectionMatrix, -s, s, -s, s, this.near, this.far);
+
+    mat4.mul(this.shadowMatrix, this.projectionMatrix, this.viewMatrix);
+    mat4.mul(this.shadowMatrix, CLIP_TO_TEXTURE, this.shadowMatrix);
+
+    this.params[0] = 1.0 / this.size;
+    this.params[1] = this.bias;
+    this.params[2] = this.strength;
+  }
+
+  // Binds the shadow map framebuffer and clears it, ready for rendering.
+  bind() {
+    let gl = this._gl;
+
+    if (this._textureSize != this.size) {
+      this._createTarget();
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
+    gl.viewport(0, 0, this.size, this.size);
+    gl.depthMask(true);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+  }
+
+  // Forgets the depth target after a context loss so it's recreated on the
+  // next bind.
+  _resetTarget() {
+    this._texture = null;
+    this._framebuffer = null;
+    this._textureSize = 0;
+  }
+
+  _createTarget() {
+    let gl = this._gl;
+
+    if (!this._texture) {
+      this._texture = gl.createTexture();
+      this._framebuffer = gl.createFramebuffer();
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, this._texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.DEPTH_COMPONENT24, this.size, this.size, 0,
+                  gl.DEPTH_COMPONENT, gl.UNSIGNED_INT, null);
+    // Linear filtering with a compare mode gives 2x2 PCF for free.
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_COMPARE_FUNC, gl.LEQUAL);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, this._texture, 0);
+
+    this._textureSize = this.size;
+  }
+}
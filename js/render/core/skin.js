@@ -0,0 +1,86 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import {mat4} from '../math/gl-matrix.js';
+
+// Size of the joint matrix uniform array in skinned shaders, and so the most
+// joints a skin can have. The glTF loader rejects assets with larger skins.
+export const MAX_JOINTS = 64;
+
+let tmpInverseMatrix = mat4.create();
+
+export class Skin {
+  constructor(joints, inverseBindMatrices = null) {
+    this.joints = joints;
+    this.jointMatrices = new Float32Array(joints.length * 16);
+    this._inverseBindMatrices = new Float32Array(joints.length * 16);
+
+    // Per-joint views into the packed arrays, to avoid creating them each frame.
+    this._jointMatrixViews = [];
+    this._inverseBindViews = [];
+    for (let i = 0; i < joints.length; ++i) {
+      this._jointMatrixViews.push(this.jointMatrices.subarray(i * 16, (i + 1) * 16));
+      // Defaults to identity matrices, as per the glTF spec.
+      this._inverseBindViews.push(mat4.identity(this._inverseBindMatrices.subarray(i * 16, (i + 1) * 16)));
+    }
+
+    if (inverseBindMatrices) {
+      this.setInverseBindMatrices(inverseBindMatrices);
+    }
+  }
+
+  setInverseBindMatrices(value) {
+    this._inverseBindMatrices.set(value.subarray(0, this._inverseBindMatrices.length));
+  }
+
+  // Creates a copy of the skin whose joints are swapped for their entries in
+  // |nodeMap|, for skinned meshes that have been cloned along with their
+  // joints. Joints without an entry are kept as they are. The inverse bind
+  // matrices are shared, since they may still be loading.
+  clone(nodeMap) {
+    let joints = this.joints.map((joint) => {
+      return (joint && nodeMap.has(joint)) ? nodeMap.get(joint) : joint;
+    });
+    let skin = new Skin(joints);
+    skin._inverseBindMatrices = this._inverseBindMatrices;
+    skin._inverseBindViews = this._inverseBindViews;
+    return skin;
+  }
+
+  // Computes the joint matrices for the given skinned mesh node. The mesh
+  // node's own world transform is factored out so that shaders can continue to
+  // apply the model matrix as usual.
+  updateJointMatrices(meshNode) {
+    mat4.invert(tmpInverseMatrix, meshNode.worldMatrix);
+
+    for (let i = 0; i < this.joints.length; ++i) {
+      let jointMatrix = this._jointMatrixViews[i];
+      let joint = this.joints[i];
+      if (joint) {
+        mat4.mul(jointMatrix, tmpInverseMatrix, joint.worldMatrix);
+      } else {
+        mat4.copy(jointMatrix, tmpInverseMatrix);
+      }
+      mat4.mul(jointMatrix, jointMatrix, this._inverseBindViews[i]);
+    }
+
+    return this.jointMatrices;
+  }
+}
@@ -26,7 +26,11 @@ const GL = WebGLRenderingContext; // For enums
 const tempVec3 = vec3.create();
 
 export class PrimitiveStream {
-  constructor(options) {
+  constructor(options = {}) {
+    // If true the finished primitives' buffers keep a copy of their data, which
+    // nodes with triangleHitTest set need.
+    this.keepData = !!options.keepData;
+
     this._vertices = [];
     this._indices = [];
 
@@ -195,8 +199,10 @@ export class PrimitiveStream {
       throw new Error(`Attempted to call finishPrimitive() before creating any geometry.`);
     }
 
-    let vertexBuffer = renderer.createRenderBuffer(GL.ARRAY_BUFFER, new Float32Array(this._vertices));
-    let indexBuffer = renderer.createRenderBuffer(GL.ELEMENT_ARRAY_BUFFER, new Uint16Array(this._indices));
+    let vertexBuffer = renderer.createRenderBuffer(GL.ARRAY_BUFFER, new Float32Array(this._vertices),
+                                                   GL.STATIC_DRAW, this.keepData);
+    let indexBuffer = renderer.createRenderBuffer(GL.ELEMENT_ARRAY_BUFFER, new Uint16Array(this._indices),
+                                                  GL.STATIC_DRAW, this.keepData);
 
     let attribs = [
       new PrimitiveAttribute('POSITION', vertexBuffer, 3, GL.FLOAT, 32, 0),
@@ -19,8 +19,12 @@
 // SOFTWARE.
 
 import {PbrMaterial} from '../materials/pbr.js';
+import {LightNode} from '../nodes/light.js';
+import {AnimationChannel, AnimationClip, AnimationSampler} from '../core/animation.js';
+import {LIGHT_TYPE} from '../core/lights.js';
 import {Node} from '../core/node.js';
 import {Primitive, PrimitiveAttribute} from '../core/primitive.js';
+import {Skin, MAX_JOINTS} from '../core/skin.js';
 import {ImageTexture, ColorTexture} from '../core/texture.js';
 
 const GL = WebGLRenderingContext; // For enums
@@ -31,6 +35,35 @@ const CHUNK_TYPE = {
   BIN: 0x004E4942,
 };
 
+function createLightNode(light) {
+  let options = {
+    color: light.color || [1.0, 1.0, 1.0],
+    intensity: 'intensity' in light ? light.intensity : 1.0,
+    range: light.range || 0,
+  };
+
+  switch (light.type) {
+    case 'directional':
+      options.type = LIGHT_TYPE.DIRECTIONAL;
+      break;
+    case 'spot':
+      options.type = LIGHT_TYPE.SPOT;
+      if (light.spot) {
+        options.innerConeAngle = light.spot.innerConeAngle || 0;
+        if ('outerConeAngle' in light.spot) {
+          options.outerConeAngle = light.spot.outerConeAngle;
+        }
+      }
+      break;
+    default: // Includes 'point'
+      options.type = LIGHT_TYPE.POINT;
+  }
+
+  let lightNode = new LightNode(options);
+  lightNode.name = light.name || null;
+  return lightNode;
+}
+
 function isAbsoluteUri(uri) {
   let absRegEx = new RegExp('^'+window.location.protocol, 'i');
   return !!uri.match(absRegEx);
@@ -54,10 +87,115 @@ function getComponentCount(type) {
     case 'VEC2': return 2;
     case 'VEC3': return 3;
     case 'VEC4': return 4;
+    case 'MAT2': return 4;
+    case 'MAT3': return 9;
+    case 'MAT4': return 16;
     default: return 0;
   }
 }
 
+// DataView getter, byte size and normalization divisor for each accessor
+// component type.
+const COMPONENT_TYPES = {
+  [GL.BYTE]: {getter: 'getInt8', size: 1, normalize: 127},
+  [GL.UNSIGNED_BYTE]: {getter: 'getUint8', size: 1, normalize: 255},
+  [GL.SHORT]: {getter: 'getInt16', size: 2, normalize: 32767},
+  [GL.UNSIGNED_SHORT]: {getter: 'getUint16', size: 2, normalize: 65535},
+  [GL.UNSIGNED_INT]: {getter: 'getUint32', size: 4, normalize: 4294967295},
+  [GL.FLOAT]: {getter: 'getFloat32', size: 4, normalize: 1},
+};
+
+// Reads count elements of componentCount components each, stride bytes apart,
+// into values. Element i is written to slot indices[i] when indices are given.
+function readElements(dataView, offset, stride, count, componentCount, componentType, normalize, values, indices = null) {
+  for (let i = 0; i < count; ++i) {
+    let index = (indices ? indices[i] : i) * componentCount;
+    for (let c = 0; c < componentCount; ++c) {
+      let value = dataView[componentType.getter](offset + c * componentType.size, true);
+      // Signed normalized values clamp at -1.0.
+      values[index + c] = normalize == 1 ? value : Math.max(value / normalize, -1.0);
+    }
+    offset += stride;
+  }
+}
+
+// Reads the contents of an accessor into a Float32Array for use on the CPU,
+// de-interleaving and normalizing the values as needed and applying any
+// sparse substitution. Returns a promise.
+function readAccessor(accessor, bufferViews) {
+  let componentCount = getComponentCount(accessor.type);
+  let componentType = COMPONENT_TYPES[accessor.componentType];
+  let normalize = accessor.normalized ? componentType.normalize : 1;
+  let values = new Float32Array(accessor.count * componentCount);
+
+  // Accessors without a buffer view are initialized to zeros.
+  let basePromise = Promise.resolve();
+  if ('bufferView' in accessor) {
+    let bufferView = bufferViews[accessor.bufferView];
+    let stride = bufferView.byteStride || (componentType.size * componentCount);
+    basePromise = bufferView.dataView().then((dataView) => {
+      readElements(dataView, accessor.byteOffset || 0, stride, accessor.count,
+                   componentCount, componentType, normalize, values);
+    });
+  }
+
+  let sparse = accessor.sparse;
+  if (!sparse) {
+    return basePromise.then(() => values);
+  }
+
+  // Sparse indices and values are tightly packed, and replace the elements
+  // they name once the base data has been read.
+  let indexType = COMPONENT_TYPES[sparse.indices.componentType];
+  return Promise.all([
+    basePromise,
+    bufferViews[sparse.indices.bufferView].dataView(),
+    bufferViews[sparse.values.bufferView].dataView(),
+  ]).then(([, indexView, valueView]) => {
+    let indices = new Uint32Array(sparse.count);
+    readElements(indexView, sparse.indices.byteOffset || 0, indexType.size, sparse.count,
+                 1, indexType, 1, indices);
+    readElements(valueView, sparse.values.byteOffset || 0, componentType.size * componentCount, sparse.count,
+                 componentCount, componentType, normalize, values, indices);
+    return values;
+  });
+}
+
+// Splits a binary glTF file into its json and binary chunks.
+function parseBinary(arrayBuffer, baseUrl) {
+  let headerView = new DataView(arrayBuffer, 0, 12);
+  let magic = headerView.getUint32(0, true);
+  let version = headerView.getUint32(4, true);
+  let length = headerView.getUint32(8, true);
+
+  if (magic != GLB_MAGIC) {
+    throw new Error('Invalid magic string in binary header.');
+  }
+
+  if (version != 2) {
+    throw new Error('Incompatible version in binary header.');
+  }
+
+  let chunks = {};
+  let chunkOffset = 12;
+  while (chunkOffset < length) {
+    let chunkHeaderView = new DataView(arrayBuffer, chunkOffset, 8);
+    let chunkLength = chunkHeaderView.getUint32(0, true);
+    let chunkType = chunkHeaderView.getUint32(4, true);
+    chunks[chunkType] = arrayBuffer.slice(chunkOffset + 8, chunkOffset + 8 + chunkLength);
+    chunkOffset += chunkLength + 8;
+  }
+
+  if (!chunks[CHUNK_TYPE.JSON]) {
+    throw new Error('File contained no json chunk.');
+  }
+
+  let decoder = new TextDecoder('utf-8');
+  let jsonString = decoder.decode(chunks[CHUNK_TYPE.JSON]);
+  let json = JSON.parse(jsonString);
+  return new Gltf2Source(json, baseUrl, chunks[CHUNK_TYPE.BIN]);
+}
+
 /**
  * Gltf2SceneLoader
  * Loads glTF 2.0 scenes into a renderable node tree.
@@ -69,7 +207,11 @@ export class Gltf2Loader {
     this._gl = renderer._gl;
   }
 
-  loadFromUrl(url) {
+  // Fetches and parses the asset at |url| without creating any GPU resources.
+  // The source keeps the downloaded buffers and images, so it can be passed
+  // to loadFromSource() again later (for instance after a context loss)
+  // without fetching anything.
+  loadSource(url) {
     return fetch(url)
         .then((response) => {
           let i = url.lastIndexOf('/');
@@ -77,11 +219,11 @@ export class Gltf2Loader {
 
           if (url.endsWith('.gltf')) {
             return response.json().then((json) => {
-              return this.loadFromJson(json, baseUrl);
+              return new Gltf2Source(json, baseUrl);
             });
           } else if (url.endsWith('.glb')) {
             return response.arrayBuffer().then((arrayBuffer) => {
-              return this.loadFromBinary(arrayBuffer, baseUrl);
+              return parseBinary(arrayBuffer, baseUrl);
             });
           } else {
             throw new Error('Unrecognized file extension');
@@ -89,41 +231,23 @@ export class Gltf2Loader {
         });
   }
 
-  loadFromBinary(arrayBuffer, baseUrl) {
-    let headerView = new DataView(arrayBuffer, 0, 12);
-    let magic = headerView.getUint32(0, true);
-    let version = headerView.getUint32(4, true);
-    let length = headerView.getUint32(8, true);
-
-    if (magic != GLB_MAGIC) {
-      throw new Error('Invalid magic string in binary header.');
-    }
-
-    if (version != 2) {
-      throw new Error('Incompatible version in binary header.');
-    }
-
-    let chunks = {};
-    let chunkOffset = 12;
-    while (chunkOffset < length) {
-      let chunkHeaderView = new DataView(arrayBuffer, chunkOffset, 8);
-      let chunkLength = chunkHeaderView.getUint32(0, true);
-      let chunkType = chunkHeaderView.getUint32(4, true);
-      chunks[chunkType] = arrayBuffer.slice(chunkOffset + 8, chunkOffset + 8 + chunkLength);
-      chunkOffset += chunkLength + 8;
-    }
-
-    if (!chunks[CHUNK_TYPE.JSON]) {
-      throw new Error('File contained no json chunk.');
-    }
+  loadFromUrl(url) {
+    return this.loadSource(url).then((source) => {
+      return this.loadFromSource(source);
+    });
+  }
 
-    let decoder = new TextDecoder('utf-8');
-    let jsonString = decoder.decode(chunks[CHUNK_TYPE.JSON]);
-    let json = JSON.parse(jsonString);
-    return this.loadFromJson(json, baseUrl, chunks[CHUNK_TYPE.BIN]);
+  loadFromBinary(arrayBuffer, baseUrl) {
+    return this.loadFromSource(parseBinary(arrayBuffer, baseUrl));
   }
 
   loadFromJson(json, baseUrl, binaryChunk) {
+    return this.loadFromSource(new Gltf2Source(json, baseUrl, binaryChunk));
+  }
+
+  loadFromSource(source) {
+    let json = source.json;
+
     if (!json.asset) {
       throw new Error('Missing asset description.');
     }
@@ -132,26 +256,19 @@ export class Gltf2Loader {
       throw new Error('Incompatible asset version.');
     }
 
-    let buffers = [];
-    if (binaryChunk) {
-      buffers[0] = new Gltf2Resource({}, baseUrl, binaryChunk);
-    } else {
-      for (let buffer of json.buffers) {
-        buffers.push(new Gltf2Resource(buffer, baseUrl));
-      }
+    // Joint matrices are passed as a fixed size uniform array.
+    if (json.skins && json.skins.some((skin) => skin.joints.length > MAX_JOINTS)) {
+      throw new Error(`Skins with more than ${MAX_JOINTS} joints are not supported.`);
     }
 
+    let buffers = source.buffers;
+
     let bufferViews = [];
     for (let bufferView of json.bufferViews) {
       bufferViews.push(new Gltf2BufferView(bufferView, buffers));
     }
 
-    let images = [];
-    if (json.images) {
-      for (let image of json.images) {
-        images.push(new Gltf2Resource(image, baseUrl));
-      }
-    }
+    let images = source.images;
 
     let textures = [];
     if (json.textures) {
@@ -204,15 +321,15 @@ export class Gltf2Loader {
             glMaterial.state.blend = true;
             break;
           case 'MASK':
-            // Not really supported.
-            glMaterial.state.blend = true;
+            // Alpha tested in the shader, so it stays in the opaque pass.
+            glMaterial.state.blend = false;
+            glMaterial.alphaTest = true;
+            glMaterial.alphaCutoff.value = ('alphaCutoff' in material) ? material.alphaCutoff : 0.5;
             break;
           default: // Includes 'OPAQUE'
             glMaterial.state.blend = false;
         }
 
-        // glMaterial.alpha_mode = material.alphaMode;
-        // glMaterial.alpha_cutoff = material.alphaCutoff;
         glMaterial.state.cullFace = !(material.doubleSided);
 
         materials.push(glMaterial);
@@ -224,6 +341,7 @@ export class Gltf2Loader {
     let meshes = [];
     for (let mesh of json.meshes) {
       let glMesh = new Gltf2Mesh();
+      glMesh.weights = mesh.weights || null;
       meshes.push(glMesh);
 
       for (let primitive of mesh.primitives) {
@@ -286,6 +404,11 @@ export class Gltf2Loader {
           glPrimitive.setBounds(min, max);
         }
 
+        if (primitive.targets && primitive.targets.length) {
+          this._setMorphTargets(glPrimitive, primitive, accessors, bufferViews);
+          glMesh.targetCount = Math.max(glMesh.targetCount, primitive.targets.length);
+        }
+
         // After all the attributes have been processed, get a program that is
         // appropriate for both the material and the primitive attributes.
         glMesh.primitives.push(
@@ -294,25 +417,111 @@ export class Gltf2Loader {
     }
 
     let sceneNode = new Node();
+    let glNodeMap = new Map();
     let scene = json.scenes[json.scene];
     for (let nodeId of scene.nodes) {
       let node = json.nodes[nodeId];
       sceneNode.addNode(
-          this.processNodes(node, json.nodes, meshes));
+          this.processNodes(node, json.nodes, meshes, glNodeMap));
+    }
+
+    // Nodes that aren't part of the loaded scene are left as null.
+    let glNodes = json.nodes.map((node) => glNodeMap.get(node) || null);
+
+    // Skin and animation data read from the buffers after the node tree is
+    // built. A failure to read any of it rejects sceneNode.dataPromise.
+    let dataPromises = [];
+
+    if (json.skins) {
+      let skins = [];
+      for (let skin of json.skins) {
+        let glSkin = new Skin(skin.joints.map((nodeId) => glNodes[nodeId]));
+        if ('inverseBindMatrices' in skin) {
+          dataPromises.push(readAccessor(accessors[skin.inverseBindMatrices], bufferViews).then((matrices) => {
+            glSkin.setInverseBindMatrices(matrices);
+          }));
+        }
+        skins.push(glSkin);
+      }
+
+      for (let i = 0; i < json.nodes.length; ++i) {
+        let node = json.nodes[i];
+        if ('skin' in node && glNodes[i]) {
+          glNodes[i].skin = skins[node.skin];
+        }
+      }
+    }
+
+    let lightsExtension = json.extensions && json.extensions.KHR_lights_punctual;
+    if (lightsExtension && lightsExtension.lights) {
+      for (let i = 0; i < json.nodes.length; ++i) {
+        let nodeExtensions = json.nodes[i].extensions;
+        if (glNodes[i] && nodeExtensions && nodeExtensions.KHR_lights_punctual) {
+          let light = lightsExtension.lights[nodeExtensions.KHR_lights_punctual.light];
+          if (light) {
+            // Added as a child so that it picks up the node's transform.
+            glNodes[i].addNode(createLightNode(light));
+          }
+        }
+      }
     }
 
+    sceneNode.animations = [];
+    if (json.animations) {
+      for (let i = 0; i < json.animations.length; ++i) {
+        let animation = json.animations[i];
+
+        let samplers = [];
+        for (let sampler of animation.samplers) {
+          let glSampler = new AnimationSampler(sampler.interpolation);
+          dataPromises.push(Promise.all([
+            readAccessor(accessors[sampler.input], bufferViews),
+            readAccessor(accessors[sampler.output], bufferViews),
+          ]).then(([input, output]) => {
+            glSampler.setKeyframes(input, output);
+          }));
+          samplers.push(glSampler);
+        }
+
+        let channels = [];
+        for (let channel of animation.channels) {
+          let node = glNodes[channel.target.node];
+          // Targets may be missing if they're defined by an extension.
+          if (node) {
+            channels.push(new AnimationChannel(samplers[channel.sampler], node, channel.target.path));
+          }
+        }
+
+        sceneNode.animations.push(new AnimationClip(animation.name || `animation_${i}`, channels));
+      }
+    }
+
+    sceneNode.dataPromise = Promise.all(dataPromises);
+
     return sceneNode;
   }
 
-  processNodes(node, nodes, meshes) {
+  processNodes(node, nodes, meshes, glNodeMap) {
     let glNode = new Node();
     glNode.name = node.name;
 
+    if (glNodeMap) {
+      glNodeMap.set(node, glNode);
+    }
+
     if ('mesh' in node) {
       let mesh = meshes[node.mesh];
       for (let primitive of mesh.primitives) {
         glNode.addRenderPrimitive(primitive);
       }
+
+      if (mesh.targetCount) {
+        glNode.weights = new Float32Array(mesh.targetCount);
+        let weights = node.weights || mesh.weights;
+        if (weights) {
+          glNode.weights.set(weights.slice(0, mesh.targetCount));
+        }
+      }
     }
 
     if (node.matrix) {
@@ -334,17 +543,58 @@ export class Gltf2Loader {
     if (node.children) {
       for (let nodeId of node.children) {
         let node = nodes[nodeId];
-        glNode.addNode(this.processNodes(node, nodes, meshes));
+        glNode.addNode(this.processNodes(node, nodes, meshes, glNodeMap));
       }
     }
 
     return glNode;
   }
+
+  // Packs the position and normal deltas of each morph target into a single
+  // float array, which the renderer uploads as a texture.
+  _setMorphTargets(glPrimitive, primitive, accessors, bufferViews) {
+    let vertexCount = accessors[primitive.attributes.POSITION].count;
+    let hasNormals = ('NORMAL' in primitive.attributes) &&
+                     primitive.targets.every((target) => 'NORMAL' in target);
+
+    let deltaPromises = [];
+    for (let target of primitive.targets) {
+      let attributes = hasNormals ? ['POSITION', 'NORMAL'] : ['POSITION'];
+      for (let name of attributes) {
+        if (name in target) {
+          deltaPromises.push(readAccessor(accessors[target[name]], bufferViews));
+        } else {
+          deltaPromises.push(null);
+        }
+      }
+    }
+
+    let data = Promise.all(deltaPromises).then((deltas) => {
+      let packed = new Float32Array(deltas.length * vertexCount * 4);
+      for (let i = 0; i < deltas.length; ++i) {
+        let delta = deltas[i];
+        if (!delta) {
+          continue;
+        }
+        let offset = i * vertexCount * 4;
+        for (let v = 0; v < vertexCount; ++v) {
+          packed[offset + v * 4] = delta[v * 3];
+          packed[offset + v * 4 + 1] = delta[v * 3 + 1];
+          packed[offset + v * 4 + 2] = delta[v * 3 + 2];
+        }
+      }
+      return packed;
+    });
+
+    glPrimitive.setMorphTargets(data, primitive.targets.length, vertexCount, hasNormals);
+  }
 }
 
 class Gltf2Mesh {
   constructor() {
     this.primitives = [];
+    this.weights = null;
+    this.targetCount = 0;
   }
 }
 
@@ -370,12 +620,38 @@ class Gltf2BufferView {
 
   renderBuffer(renderer, target) {
     if (!this._renderBuffer) {
-      this._renderBuffer = renderer.createRenderBuffer(target, this.dataView());
+      // The source holds on to the data anyway, so it's kept for hit tests.
+      this._renderBuffer = renderer.createRenderBuffer(target, this.dataView(), GL.STATIC_DRAW, true);
     }
     return this._renderBuffer;
   }
 }
 
+// The parsed json of an asset along with its buffer and image resources,
+// which hold on to their data once loaded.
+class Gltf2Source {
+  constructor(json, baseUrl, binaryChunk) {
+    this.json = json;
+    this.baseUrl = baseUrl;
+
+    this.buffers = [];
+    if (binaryChunk) {
+      this.buffers[0] = new Gltf2Resource({}, baseUrl, binaryChunk);
+    } else if (json.buffers) {
+      for (let buffer of json.buffers) {
+        this.buffers.push(new Gltf2Resource(buffer, baseUrl));
+      }
+    }
+
+    this.images = [];
+    if (json.images) {
+      for (let image of json.images) {
+        this.images.push(new Gltf2Resource(image, baseUrl));
+      }
+    }
+  }
+}
+
 class Gltf2Resource {
   constructor(json, baseUrl, arrayBuffer) {
     this.json = json;
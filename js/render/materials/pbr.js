@@ -20,6 +20,7 @@
 
 import {Material} from '../core/material.js';
 import {ATTRIB_MASK} from '../core/renderer.js';
+import {MAX_JOINTS} from '../core/skin.js';
 
 const VERTEX_SOURCE = `
 in vec3 POSITION, NORMAL;
@@ -30,8 +31,11 @@ uniform vec3 LIGHT_DIRECTION;
 
 out vec3 vLight; // Vector from vertex to light.
 out vec3 vView; // Vector from vertex to camera.
+out vec3 vPosition; // World space position.
 out vec2 vTex;
 
+#include <shadow_receiver_vertex>
+
 #ifdef USE_NORMAL_MAP
 in vec4 TANGENT;
 out mat3 vTBN;
@@ -44,8 +48,54 @@ in vec4 COLOR_0;
 out vec4 vCol;
 #endif
 
+#ifdef USE_SKINNING
+in vec4 JOINTS_0;
+in vec4 WEIGHTS_0;
+uniform mat4 JOINT_MATRICES[MAX_JOINTS];
+#endif
+
+#ifdef USE_MORPH_TARGETS
+#ifdef USE_MORPH_NORMALS
+#define MORPH_ATTRIBUTE_COUNT 2
+#else
+#define MORPH_ATTRIBUTE_COUNT 1
+#endif
+uniform highp sampler2D MORPH_TARGETS;
+uniform int MORPH_VERTEX_COUNT;
+uniform float MORPH_WEIGHTS[MORPH_TARGET_COUNT];
+
+vec3 morphDelta(int texel) {
+  int width = textureSize(MORPH_TARGETS, 0).x;
+  return texelFetch(MORPH_TARGETS, ivec2(texel % width, texel / width), 0).xyz;
+}
+#endif
+
 vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
-  vec3 n = normalize(vec3(model * vec4(NORMAL, 0.0)));
+  vec3 position = POSITION;
+  vec3 normal = NORMAL;
+
+#ifdef USE_MORPH_TARGETS
+  for (int i = 0; i < MORPH_TARGET_COUNT; ++i) {
+    float weight = MORPH_WEIGHTS[i];
+    if (weight == 0.0) {
+      continue;
+    }
+    int texel = (i * MORPH_ATTRIBUTE_COUNT * MORPH_VERTEX_COUNT) + gl_VertexID;
+    position += weight * morphDelta(texel);
+#ifdef USE_MORPH_NORMALS
+    normal += weight * morphDelta(texel + MORPH_VERTEX_COUNT);
+#endif
+  }
+#endif
+
+#ifdef USE_SKINNING
+  model = model * (WEIGHTS_0.x * JOINT_MATRICES[int(JOINTS_0.x)] +
+                   WEIGHTS_0.y * JOINT_MATRICES[int(JOINTS_0.y)] +
+                   WEIGHTS_0.z * JOINT_MATRICES[int(JOINTS_0.z)] +
+                   WEIGHTS_0.w * JOINT_MATRICES[int(JOINTS_0.w)]);
+#endif
+
+  vec3 n = normalize(vec3(model * vec4(normal, 0.0)));
 #ifdef USE_NORMAL_MAP
   vec3 t = normalize(vec3(model * vec4(TANGENT.xyz, 0.0)));
   vec3 b = cross(n, t) * TANGENT.w;
@@ -59,9 +109,11 @@ vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
 #endif
 
   vTex = TEXCOORD_0;
-  vec4 mPos = model * vec4(POSITION, 1.0);
+  vec4 mPos = model * vec4(position, 1.0);
+  computeShadowCoord(mPos);
   vLight = -LIGHT_DIRECTION;
   vView = CAMERA_POSITION - mPos.xyz;
+  vPosition = mPos.xyz;
   return proj * view * mPos;
 }`;
 
@@ -102,6 +154,7 @@ uniform sampler2D baseColorTex;
 
 in vec3 vLight;
 in vec3 vView;
+in vec3 vPosition;
 in vec2 vTex;
 
 #ifdef USE_VERTEX_COLOR
@@ -130,8 +183,20 @@ uniform sampler2D emissiveTex;
 #endif
 uniform vec3 emissiveFactor;
 
+#ifdef USE_ALPHA_MASK
+uniform float alphaCutoff;
+#endif
+
 uniform vec3 LIGHT_COLOR;
 
+#include <color_management>
+
+#include <shadow_receiver_fragment>
+
+#include <environment>
+
+#include <lights>
+
 const vec3 dielectricSpec = vec3(0.04);
 const vec3 black = vec3(0.0);
 
@@ -139,7 +204,7 @@ ${EPIC_PBR_FUNCTIONS}
 
 vec4 fragment_main() {
 #ifdef USE_BASE_COLOR_MAP
-  vec4 baseColor = texture(baseColorTex, vTex) * baseColorFactor;
+  vec4 baseColor = decodeColor(texture(baseColorTex, vTex)) * baseColorFactor;
 #else
   vec4 baseColor = baseColorFactor;
 #endif
@@ -148,6 +213,13 @@ vec4 fragment_main() {
   baseColor *= vCol;
 #endif
 
+#ifdef USE_ALPHA_MASK
+  if (baseColor.a < alphaCutoff) {
+    discard;
+  }
+  baseColor.a = 1.0;
+#endif
+
 #ifdef USE_NORMAL_MAP
   vec3 n = texture(normalTex, vTex).rgb;
   n = normalize(vTBN * (2.0 * n - 1.0));
@@ -195,6 +267,32 @@ vec4 fragment_main() {
   halfLambert *= halfLambert;
 
   vec3 color = (halfLambert * LIGHT_COLOR * lambertDiffuse(cDiff)) + specular;
+  color *= shadowVisibility(dot(n, l));
+  color += environmentLight(n, v, cDiff, F0, roughness);
+
+  for (int i = 0; i < MAX_LIGHTS; ++i) {
+    if (i >= LIGHT_COUNT) {
+      break;
+    }
+
+    vec3 pl;
+    vec3 radiance = punctualLight(i, vPosition, pl);
+    vec3 ph = normalize(pl + v);
+    float pnDotL = clamp(dot(n, pl), 0.0, 1.0);
+    if (pnDotL == 0.0) {
+      continue;
+    }
+
+#ifdef FULLY_ROUGH
+    vec3 pSpecular = F0 * 0.45;
+#else
+    float pnDotH = max(dot(n, ph), 0.0);
+    float pvDotH = max(dot(v, ph), 0.0);
+    vec3 pSpecular = (specD(a, pnDotH) * specF(pvDotH, F0) * specG(roughness, pnDotL, nDotV)) /
+                     (4.0 * pnDotL * nDotV);
+#endif
+    color += (lambertDiffuse(cDiff) + pSpecular) * radiance * pnDotL;
+  }
 
 #ifdef USE_OCCLUSION
   float occlusion = texture(occlusionTex, vTex).r;
@@ -203,14 +301,11 @@ vec4 fragment_main() {
   
   vec3 emissive = emissiveFactor;
 #ifdef USE_EMISSIVE_TEXTURE
-  emissive *= texture(emissiveTex, vTex).rgb;
+  emissive *= decodeColor(texture(emissiveTex, vTex)).rgb;
 #endif
   color += emissive;
 
-  // gamma correction
-  //color = pow(color, vec3(1.0/2.2));
-
-  return vec4(color, baseColor.a);
+  return vec4(outputColor(color), baseColor.a);
 }`;
 
 export class PbrMaterial extends Material {
@@ -227,6 +322,11 @@ export class PbrMaterial extends Material {
     this.metallicRoughnessFactor = this.defineUniform('metallicRoughnessFactor', [1.0, 1.0]);
     this.occlusionStrength = this.defineUniform('occlusionStrength', 1.0);
     this.emissiveFactor = this.defineUniform('emissiveFactor', [0, 0, 0]);
+    this.alphaCutoff = this.defineUniform('alphaCutoff', 0.5);
+
+    // If true fragments with an alpha below alphaCutoff are discarded, and the
+    // rest are rendered fully opaque.
+    this.alphaTest = false;
   }
 
   get materialName() {
@@ -248,6 +348,30 @@ export class PbrMaterial extends Material {
       programDefines['USE_VERTEX_COLOR'] = 1;
     }
 
+    if (this.alphaTest) {
+      programDefines['USE_ALPHA_MASK'] = 1;
+    }
+
+    if ((renderPrimitive._attributeMask & ATTRIB_MASK.JOINTS_0) &&
+        (renderPrimitive._attributeMask & ATTRIB_MASK.WEIGHTS_0)) {
+      programDefines['USE_SKINNING'] = 1;
+      programDefines['MAX_JOINTS'] = MAX_JOINTS;
+    }
+
+    if (renderPrimitive._morphTargets) {
+      programDefines['USE_MORPH_TARGETS'] = 1;
+      programDefines['MORPH_TARGET_COUNT'] = renderPrimitive._morphTargets.targetCount;
+      if (renderPrimitive._morphTargets.hasNormals) {
+        programDefines['USE_MORPH_NORMALS'] = 1;
+      }
+    }
+
+    // Skins and morph weights are per-instance uniforms, so those primitives
+    // can't be batched.
+    if (!programDefines['USE_SKINNING'] && !programDefines['USE_MORPH_TARGETS']) {
+      programDefines['USE_INSTANCING'] = 1;
+    }
+
     if (renderPrimitive._attributeMask & ATTRIB_MASK.TEXCOORD_0) {
       if (this.baseColor.texture) {
         programDefines['USE_BASE_COLOR_MAP'] = 1;
@@ -0,0 +1,94 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import {vec4} from './gl-matrix.js';
+
+export class Frustum {
+  constructor(matrix = null) {
+    // Left, right, bottom, top, near, far. Normals point inwards.
+    this.planes = [];
+    for (let i = 0; i < 6; ++i) {
+      this.planes.push(vec4.create());
+    }
+
+    if (matrix) {
+      this.setFromMatrix(matrix);
+    }
+  }
+
+  // Extracts the frustum planes from a combined projection * view matrix.
+  setFromMatrix(m) {
+    let p = this.planes;
+    for (let i = 0; i < 4; ++i) {
+      let row0 = m[i * 4];
+      let row1 = m[i * 4 + 1];
+      let row2 = m[i * 4 + 2];
+      let row3 = m[i * 4 + 3];
+      p[0][i] = row3 + row0;
+      p[1][i] = row3 - row0;
+      p[2][i] = row3 + row1;
+      p[3][i] = row3 - row1;
+      p[4][i] = row3 + row2;
+      p[5][i] = row3 - row2;
+    }
+
+    for (let plane of p) {
+      let len = Math.hypot(plane[0], plane[1], plane[2]);
+      if (len > 0) {
+        vec4.scale(plane, plane, 1.0 / len);
+      }
+    }
+  }
+
+  // Tests an axis aligned bounding box, optionally transformed by |matrix|,
+  // against the frustum. Returns false only if the box is entirely outside of
+  // it.
+  intersectsAABB(min, max, matrix = null) {
+    let cx = (min[0] + max[0]) * 0.5;
+    let cy = (min[1] + max[1]) * 0.5;
+    let cz = (min[2] + max[2]) * 0.5;
+    let ex = (max[0] - min[0]) * 0.5;
+    let ey = (max[1] - min[1]) * 0.5;
+    let ez = (max[2] - min[2]) * 0.5;
+
+    if (matrix) {
+      // Transform the box into a new AABB enclosing the transformed one.
+      let m = matrix;
+      let wx = m[0] * cx + m[4] * cy + m[8] * cz + m[12];
+      let wy = m[1] * cx + m[5] * cy + m[9] * cz + m[13];
+      let wz = m[2] * cx + m[6] * cy + m[10] * cz + m[14];
+      let wex = Math.abs(m[0]) * ex + Math.abs(m[4]) * ey + Math.abs(m[8]) * ez;
+      let wey = Math.abs(m[1]) * ex + Math.abs(m[5]) * ey + Math.abs(m[9]) * ez;
+      let wez = Math.abs(m[2]) * ex + Math.abs(m[6]) * ey + Math.abs(m[10]) * ez;
+      cx = wx; cy = wy; cz = wz;
+      ex = wex; ey = wey; ez = wez;
+    }
+
+    for (let plane of this.planes) {
+      let distance = plane[0] * cx + plane[1] * cy + plane[2] * cz + plane[3];
+      let radius = Math.abs(plane[0]) * ex + Math.abs(plane[1]) * ey + Math.abs(plane[2]) * ez;
+      if (distance < -radius) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
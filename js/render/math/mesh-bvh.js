@@ -0,0 +1,227 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Bounding volume hierarchy over the triangles of a single mesh, used to find
+the triangle a Ray hits without testing every triangle. Built once, top down,
+by splitting the triangles at the median centroid along the longest axis of
+each node's bounds.
+*/
+
+// Leaves hold at most this many triangles.
+const MAX_LEAF_TRIANGLES = 4;
+
+const EPSILON = 1e-7;
+
+export class MeshBVH {
+  // |positions| holds packed xyz vertex positions and |indices| three vertex
+  // indices per triangle.
+  constructor(positions, indices) {
+    this.positions = positions;
+    this.indices = indices;
+
+    let triangleCount = Math.floor(indices.length / 3);
+
+    // Per node: min xyz, max xyz.
+    this._nodeBounds = [];
+    // Per node: offset into _triangles and count for leaves, or the index of
+    // the second child and 0 for inner nodes. The first child always follows
+    // its parent directly.
+    this._nodeData = [];
+    this._triangles = new Uint32Array(triangleCount);
+
+    let centroids = new Float32Array(triangleCount * 3);
+    for (let i = 0; i < triangleCount; ++i) {
+      this._triangles[i] = i;
+      for (let j = 0; j < 3; ++j) {
+        let vertex = indices[i * 3 + j] * 3;
+        centroids[i * 3] += positions[vertex] / 3;
+        centroids[i * 3 + 1] += positions[vertex + 1] / 3;
+        centroids[i * 3 + 2] += positions[vertex + 2] / 3;
+      }
+    }
+
+    if (triangleCount) {
+      this._buildNode(centroids, 0, triangleCount);
+    }
+  }
+
+  get triangleCount() {
+    return this._triangles.length;
+  }
+
+  // Returns the nearest triangle hit by |ray| in front of its origin, as
+  // {triangle, t, u, v} where |t| is the distance along the ray and |u| and
+  // |v| are the barycentric weights of the triangle's second and third
+  // vertices. Triangles are hit from either side. Returns null on a miss.
+  raycast(ray) {
+    let result = null;
+    let nearest = Infinity;
+
+    if (!this._nodeData.length) {
+      return null;
+    }
+
+    let stack = [0];
+    while (stack.length) {
+      let node = stack.pop();
+      if (this._intersectNode(ray, node) >= nearest) {
+        continue;
+      }
+
+      let count = this._nodeData[node * 2 + 1];
+      if (count) {
+        let offset = this._nodeData[node * 2];
+        for (let i = offset; i < offset + count; ++i) {
+          let hit = this._intersectTriangle(ray, this._triangles[i]);
+          if (hit && hit.t < nearest) {
+            nearest = hit.t;
+            result = hit;
+          }
+        }
+      } else {
+        // Visit the nearer child first, so that more of the other one can be
+        // skipped.
+        let first = node + 1;
+        let second = this._nodeData[node * 2];
+        if (this._intersectNode(ray, first) > this._intersectNode(ray, second)) {
+          stack.push(first, second);
+        } else {
+          stack.push(second, first);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  _buildNode(centroids, start, end) {
+    let node = this._nodeData.length / 2;
+    this._nodeData.push(0, 0);
+
+    let positions = this.positions;
+    let indices = this.indices;
+    let min = [Infinity, Infinity, Infinity];
+    let max = [-Infinity, -Infinity, -Infinity];
+    let centroidMin = [Infinity, Infinity, Infinity];
+    let centroidMax = [-Infinity, -Infinity, -Infinity];
+    for (let i = start; i < end; ++i) {
+      let triangle = this._triangles[i];
+      for (let j = 0; j < 3; ++j) {
+        let vertex = indices[triangle * 3 + j] * 3;
+        for (let k = 0; k < 3; ++k) {
+          min[k] = Math.min(min[k], positions[vertex + k]);
+          max[k] = Math.max(max[k], positions[vertex + k]);
+        }
+      }
+      for (let k = 0; k < 3; ++k) {
+        centroidMin[k] = Math.min(centroidMin[k], centroids[triangle * 3 + k]);
+        centroidMax[k] = Math.max(centroidMax[k], centroids[triangle * 3 + k]);
+      }
+    }
+    this._nodeBounds.push(min[0], min[1], min[2], max[0], max[1], max[2]);
+
+    let axis = 0;
+    for (let k = 1; k < 3; ++k) {
+      if (centroidMax[k] - centroidMin[k] > centroidMax[axis] - centroidMin[axis]) {
+        axis = k;
+      }
+    }
+
+    let count = end - start;
+    if (count <= MAX_LEAF_TRIANGLES || centroidMax[axis] == centroidMin[axis]) {
+      this._nodeData[node * 2] = start;
+      this._nodeData[node * 2 + 1] = count;
+      return node;
+    }
+
+    let sorted = Array.from(this._triangles.subarray(start, end));
+    sorted.sort((a, b) => centroids[a * 3 + axis] - centroids[b * 3 + axis]);
+    this._triangles.set(sorted, start);
+
+    let middle = start + (count >> 1);
+    this._buildNode(centroids, start, middle);
+    this._nodeData[node * 2] = this._buildNode(centroids, middle, end);
+
+    return node;
+  }
+
+  // Returns the distance along the ray to the node's bounds, or Infinity if
+  // they're missed.
+  _intersectNode(ray, node) {
+    let b = this._nodeBounds;
+    let offset = node * 6;
+    let tmin = -Infinity;
+    let tmax = Infinity;
+    for (let k = 0; k < 3; ++k) {
+      let t0 = (b[offset + k] - ray.origin[k]) * ray.inv_dir[k];
+      let t1 = (b[offset + 3 + k] - ray.origin[k]) * ray.inv_dir[k];
+      tmin = Math.max(tmin, Math.min(t0, t1));
+      tmax = Math.min(tmax, Math.max(t0, t1));
+    }
+    if (tmax < Math.max(tmin, 0)) {
+      return Infinity;
+    }
+    return Math.max(tmin, 0);
+  }
+
+  // Möller-Trumbore ray/triangle intersection.
+  _intersectTriangle(ray, triangle) {
+    let p = this.positions;
+    let a = this.indices[triangle * 3] * 3;
+    let b = this.indices[triangle * 3 + 1] * 3;
+    let c = this.indices[triangle * 3 + 2] * 3;
+    let o = ray.origin;
+    let d = ray.direction;
+
+    let e1x = p[b] - p[a], e1y = p[b + 1] - p[a + 1], e1z = p[b + 2] - p[a + 2];
+    let e2x = p[c] - p[a], e2y = p[c + 1] - p[a + 1], e2z = p[c + 2] - p[a + 2];
+
+    let px = d[1] * e2z - d[2] * e2y;
+    let py = d[2] * e2x - d[0] * e2z;
+    let pz = d[0] * e2y - d[1] * e2x;
+    let det = e1x * px + e1y * py + e1z * pz;
+    if (Math.abs(det) < EPSILON) {
+      return null;
+    }
+    let invDet = 1.0 / det;
+
+    let tx = o[0] - p[a], ty = o[1] - p[a + 1], tz = o[2] - p[a + 2];
+    let u = (tx * px + ty * py + tz * pz) * invDet;
+    if (u < 0 || u > 1) {
+      return null;
+    }
+
+    let qx = ty * e1z - tz * e1y;
+    let qy = tz * e1x - tx * e1z;
+    let qz = tx * e1y - ty * e1x;
+    let v = (d[0] * qx + d[1] * qy + d[2] * qz) * invDet;
+    if (v < 0 || u + v > 1) {
+      return null;
+    }
+
+    let t = (e2x * qx + e2y * qy + e2z * qz) * invDet;
+    if (t <= 0) {
+      return null;
+    }
+
+    return {triangle: triangle, t: t, u: u, v: v};
+  }
+}
@@ -22,7 +22,8 @@ import {mat3, vec3} from './gl-matrix.js';
 
 let normalMat = mat3.create();
 
-const RAY_INTERSECTION_OFFSET = 0.02;
+// Distance that intersection points are pulled back towards the ray origin.
+export const RAY_INTERSECTION_OFFSET = 0.02;
 
 export class Ray {
   constructor(matrix = null) {
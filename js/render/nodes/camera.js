@@ -0,0 +1,134 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+A camera in the scene graph that renders a node tree into a RenderTarget each
+frame. Like XR views it looks down the node's local -Z axis. The target's
+texture can be used by any material, such as on a QuadNode for an in-world
+monitor. Rendering happens as part of the scene update, before the main views
+are drawn. Multiview renderers draw the target with single view variants of
+the material programs, which are built the first time each material is seen by
+a camera, so expect a hitch when a camera first becomes active.
+
+Avoid showing the target's texture on anything in the tree being rendered, as
+WebGL won't draw from a texture into itself.
+*/
+
+import {Node} from '../core/node.js';
+import {RenderView} from '../core/renderer.js';
+import {RenderTarget} from '../core/render-target.js';
+import {mat4} from '../math/gl-matrix.js';
+
+export class CameraNode extends Node {
+  constructor(options = {}) {
+    super();
+
+    this.renderTarget = options.renderTarget ||
+        new RenderTarget(options.width || 512, options.height || 512, options);
+    // Targets passed in by the app may be shared, so they're left for it to
+    // dispose of.
+    this._ownsRenderTarget = !options.renderTarget;
+
+    // The node tree to render. Defaults to the root of the tree the camera is
+    // in.
+    this.root = options.root || null;
+
+    // Vertical field of view in radians. If |orthographicSize| is non-zero an
+    // orthographic projection that many meters tall is used instead, which is
+    // handy for minimaps.
+    this.fieldOfView = options.fieldOfView || Math.PI * 0.5;
+    this.orthographicSize = options.orthographicSize || 0;
+    this.near = options.near || 0.1;
+    this.far = options.far || 1000.0;
+
+    // Set to false to stop updating the target every frame.
+    this.active = 'active' in options ? options.active : true;
+
+    this._projectionMatrix = mat4.create();
+    this._viewMatrix = mat4.create();
+    this._position = {x: 0, y: 0, z: 0};
+
+    // A stand in for the XRRigidTransform that RenderView expects, which is
+    // updated in place every frame.
+    this._view = new RenderView(this._projectionMatrix, {
+      position: this._position,
+      inverse: {matrix: this._viewMatrix},
+    });
+  }
+
+  get texture() {
+    return this.renderTarget.texture;
+  }
+
+  get projectionMatrix() {
+    return this._projectionMatrix;
+  }
+
+  get viewMatrix() {
+    return this._viewMatrix;
+  }
+
+  // Renders the tree into the target immediately.
+  render() {
+    let renderer = this._renderer;
+    if (!renderer) {
+      return;
+    }
+
+    let root = this.root;
+    if (!root) {
+      root = this;
+      while (root.parent) {
+        root = root.parent;
+      }
+    }
+
+    let target = this.renderTarget;
+    let aspect = target.width / target.height;
+    if (this.orthographicSize) {
+      let h = this.orthographicSize * 0.5;
+      mat4.ortho(this._projectionMatrix, -h * aspect, h * aspect, -h, h, this.near, this.far);
+    } else {
+      mat4.perspective(this._projectionMatrix, this.fieldOfView, aspect, this.near, this.far);
+    }
+
+    let worldMatrix = this.worldMatrix;
+    mat4.invert(this._viewMatrix, worldMatrix);
+    this._position.x = worldMatrix[12];
+    this._position.y = worldMatrix[13];
+    this._position.z = worldMatrix[14];
+
+    renderer.drawViews([this._view], root, null, target);
+  }
+
+  // Also disposes of the render target, unless it was passed in as an option.
+  dispose() {
+    if (this._ownsRenderTarget) {
+      this.renderTarget.dispose();
+    }
+    super.dispose();
+  }
+
+  onUpdate(timestamp, frameDelta) {
+    if (this.active) {
+      this.render();
+    }
+  }
+}
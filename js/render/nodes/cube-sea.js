@@ -37,6 +37,10 @@ class CubeSeaMaterial extends Material {
     return 'CUBE_SEA';
   }
 
+  getProgramDefines(renderPrimitive) {
+    return {USE_INSTANCING: 1};
+  }
+
   get vertexSource() {
     return `
     in vec3 POSITION;
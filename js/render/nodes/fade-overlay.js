@@ -0,0 +1,154 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Covers the whole view with a solid color, for fading the scene in and out
+around transitions such as teleporting. Drawn after everything else and
+ignoring depth, so it only needs to be somewhere in the scene.
+
+Given a vignette radius it only covers the edges of the view instead, which
+reduces discomfort during artificial locomotion.
+*/
+
+import {Material, RENDER_ORDER} from '../core/material.js';
+import {Node} from '../core/node.js';
+import {Primitive, PrimitiveAttribute} from '../core/primitive.js';
+
+const GL = WebGLRenderingContext; // For enums
+
+class FadeMaterial extends Material {
+  constructor() {
+    super();
+    this.renderOrder = RENDER_ORDER.ADDITIVE;
+    this.state.cullFace = false;
+    this.state.blend = true;
+    this.state.depthTest = false;
+    this.state.depthMask = false;
+
+    this.defineUniform('fadeColor', [0, 0, 0, 0]);
+    this.defineUniform('fadeRadii', [0, 0]);
+  }
+
+  get materialName() {
+    return 'FADE_OVERLAY';
+  }
+
+  get vertexSource() {
+    return `
+    in vec3 POSITION;
+
+    out vec2 vClipPosition;
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      // Already in clip space.
+      vClipPosition = POSITION.xy;
+      return vec4(POSITION.xy, 0.0, 1.0);
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    precision mediump float;
+
+    uniform vec4 fadeColor;
+    uniform vec2 fadeRadii;
+    in vec2 vClipPosition;
+
+    vec4 fragment_main() {
+      float coverage = 1.0;
+      if (fadeRadii.y > 0.0) {
+        coverage = smoothstep(fadeRadii.x, fadeRadii.y, length(vClipPosition));
+      }
+      return vec4(fadeColor.rgb, fadeColor.a * coverage);
+    }`;
+  }
+}
+
+export class FadeOverlay extends Node {
+  constructor(color = [0, 0, 0]) {
+    super();
+
+    // The overlay's vertices are in clip space, not the node's.
+    this.frustumCulled = false;
+
+    this._color = color;
+    this._opacity = 0;
+    this._vignetteRadii = [0, 0];
+    this._renderPrimitive = null;
+    this.visible = false;
+  }
+
+  get opacity() {
+    return this._opacity;
+  }
+
+  // 0 leaves the scene untouched, 1 hides it completely.
+  set opacity(value) {
+    this._opacity = Math.min(Math.max(value, 0), 1);
+    this.visible = this._opacity > 0;
+    this._updateColor();
+  }
+
+  get color() {
+    return this._color;
+  }
+
+  set color(value) {
+    this._color = value;
+    this._updateColor();
+  }
+
+  // Only covers the view outside of |innerRadius|, fading in up to
+  // |outerRadius|. Both are relative to the view's half width, so an outer
+  // radius of 1 reaches the middle of its edges. Pass 0 to cover everything.
+  setVignette(innerRadius, outerRadius = innerRadius * 1.5) {
+    this._vignetteRadii = innerRadius > 0 ? [innerRadius, outerRadius] : [0, 0];
+    if (this._renderPrimitive) {
+      this._renderPrimitive.uniforms.fadeRadii.value = this._vignetteRadii;
+    }
+  }
+
+  onRendererChanged(renderer) {
+    this.clearRenderPrimitives();
+
+    // A single triangle covering the viewport.
+    let vertexBuffer = renderer.createRenderBuffer(GL.ARRAY_BUFFER, new Float32Array([
+      -1, -1, 0,
+      3, -1, 0,
+      -1, 3, 0,
+    ]));
+    let attribs = [
+      new PrimitiveAttribute('POSITION', vertexBuffer, 3, GL.FLOAT, 12, 0),
+    ];
+    let primitive = new Primitive(attribs, 3);
+
+    this._renderPrimitive = renderer.createRenderPrimitive(primitive, new FadeMaterial());
+    this.addRenderPrimitive(this._renderPrimitive);
+    this._renderPrimitive.uniforms.fadeRadii.value = this._vignetteRadii;
+    this._updateColor();
+  }
+
+  _updateColor() {
+    if (this._renderPrimitive) {
+      this._renderPrimitive.uniforms.fadeColor.value =
+          [this._color[0], this._color[1], this._color[2], this._opacity];
+    }
+  }
+}
@@ -18,6 +18,7 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 // SOFTWARE.
 
+import {AnimationMixer} from '../core/animation.js';
 import {Node} from '../core/node.js';
 import {Gltf2Loader} from '../loaders/gltf2.js';
 
@@ -30,6 +31,15 @@ export class Gltf2Node extends Node {
     super();
     this._url = options.url;
 
+    // Clips can be played through the mixer before the asset has loaded, and
+    // will start animating once it has.
+    this._mixer = new AnimationMixer();
+
+    // The fetched asset and the node tree built from it. The source is kept so
+    // that the tree can be rebuilt for a new renderer without another fetch.
+    this._source = null;
+    this._sceneNode = null;
+
     this._promise = null;
     this._resolver = null;
     this._rejecter = null;
@@ -49,9 +59,29 @@ export class Gltf2Node extends Node {
 
     this._ensurePromise();
 
-    loader.loadFromUrl(this._url).then((sceneNode) => {
+    // The previous tree's render primitives belong to the old renderer.
+    if (this._sceneNode) {
+      this.removeNode(this._sceneNode);
+      this._sceneNode = null;
+    }
+
+    let sourcePromise = this._source ? Promise.resolve(this._source) :
+                                       loader.loadSource(this._url);
+    sourcePromise.then((source) => {
+      this._source = source;
+      // Ignore the result if the renderer changed again while loading.
+      if (this._renderer != renderer) {
+        return;
+      }
+      let sceneNode = loader.loadFromSource(source);
+      this._sceneNode = sceneNode;
       this.addNode(sceneNode);
-      this._resolver(sceneNode.waitForComplete());
+      this._mixer.setClips(sceneNode.animations);
+      // Rejects if the skin or animation data couldn't be read.
+      this._resolver(Promise.all([
+        sceneNode.waitForComplete(),
+        sceneNode.dataPromise,
+      ]).then(() => sceneNode));
       this._resolver = null;
       this._rejecter = null;
     }).catch((err) => {
@@ -76,4 +106,28 @@ export class Gltf2Node extends Node {
   waitForComplete() {
     return this._ensurePromise();
   }
+
+  // Also drops the fetched asset, so it can't be rebuilt afterwards.
+  dispose() {
+    this._source = null;
+    this._sceneNode = null;
+    super.dispose();
+  }
+
+  get mixer() {
+    return this._mixer;
+  }
+
+  // Names of the animation clips in the loaded asset.
+  get animations() {
+    return this._mixer.clipNames;
+  }
+
+  playAnimation(name, options) {
+    return this._mixer.play(name, options);
+  }
+
+  onUpdate(timestamp, frameDelta) {
+    this._mixer.update(frameDelta / 1000);
+  }
 }
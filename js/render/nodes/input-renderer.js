@@ -23,6 +23,9 @@ import {Node} from '../core/node.js';
 import {Primitive, PrimitiveAttribute} from '../core/primitive.js';
 import {DataTexture} from '../core/texture.js';
 import {Gltf2Node} from '../nodes/gltf2.js';
+import {PrimitiveStream} from '../geometry/primitive-stream.js';
+import {HAND_JOINT_COUNT, HAND_BONES} from '../core/hand-tracker.js';
+import {mat4, vec3} from '../math/gl-matrix.js';
 
 // This library matches XRInputSource profiles to available controller models for us.
 import { fetchProfile } from 'https://cdn.jsdelivr.net/npm/@webxr-input-profiles/motion-controllers@1.0/dist/motion-controllers.module.js';
@@ -67,12 +70,24 @@ const CURSOR_SEGMENTS = 16;
 const CURSOR_DEFAULT_COLOR = [1.0, 1.0, 1.0, 1.0];
 const CURSOR_DEFAULT_HIDDEN_COLOR = [0.5, 0.5, 0.5, 0.25];
 
+const HAND_SEGMENTS = 12;
+// Pooled hand meshes wrap around after this many hands in a frame, like the
+// other input elements do.
+const HAND_MAX_COUNT = 4;
+const HAND_DEFAULT_COLOR = [0.9, 0.9, 0.9, 1.0];
+
 const DEFAULT_RESET_OPTIONS = {
   controllers: true,
   lasers: true,
   cursors: true,
+  hands: true,
 };
 
+let tmpBoneMatrix = mat4.create();
+let tmpBoneDirection = vec3.create();
+let tmpBoneUp = vec3.create();
+let tmpBoneSide = vec3.create();
+
 class LaserMaterial extends Material {
   constructor() {
     super();
@@ -211,6 +226,50 @@ class CursorHiddenMaterial extends Material {
   }
 }
 
+// Shades the spheres and capsules used to draw tracked hands with a simple
+// overhead light.
+class HandMaterial extends Material {
+  constructor() {
+    super();
+
+    this.handColor = this.defineUniform('handColor', HAND_DEFAULT_COLOR);
+  }
+
+  get materialName() {
+    return 'INPUT_HAND';
+  }
+
+  get vertexSource() {
+    return `
+    in vec3 POSITION;
+    in vec3 NORMAL;
+
+    out vec3 vNormal;
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      vNormal = mat3(model) * NORMAL;
+      return proj * view * model * vec4(POSITION, 1.0);
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    precision mediump float;
+
+    uniform vec4 handColor;
+    in vec3 vNormal;
+
+    vec4 fragment_main() {
+      float light = 0.6 + 0.4 * max(normalize(vNormal).y, 0.0);
+      return vec4(handColor.rgb * light, handColor.a);
+    }`;
+  }
+
+  getProgramDefines(renderPrimitive) {
+    return {USE_INSTANCING: 1};
+  }
+}
+
 export class InputRenderer extends Node {
   constructor() {
     super();
@@ -220,10 +279,14 @@ export class InputRenderer extends Node {
     this._controllers = null;
     this._lasers = null;
     this._cursors = null;
+    this._handJoints = null;
+    this._handBones = null;
 
     this._activeControllers = 0;
     this._activeLasers = 0;
     this._activeCursors = 0;
+    this._activeHandJoints = 0;
+    this._activeHandBones = 0;
 
     this._blurred = false;
   }
@@ -232,10 +295,14 @@ export class InputRenderer extends Node {
     this._controllers = null;
     this._lasers = null;
     this._cursors = null;
+    this._handJoints = null;
+    this._handBones = null;
 
     this._activeControllers = 0;
     this._activeLasers = 0;
     this._activeCursors = 0;
+    this._activeHandJoints = 0;
+    this._activeHandBones = 0;
   }
 
   useProfileControllerMeshes(session) {
@@ -244,7 +311,8 @@ export class InputRenderer extends Node {
     // load as the controller model for that hand.
     session.addEventListener('inputsourceschange', (event) => {
       for (let inputSource of event.added) {
-        if (inputSource.targetRayMode == 'tracked-pointer') {
+        // Articulated hands are drawn from their joints instead.
+        if (inputSource.targetRayMode == 'tracked-pointer' && !inputSource.hand) {
           fetchProfile(inputSource, DEFAULT_PROFILES_PATH).then(({profile, assetPath}) => {
             this.setControllerMesh(new Gltf2Node({url: assetPath}), inputSource.handedness, inputSource.profiles[0]);
           });
@@ -344,6 +412,70 @@ export class InputRenderer extends Node {
     cursor.visible = true;
   }
 
+  // Draws a tracked hand as a sphere at each joint, joined by capsules along
+  // the bones. Takes the world space joint matrices and radii reported by a
+  // HandTracker.
+  addHand(jointMatrices, jointRadii) {
+    if (this._blurred || !this._renderer) { return; }
+    if (!this._handJoints) {
+      let handMaterial = new HandMaterial();
+      this._handJoints = [this._createHandJointMesh(handMaterial)];
+      this._handBones = [this._createHandBoneMesh(handMaterial)];
+      this.addNode(this._handJoints[0]);
+      this.addNode(this._handBones[0]);
+    }
+
+    for (let i = 0; i < HAND_JOINT_COUNT; ++i) {
+      let joint = this._getPooledNode(this._handJoints, this._activeHandJoints);
+      this._activeHandJoints = (this._activeHandJoints + 1) % (HAND_JOINT_COUNT * HAND_MAX_COUNT);
+      let radius = jointRadii[i];
+      vec3.set(joint.translation,
+          jointMatrices[i * 16 + 12], jointMatrices[i * 16 + 13], jointMatrices[i * 16 + 14]);
+      vec3.set(joint.scale, radius, radius, radius);
+      joint.visible = true;
+    }
+
+    for (let [a, b] of HAND_BONES) {
+      let bone = this._getPooledNode(this._handBones, this._activeHandBones);
+      this._activeHandBones = (this._activeHandBones + 1) % (HAND_BONES.length * HAND_MAX_COUNT);
+      let start = jointMatrices.subarray(a * 16 + 12, a * 16 + 15);
+      let end = jointMatrices.subarray(b * 16 + 12, b * 16 + 15);
+      let radius = Math.min(jointRadii[a], jointRadii[b]) * 0.75;
+
+      // The bone mesh is a unit length cylinder along +Y, so build a matrix
+      // that stretches it from one joint to the other.
+      vec3.subtract(tmpBoneDirection, end, start);
+      let length = vec3.length(tmpBoneDirection);
+      vec3.scale(tmpBoneDirection, tmpBoneDirection, length ? 1.0 / length : 0);
+      vec3.set(tmpBoneSide, 1, 0, 0);
+      if (Math.abs(tmpBoneDirection[0]) > 0.9) {
+        vec3.set(tmpBoneSide, 0, 0, 1);
+      }
+      vec3.cross(tmpBoneUp, tmpBoneSide, tmpBoneDirection);
+      vec3.normalize(tmpBoneUp, tmpBoneUp);
+      vec3.cross(tmpBoneSide, tmpBoneDirection, tmpBoneUp);
+
+      mat4.set(tmpBoneMatrix,
+          tmpBoneSide[0] * radius, tmpBoneSide[1] * radius, tmpBoneSide[2] * radius, 0,
+          tmpBoneDirection[0] * length, tmpBoneDirection[1] * length, tmpBoneDirection[2] * length, 0,
+          tmpBoneUp[0] * radius, tmpBoneUp[1] * radius, tmpBoneUp[2] * radius, 0,
+          start[0], start[1], start[2], 1);
+      bone.matrix = tmpBoneMatrix;
+      bone.visible = true;
+    }
+  }
+
+  // Returns the index'th node of the pool, cloning more as needed.
+  _getPooledNode(pool, index) {
+    if (index < pool.length) {
+      return pool[index];
+    }
+    let node = pool[0].clone();
+    this.addNode(node);
+    pool.push(node);
+    return node;
+  }
+
   reset(options) {
     if (!options) {
       options = DEFAULT_RESET_OPTIONS;
@@ -369,6 +501,73 @@ export class InputRenderer extends Node {
       }
       this._activeCursors = 0;
     }
+    if (this._handJoints && options.hands) {
+      for (let joint of this._handJoints) {
+        joint.visible = false;
+      }
+      for (let bone of this._handBones) {
+        bone.visible = false;
+      }
+      this._activeHandJoints = 0;
+      this._activeHandBones = 0;
+    }
+  }
+
+  // Unit sphere, scaled to each joint's radius.
+  _createHandJointMesh(material) {
+    let stream = new PrimitiveStream();
+    stream.startGeometry();
+
+    let rings = HAND_SEGMENTS / 2;
+    for (let ring = 0; ring <= rings; ++ring) {
+      let theta = (ring / rings) * Math.PI;
+      for (let i = 0; i <= HAND_SEGMENTS; ++i) {
+        let phi = (i / HAND_SEGMENTS) * Math.PI * 2.0;
+        let x = Math.sin(theta) * Math.cos(phi);
+        let y = Math.cos(theta);
+        let z = Math.sin(theta) * Math.sin(phi);
+        stream.pushVertex(x, y, z, i / HAND_SEGMENTS, ring / rings, x, y, z);
+
+        if (ring > 0 && i > 0) {
+          let idx = ring * (HAND_SEGMENTS + 1) + i;
+          stream.pushTriangle(idx - HAND_SEGMENTS - 2, idx - HAND_SEGMENTS - 1, idx - 1);
+          stream.pushTriangle(idx - HAND_SEGMENTS - 1, idx, idx - 1);
+        }
+      }
+    }
+
+    stream.endGeometry();
+
+    let meshNode = new Node();
+    meshNode.addRenderPrimitive(this._renderer.createRenderPrimitive(stream.finishPrimitive(this._renderer), material));
+    return meshNode;
+  }
+
+  // Open ended cylinder from (0, 0, 0) to (0, 1, 0) with a radius of 1. The
+  // joint spheres cap its ends.
+  _createHandBoneMesh(material) {
+    let stream = new PrimitiveStream();
+    stream.startGeometry();
+
+    for (let i = 0; i <= HAND_SEGMENTS; ++i) {
+      let phi = (i / HAND_SEGMENTS) * Math.PI * 2.0;
+      let x = Math.cos(phi);
+      let z = Math.sin(phi);
+      stream.pushVertex(x, 0, z, i / HAND_SEGMENTS, 1, x, 0, z);
+      stream.pushVertex(x, 1, z, i / HAND_SEGMENTS, 0, x, 0, z);
+
+      if (i > 0) {
+        let idx = i * 2;
+        stream.pushTriangle(idx - 2, idx - 1, idx);
+        stream.pushTriangle(idx - 1, idx + 1, idx);
+      }
+    }
+
+    stream.endGeometry();
+
+    let meshNode = new Node();
+    meshNode.addRenderPrimitive(this._renderer.createRenderPrimitive(stream.finishPrimitive(this._renderer), material));
+    return meshNode;
   }
 
   _createLaserMesh() {
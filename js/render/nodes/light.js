@@ -0,0 +1,52 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+A punctual light in the scene graph. Like glTF lights, spot and directional
+lights point down the node's local -Z axis. The renderer forwards a limited
+number of active lights to materials, see lights.js.
+*/
+
+import {Node} from '../core/node.js';
+import {LIGHT_TYPE} from '../core/lights.js';
+
+export class LightNode extends Node {
+  constructor(options = {}) {
+    super();
+
+    this.type = 'type' in options ? options.type : LIGHT_TYPE.POINT;
+    this.color = new Float32Array(options.color || [1.0, 1.0, 1.0]);
+    this.intensity = 'intensity' in options ? options.intensity : 1.0;
+    // Distance at which point and spot lights fall off to zero. 0 means the
+    // light follows the inverse square law with no cutoff.
+    this.range = options.range || 0;
+    // Spot light cone angles, in radians.
+    this.innerConeAngle = options.innerConeAngle || 0;
+    this.outerConeAngle = 'outerConeAngle' in options ? options.outerConeAngle : Math.PI / 4;
+  }
+
+  markActive(frameId, castShadow, receiveShadow) {
+    super.markActive(frameId, castShadow, receiveShadow);
+
+    if (this.visible && this._renderer) {
+      this._renderer._addActiveLight(this);
+    }
+  }
+}
@@ -1,6 +1,7 @@
 import { UrlTexture } from "../core/texture.js";
 import { ButtonNode } from "./button.js";
 import { Node } from "../core/node.js";
+import { ActionMap } from "../../util/action-map.js";
 
 const BUTTON_INTERVAL = 0.12;
 
@@ -9,7 +10,12 @@ export class MenuSystem {
     this.buttons = [];
     this.highlightOverwrite = highlightOverwrite;
     this.menuBarNode = null;
-    this.lastFrameButtonsByGamepad = new WeakMap();
+
+    // 'move' brings the menu to the controller, 'press' activates the button
+    // it points at. Rebind these for controllers with other layouts.
+    this.actionMap = new ActionMap();
+    this.actionMap.addAction('move', { button: 'a-button' });
+    this.actionMap.addAction('press', { button: 'trigger' });
   }
 
   createButton(path, action) {
@@ -71,12 +77,14 @@ export class MenuSystem {
   }
 
   processInput(frame, scene, refSpace) {
+    this.actionMap.update(frame);
+
     let hits = [];
     for (let source of frame.session.inputSources) {
       let gamepad = source.gamepad;
       if (gamepad) {
         let pose = frame.getPose(source.gripSpace, refSpace);
-        if (gamepad.buttons[4].pressed) {
+        if (this.actionMap.isHeld('move', source)) {
           if (pose) {
             let pos = pose.transform.position;
             let rot = pose.transform.orientation;
@@ -89,22 +97,11 @@ export class MenuSystem {
           continue;
         }
         let hitResult = scene.hitTest(targetRayPose.transform);
-        let lastFrameButtons = this.lastFrameButtonsByGamepad.get(gamepad);
-        if (!lastFrameButtons) {
-          lastFrameButtons = new Array(gamepad.buttons.length);
-          lastFrameButtons.fill(false);
-          this.lastFrameButtonsByGamepad.set(gamepad, lastFrameButtons);
-        }
         hits.push({
+          source: source,
           hitResult: hitResult,
-          buttonPressed:
-            0 < gamepad.buttons.length &&
-            gamepad.buttons[0].pressed &&
-            !lastFrameButtons[0],
+          buttonPressed: this.actionMap.wasPressed('press', source),
         });
-        for (let i = 0; i < gamepad.buttons.length; i++) {
-          lastFrameButtons[i] = gamepad.buttons[i].pressed;
-        }
       }
     }
 
@@ -120,6 +117,7 @@ export class MenuSystem {
           }
           if (hit.buttonPressed) {
             this.executeButtonAction(button);
+            scene.haptics.play("select", hit.source);
             if (button.state != null) {
               this.menuBarNode.removeNode(buttonNode);
               button.state = 1 - button.state;
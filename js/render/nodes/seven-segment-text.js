@@ -140,7 +140,9 @@ export class SevenSegmentText extends Node {
     defineCharacter('D', [1, 2, 4, 5, 6]);
     defineCharacter('E', [0, 1, 2, 4, 6]);
     defineCharacter('F', [0, 1, 3, 5]);
+    defineCharacter('L', [2, 3, 5]);
     defineCharacter('P', [0, 1, 3, 4, 5]);
+    defineCharacter('U', [2, 3, 4, 5, 6]);
     defineCharacter('-', [1]);
     defineCharacter(' ', []);
     defineCharacter('_', [2]); // Used for undefined characters
@@ -0,0 +1,105 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Node for an invisible ground plane that only renders the shadows cast onto it
+by the renderer's shadow map. Primarily useful in AR to give placed objects a
+contact shadow on real world surfaces. Requires Renderer.enableShadows().
+*/
+
+import {Material} from '../core/material.js';
+import {Node} from '../core/node.js';
+import {PrimitiveStream} from '../geometry/primitive-stream.js';
+
+const GL = WebGLRenderingContext; // For enums
+
+const CATCHER_GROUND_OFFSET = 0.001;
+
+class ShadowCatcherMaterial extends Material {
+  constructor() {
+    super();
+
+    this.state.blend = true;
+    this.state.blendFuncSrc = GL.ONE;
+    this.state.blendFuncDst = GL.ONE_MINUS_SRC_ALPHA;
+    this.state.depthFunc = GL.LEQUAL;
+    this.state.depthMask = false;
+    this.state.cullFace = false;
+  }
+
+  get materialName() {
+    return 'SHADOW_CATCHER_MATERIAL';
+  }
+
+  get vertexSource() {
+    return `
+    in vec3 POSITION;
+
+    #include <shadow_receiver_vertex>
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      vec4 worldPosition = model * vec4(POSITION, 1.0);
+      computeShadowCoord(worldPosition);
+      return proj * view * worldPosition;
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    uniform vec3 LIGHT_DIRECTION;
+
+    #include <shadow_receiver_fragment>
+
+    vec4 fragment_main() {
+      float nDotL = -LIGHT_DIRECTION.y / length(LIGHT_DIRECTION);
+      return vec4(0.0, 0.0, 0.0, 1.0 - shadowVisibility(nDotL));
+    }`;
+  }
+}
+
+export class ShadowCatcherNode extends Node {
+  constructor(size = 10.0) {
+    super();
+
+    this._size = size;
+    this.receiveShadow = true;
+    this.castShadow = false;
+  }
+
+  onRendererChanged(renderer) {
+    let stream = new PrimitiveStream();
+    let s = this._size * 0.5;
+
+    stream.startGeometry();
+
+    stream.pushVertex(-s, CATCHER_GROUND_OFFSET, -s);
+    stream.pushVertex(s, CATCHER_GROUND_OFFSET, -s);
+    stream.pushVertex(s, CATCHER_GROUND_OFFSET, s);
+    stream.pushVertex(-s, CATCHER_GROUND_OFFSET, s);
+
+    stream.pushTriangle(0, 2, 1);
+    stream.pushTriangle(0, 3, 2);
+
+    stream.endGeometry();
+
+    let catcherPrimitive = stream.finishPrimitive(renderer);
+    this.addRenderPrimitive(renderer.createRenderPrimitive(catcherPrimitive, new ShadowCatcherMaterial()));
+  }
+}
@@ -85,8 +85,12 @@ export class SkyboxNode extends Node {
     super();
 
     this._url = options.url;
+    // If given, the source image of an EnvironmentMap is displayed instead so
+    // that the background matches the reflections.
+    this._environmentMap = options.environmentMap || null;
     this._displayMode = options.displayMode || 'mono';
     this._rotationY = options.rotationY || 0;
+    this.frustumCulled = false;
   }
 
   onRendererChanged(renderer) {
@@ -139,7 +143,11 @@ export class SkyboxNode extends Node {
     primitive.setIndexBuffer(indexBuffer);
 
     let material = new SkyboxMaterial();
-    material.image.texture = new UrlTexture(this._url);
+    if (this._environmentMap) {
+      material.image.texture = this._environmentMap.texture;
+    } else {
+      material.image.texture = new UrlTexture(this._url);
+    }
 
     switch (this._displayMode) {
       case 'mono':
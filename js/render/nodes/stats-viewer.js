@@ -108,6 +108,29 @@ export class StatsViewer extends Node {
       0, 0, 1, 0,
       -0.3625, 0.3625, 0.02, 1,
     ]);
+
+    // Number of objects skipped by the renderer's frustum culling, shown
+    // below the graph.
+    this._culledCount = -1;
+    this._culledTextNode = new SevenSegmentText();
+    this._culledTextNode.matrix = new Float32Array([
+      0.05, 0, 0, 0,
+      0, 0.05, 0, 0,
+      0, 0, 1, 0,
+      -0.3625, -0.525, 0.02, 1,
+    ]);
+
+    // Megabytes of GPU memory used by the renderer's buffers and textures,
+    // shown below the culled count. The segment font has no M, so it's
+    // suffixed with just a B.
+    this._memoryMegabytes = -1;
+    this._memoryTextNode = new SevenSegmentText();
+    this._memoryTextNode.matrix = new Float32Array([
+      0.05, 0, 0, 0,
+      0, 0.05, 0, 0,
+      0, 0, 1, 0,
+      -0.3625, -0.625, 0.02, 1,
+    ]);
   }
 
   onRendererChanged(renderer) {
@@ -175,6 +198,8 @@ export class StatsViewer extends Node {
 
     this.addNode(this._fpsNode);
     this.addNode(this._sevenSegmentNode);
+    this.addNode(this._culledTextNode);
+    this.addNode(this._memoryTextNode);
   }
 
   get performanceMonitoring() {
@@ -264,5 +289,18 @@ export class StatsViewer extends Node {
     this._lastSegment = (this._lastSegment+1) % SEGMENTS;
 
     this._sevenSegmentNode.text = `${this._fpsAverage.toString().padEnd(3)}FP5`;
+
+    if (this._renderer && this._renderer.culledCount != this._culledCount) {
+      this._culledCount = this._renderer.culledCount;
+      this._culledTextNode.text = `${this._culledCount.toString().padEnd(4)}CUL`;
+    }
+
+    if (this._renderer) {
+      let megabytes = Math.round(this._renderer.memoryInfo().totalBytes / (1024 * 1024));
+      if (megabytes != this._memoryMegabytes) {
+        this._memoryMegabytes = megabytes;
+        this._memoryTextNode.text = `${megabytes.toString().padEnd(4)}B`;
+      }
+    }
   }
 }
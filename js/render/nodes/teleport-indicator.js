@@ -0,0 +1,279 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Draws the parabolic arc and landing marker used when aiming a teleport. The
+arc is computed in the vertex shader from its start point, launch velocity and
+gravity, so moving it each frame only updates uniforms.
+*/
+
+import {Material, RENDER_ORDER} from '../core/material.js';
+import {Node} from '../core/node.js';
+import {Primitive, PrimitiveAttribute} from '../core/primitive.js';
+
+const GL = WebGLRenderingContext; // For enums
+
+const ARC_SEGMENTS = 48;
+const ARC_RADIUS = 0.008;
+const MARKER_INNER_RADIUS = 0.2;
+const MARKER_OUTER_RADIUS = 0.25;
+const MARKER_SEGMENTS = 32;
+// Lifts the marker off the floor to avoid z-fighting.
+const MARKER_HEIGHT = 0.005;
+
+const VALID_COLOR = [0.3, 0.7, 1.0, 0.8];
+const INVALID_COLOR = [1.0, 0.3, 0.3, 0.5];
+
+// Additive, like the input laser, so the arc reads as light rather than an
+// object in the scene.
+class TeleportArcMaterial extends Material {
+  constructor() {
+    super();
+    this.renderOrder = RENDER_ORDER.ADDITIVE;
+    this.state.cullFace = false;
+    this.state.blend = true;
+    this.state.blendFuncSrc = GL.ONE;
+    this.state.blendFuncDst = GL.ONE;
+    this.state.depthMask = false;
+
+    this.defineUniform('arcStart', [0, 0, 0]);
+    this.defineUniform('arcVelocity', [0, 0, -1]);
+    this.defineUniform('arcGravity', 9.8);
+    this.defineUniform('arcTime', 1.0);
+    this.defineUniform('arcColor', VALID_COLOR);
+  }
+
+  get materialName() {
+    return 'TELEPORT_ARC';
+  }
+
+  get vertexSource() {
+    return `
+    // x is the fraction of the way along the arc, y the side of the ribbon and
+    // z which of the two crossed ribbons the vertex belongs to.
+    in vec3 POSITION;
+    in vec2 TEXCOORD_0;
+
+    uniform vec3 arcStart;
+    uniform vec3 arcVelocity;
+    uniform float arcGravity;
+    uniform float arcTime;
+
+    out vec2 vTexCoord;
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      float t = POSITION.x * arcTime;
+      vec3 gravity = vec3(0.0, -arcGravity, 0.0);
+      vec3 pos = arcStart + arcVelocity * t + 0.5 * gravity * t * t;
+
+      vec3 tangent = normalize(arcVelocity + gravity * t);
+      vec3 side = cross(tangent, vec3(0.0, 1.0, 0.0));
+      side = length(side) > 0.001 ? normalize(side) : vec3(1.0, 0.0, 0.0);
+      vec3 up = cross(side, tangent);
+      pos += mix(side, up, POSITION.z) * POSITION.y * ${ARC_RADIUS};
+
+      vTexCoord = TEXCOORD_0;
+      return proj * view * model * vec4(pos, 1.0);
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    precision mediump float;
+
+    uniform vec4 arcColor;
+    in vec2 vTexCoord;
+
+    vec4 fragment_main() {
+      // Bright core with feathered edges, faded in near the controller.
+      float edge = 1.0 - abs(vTexCoord.x * 2.0 - 1.0);
+      float opacity = arcColor.a * smoothstep(0.0, 0.8, edge) * smoothstep(0.0, 0.1, vTexCoord.y);
+      return vec4(arcColor.rgb * opacity, opacity);
+    }`;
+  }
+}
+
+class TeleportMarkerMaterial extends Material {
+  constructor() {
+    super();
+    this.renderOrder = RENDER_ORDER.ADDITIVE;
+    this.state.cullFace = false;
+    this.state.blend = true;
+    this.state.blendFuncSrc = GL.ONE;
+    this.state.blendFuncDst = GL.ONE;
+    this.state.depthMask = false;
+
+    this.defineUniform('markerColor', VALID_COLOR);
+  }
+
+  get materialName() {
+    return 'TELEPORT_MARKER';
+  }
+
+  get vertexSource() {
+    return `
+    in vec3 POSITION;
+
+    vec4 vertex_main(mat4 proj, mat4 view, mat4 model) {
+      return proj * view * model * vec4(POSITION, 1.0);
+    }`;
+  }
+
+  get fragmentSource() {
+    return `
+    precision mediump float;
+
+    uniform vec4 markerColor;
+
+    vec4 fragment_main() {
+      return vec4(markerColor.rgb * markerColor.a, markerColor.a);
+    }`;
+  }
+}
+
+export class TeleportIndicator extends Node {
+  constructor() {
+    super();
+
+    this._arcNode = null;
+    this._markerNode = null;
+    this._arcRenderPrimitive = null;
+  }
+
+  onRendererChanged(renderer) {
+    this.clearNodes();
+
+    this._arcRenderPrimitive = renderer.createRenderPrimitive(
+        this._createArcPrimitive(renderer), new TeleportArcMaterial());
+    this._arcNode = new Node();
+    // The arc's shape comes from uniforms, so its vertices say nothing about
+    // where it is.
+    this._arcNode.frustumCulled = false;
+    this._arcNode.visible = false;
+    this._arcNode.addRenderPrimitive(this._arcRenderPrimitive);
+    this.addNode(this._arcNode);
+
+    this._markerNode = new Node();
+    this._markerNode.visible = false;
+    this._markerNode.addRenderPrimitive(renderer.createRenderPrimitive(
+        this._createMarkerPrimitive(renderer), new TeleportMarkerMaterial()));
+    this.addNode(this._markerNode);
+  }
+
+  // Shows the arc an object launched from |start| with |velocity| would follow
+  // under |gravity| for |time| seconds. |valid| picks its color.
+  setArc(start, velocity, gravity, time, valid) {
+    if (!this._arcNode) {
+      return;
+    }
+    let uniforms = this._arcRenderPrimitive.uniforms;
+    uniforms.arcStart.value = start;
+    uniforms.arcVelocity.value = velocity;
+    uniforms.arcGravity.value = gravity;
+    uniforms.arcTime.value = time;
+    uniforms.arcColor.value = valid ? VALID_COLOR : INVALID_COLOR;
+    this._arcNode.visible = true;
+  }
+
+  // Shows the landing marker at |position|, or hides it if null.
+  setTarget(position) {
+    if (!this._markerNode) {
+      return;
+    }
+    if (position) {
+      this._markerNode.translation = [position[0], position[1] + MARKER_HEIGHT, position[2]];
+      this._markerNode.visible = true;
+    } else {
+      this._markerNode.visible = false;
+    }
+  }
+
+  hide() {
+    if (this._arcNode) {
+      this._arcNode.visible = false;
+      this._markerNode.visible = false;
+    }
+  }
+
+  _createArcPrimitive(renderer) {
+    let verts = [];
+    let indices = [];
+
+    // Two ribbons crossed along the arc, like the input laser.
+    for (let ribbon = 0; ribbon < 2; ++ribbon) {
+      let offset = verts.length / 5;
+      for (let i = 0; i <= ARC_SEGMENTS; ++i) {
+        let t = i / ARC_SEGMENTS;
+        //         X  Y   Z       U    V
+        verts.push(t, -1, ribbon, 0.0, t);
+        verts.push(t, 1, ribbon, 1.0, t);
+
+        if (i > 0) {
+          let idx = offset + i * 2;
+          indices.push(idx - 2, idx - 1, idx, idx - 1, idx + 1, idx);
+        }
+      }
+    }
+
+    let vertexBuffer = renderer.createRenderBuffer(GL.ARRAY_BUFFER, new Float32Array(verts));
+    let indexBuffer = renderer.createRenderBuffer(GL.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices));
+
+    let attribs = [
+      new PrimitiveAttribute('POSITION', vertexBuffer, 3, GL.FLOAT, 20, 0),
+      new PrimitiveAttribute('TEXCOORD_0', vertexBuffer, 2, GL.FLOAT, 20, 12),
+    ];
+
+    let primitive = new Primitive(attribs, indices.length);
+    primitive.setIndexBuffer(indexBuffer);
+    return primitive;
+  }
+
+  // Flat ring in the XZ plane.
+  _createMarkerPrimitive(renderer) {
+    let verts = [];
+    let indices = [];
+
+    for (let i = 0; i <= MARKER_SEGMENTS; ++i) {
+      let rad = (i / MARKER_SEGMENTS) * Math.PI * 2.0;
+      let x = Math.cos(rad);
+      let z = Math.sin(rad);
+      verts.push(x * MARKER_INNER_RADIUS, 0, z * MARKER_INNER_RADIUS);
+      verts.push(x * MARKER_OUTER_RADIUS, 0, z * MARKER_OUTER_RADIUS);
+
+      if (i > 0) {
+        let idx = i * 2;
+        indices.push(idx - 2, idx - 1, idx, idx - 1, idx + 1, idx);
+      }
+    }
+
+    let vertexBuffer = renderer.createRenderBuffer(GL.ARRAY_BUFFER, new Float32Array(verts));
+    let indexBuffer = renderer.createRenderBuffer(GL.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices));
+
+    let attribs = [
+      new PrimitiveAttribute('POSITION', vertexBuffer, 3, GL.FLOAT, 12, 0),
+    ];
+
+    let primitive = new Primitive(attribs, indices.length);
+    primitive.setIndexBuffer(indexBuffer);
+    primitive.setBounds([-MARKER_OUTER_RADIUS, 0, -MARKER_OUTER_RADIUS],
+                        [MARKER_OUTER_RADIUS, 0, MARKER_OUTER_RADIUS]);
+    return primitive;
+  }
+}
@@ -0,0 +1,60 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Basic color grading: exposure, contrast and saturation adjustments followed by
+a color tint, all applied in the order listed.
+*/
+
+import {PostProcessPass} from '../core/post-process.js';
+
+export class ColorGradePass extends PostProcessPass {
+  constructor(options = {}) {
+    super();
+
+    // In stops, so 1.0 doubles the brightness.
+    this.exposure = this.defineUniform('exposure', options.exposure || 0.0);
+    this.contrast = this.defineUniform('contrast', 'contrast' in options ? options.contrast : 1.0);
+    this.saturation = this.defineUniform('saturation', 'saturation' in options ? options.saturation : 1.0);
+    this.tint = this.defineUniform('tint', options.tint || [1.0, 1.0, 1.0]);
+  }
+
+  get passName() {
+    return 'COLOR_GRADE';
+  }
+
+  get fragmentSource() {
+    return `
+    uniform float exposure;
+    uniform float contrast;
+    uniform float saturation;
+    uniform vec3 tint;
+
+    const vec3 LUMINANCE = vec3(0.2126, 0.7152, 0.0722);
+
+    vec4 pass_main(vec2 uv) {
+      vec4 source = sampleSource(uv);
+      vec3 color = source.rgb * exp2(exposure);
+      color = (color - 0.5) * contrast + 0.5;
+      color = mix(vec3(dot(color, LUMINANCE)), color, saturation);
+      return vec4(clamp(color * tint, 0.0, 1.0), source.a);
+    }`;
+  }
+}
@@ -0,0 +1,60 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Darkens the edges of each view. Narrowing the visible field of view like this
+during artificial locomotion is a common way of reducing motion sickness, so
+|intensity| is intended to be animated rather than left at a fixed value.
+*/
+
+import {PostProcessPass} from '../core/post-process.js';
+
+export class VignettePass extends PostProcessPass {
+  constructor(options = {}) {
+    super();
+
+    // 0 leaves the image untouched, 1 blacks out everything past |radius|.
+    this.intensity = this.defineUniform('intensity', 'intensity' in options ? options.intensity : 1.0);
+    // Distance from the view center, in uv units, where the fade starts and
+    // how far it extends.
+    this.radius = this.defineUniform('radius', options.radius || 0.5);
+    this.softness = this.defineUniform('softness', options.softness || 0.3);
+    this.color = this.defineUniform('color', options.color || [0.0, 0.0, 0.0]);
+  }
+
+  get passName() {
+    return 'VIGNETTE';
+  }
+
+  get fragmentSource() {
+    return `
+    uniform float intensity;
+    uniform float radius;
+    uniform float softness;
+    uniform vec3 color;
+
+    vec4 pass_main(vec2 uv) {
+      vec4 source = sampleSource(uv);
+      float dist = length(uv - vec2(0.5));
+      float fade = smoothstep(radius, radius + softness, dist) * intensity;
+      return vec4(mix(source.rgb, color, fade), source.a);
+    }`;
+  }
+}
@@ -22,8 +22,13 @@ import {RenderView} from '../core/renderer.js';
 import {InputRenderer} from '../nodes/input-renderer.js';
 import {StatsViewer} from '../nodes/stats-viewer.js';
 import {Node} from '../core/node.js';
+import {NodeEvent} from '../core/node-event.js';
+import {SceneBVH} from '../core/scene-bvh.js';
+import {GrabManager} from '../core/grab-manager.js';
+import {HandTracker} from '../core/hand-tracker.js';
+import {Haptics} from '../core/haptics.js';
 import {vec3, quat} from '../math/gl-matrix.js';
-import {Ray} from '../math/ray.js';
+import {Ray, RAY_INTERSECTION_OFFSET} from '../math/ray.js';
 
 export class WebXRView extends RenderView {
   constructor(view, layer, viewport, depthdata) {
@@ -55,19 +60,93 @@ export class Scene extends Node {
 
     this._hoverFrame = 0;
     this._hoveredNodes = [];
+    // The node each input source is currently pointing at.
+    this._inputSourceHoverNodes = new Map();
 
     this.clear = true;
+
+    // Optional PostProcessChain applied to the output of drawXRFrame().
+    this.postProcess = null;
+
+    this._bvh = new SceneBVH();
+    this._setSceneBVH(this._bvh);
+
+    this._grabManager = new GrabManager(this);
+    this._handTracker = new HandTracker(this);
+    this._haptics = new Haptics();
+  }
+
+  // Handles picking up and moving grabbable nodes.
+  get grabManager() {
+    return this._grabManager;
+  }
+
+  // Tracks the joints and gestures of articulated hand input sources.
+  get handTracker() {
+    return this._handTracker;
+  }
+
+  // Plays vibration patterns on controllers as they hover, select and grab.
+  get haptics() {
+    return this._haptics;
+  }
+
+  // SceneBVH over the world space bounds of every node in the scene, for
+  // spatial queries.
+  get bvh() {
+    return this._bvh;
+  }
+
+  // Same result as Node.hitTest(), but only tests the selectable nodes whose
+  // bounds are along the ray, nearest first.
+  hitTest(rigidTransform) {
+    if (this.selectable && this.visible) {
+      return super.hitTest(rigidTransform);
+    }
+
+    let ray = new Ray(rigidTransform.matrix);
+    let candidates = this._bvh.raycast(ray);
+
+    let result = null;
+    let testedNodes = new Set();
+    for (let candidate of candidates) {
+      // Nothing further along the ray can be hit before the current result.
+      if (result && candidate.distance - RAY_INTERSECTION_OFFSET > result.distance) {
+        break;
+      }
+
+      // Node.hitTest() tests the whole subtree of the first selectable and
+      // visible node it finds, so do the same starting from that ancestor.
+      let selectableNode = null;
+      for (let node = candidate.node; node && node != this; node = node.parent) {
+        if (node.selectable && node.visible) {
+          selectableNode = node;
+        }
+      }
+      if (!selectableNode || testedNodes.has(selectableNode)) {
+        continue;
+      }
+      testedNodes.add(selectableNode);
+
+      let nodeResult = selectableNode.hitTest(rigidTransform);
+      if (nodeResult && (!result || result.distance > nodeResult.distance)) {
+        result = nodeResult;
+      }
+    }
+    return result;
   }
 
   setRenderer(renderer) {
     this._setRenderer(renderer);
   }
 
+  // Detaches the renderer from every node in the scene, dropping their render
+  // primitives. Used when the WebGL context is lost; calling setRenderer again
+  // afterwards has every node recreate its resources in onRendererChanged.
   loseRenderer() {
-    if (this._renderer) {
-      this._stats = null;
-      this._renderer = null;
-      this._inputRenderer = null;
+    this._setRenderer(null);
+    if (this.postProcess) {
+      this.postProcess._reset();
     }
   }
 
@@ -86,6 +165,8 @@ export class Scene extends Node {
     let lastHoverFrame = this._hoverFrame;
     this._hoverFrame++;
 
+    let inputSourceHoverNodes = new Map();
+
     for (let inputSource of frame.session.inputSources) {
       let targetRayPose = frame.getPose(inputSource.targetRaySpace, refSpace);
 
@@ -116,6 +197,16 @@ export class Scene extends Node {
         }
         hitResult.node._hoverFrameId = this._hoverFrame;
         newHoveredNodes.push(hitResult.node);
+
+        inputSourceHoverNodes.set(inputSource, hitResult.node);
+        if (this._inputSourceHoverNodes.get(inputSource) != hitResult.node) {
+          this._dispatchHoverLeave(inputSource, frame);
+          hitResult.node.dispatchEvent(
+              this._createInputEvent('hoverenter', inputSource, frame, hitResult));
+          this._haptics.play('hover', inputSource);
+        }
+        hitResult.node.dispatchEvent(
+            this._createInputEvent('pointermove', inputSource, frame, hitResult));
       } else {
         // Statically render the cursor 1 meters down the ray since we didn't
         // hit anything selectable.
@@ -136,18 +227,41 @@ export class Scene extends Node {
         this.inputRenderer.addCursor(cursorPos);
       }
 
+      if (inputSource.hand &&
+          this._handTracker._updateInputSource(inputSource, frame, refSpace)) {
+        this.inputRenderer.addHand(this._handTracker.getJointMatrices(inputSource),
+                                   this._handTracker.getJointRadii(inputSource));
+      }
+
+      let gripPose = null;
       if (inputSource.gripSpace) {
-        let gripPose = frame.getPose(inputSource.gripSpace, refSpace);
+        gripPose = frame.getPose(inputSource.gripSpace, refSpace);
 
-        // Any time that we have a grip matrix, we'll render a controller.
-        if (gripPose) {
+        // Any time that we have a grip matrix, we'll render a controller,
+        // unless it's a hand that's drawn from its joints.
+        if (gripPose && !inputSource.hand) {
           this.inputRenderer.addController(gripPose.transform.matrix, inputSource.handedness, inputSource.profiles[0]);
         }
       }
 
+      this._grabManager._updateInputSource(
+          inputSource, inputSource.gripSpace ? gripPose : targetRayPose, frame, refSpace);
+
 
     }
 
+    // Input sources that aren't pointing at anything anymore, or have gone
+    // away entirely.
+    for (let inputSource of this._inputSourceHoverNodes.keys()) {
+      if (!inputSourceHoverNodes.has(inputSource)) {
+        this._dispatchHoverLeave(inputSource, frame);
+      }
+    }
+    this._inputSourceHoverNodes = inputSourceHoverNodes;
+
+    this._handTracker._update(frame, refSpace);
+    this._grabManager._update(frame);
+
     for (let hoverNode of this._hoveredNodes) {
       if (hoverNode._hoverFrameId != this._hoverFrame) {
         hoverNode.onHoverEnd();
@@ -157,6 +271,66 @@ export class Scene extends Node {
     this._hoveredNodes = newHoveredNodes;
   }
 
+  _createInputEvent(type, inputSource, frame, hitResult) {
+    return new NodeEvent(type, {
+      inputSource: inputSource,
+      frame: frame,
+      intersection: hitResult ? hitResult.intersection : null,
+      distance: hitResult ? hitResult.distance : Infinity,
+      hitResult: hitResult,
+    });
+  }
+
+  _dispatchHoverLeave(inputSource, frame) {
+    let node = this._inputSourceHoverNodes.get(inputSource);
+    if (node) {
+      this._inputSourceHoverNodes.delete(inputSource);
+      node.dispatchEvent(this._createInputEvent('hoverleave', inputSource, frame, null));
+    }
+  }
+
+  // Hit tests the input source's target ray and dispatches an event of the
+  // given type to the node it hits, if any. Returns the hit result.
+  _dispatchInputEvent(type, inputSource, frame, refSpace) {
+    let targetRayPose = frame.getPose(inputSource.targetRaySpace, refSpace);
+
+    if (!targetRayPose) {
+      return null;
+    }
+
+    let hitResult = this.hitTest(targetRayPose.transform);
+    if (hitResult) {
+      hitResult.node.dispatchEvent(
+          this._createInputEvent(type, inputSource, frame, hitResult));
+    }
+    return hitResult;
+  }
+
+  handleSelectStart(inputSource, frame, refSpace) {
+    this._handTracker._onSelectStart(inputSource);
+    let hitResult = this._dispatchInputEvent('selectstart', inputSource, frame, refSpace);
+    this._grabManager._onInputStart('select', inputSource, frame, refSpace, hitResult);
+  }
+
+  handleSelectEnd(inputSource, frame, refSpace) {
+    this._dispatchInputEvent('selectend', inputSource, frame, refSpace);
+    this._grabManager._onInputEnd('select', inputSource, frame);
+  }
+
+  handleSqueezeStart(inputSource, frame, refSpace) {
+    let hitResult = this._dispatchInputEvent('squeezestart', inputSource, frame, refSpace);
+    this._grabManager._onInputStart('squeeze', inputSource, frame, refSpace, hitResult);
+  }
+
+  handleSqueezeEnd(inputSource, frame, refSpace) {
+    this._dispatchInputEvent('squeezeend', inputSource, frame, refSpace);
+    this._grabManager._onInputEnd('squeeze', inputSource, frame);
+  }
+
+  handleSqueeze(inputSource, frame, refSpace) {
+    this._dispatchInputEvent('squeeze', inputSource, frame, refSpace);
+  }
+
   handleSelect(inputSource, frame, refSpace) {
     let targetRayPose = frame.getPose(inputSource.targetRaySpace, refSpace);
 
@@ -164,17 +338,19 @@ export class Scene extends Node {
       return;
     }
 
-    this.handleSelectPointer(targetRayPose.transform);
+    this.handleSelectPointer(targetRayPose.transform, inputSource, frame);
   }
 
-  handleSelectPointer(rigidTransform) {
+  handleSelectPointer(rigidTransform, inputSource = null, frame = null) {
     if (rigidTransform) {
       // Check and see if the pointer is pointing at any selectable objects.
       let hitResult = this.hitTest(rigidTransform);
 
       if (hitResult) {
-        // Render a cursor at the intersection point.
-        hitResult.node.handleSelect();
+        let event = this._createInputEvent('select', inputSource, frame, hitResult);
+        hitResult.node.handleSelect(event);
+        hitResult.node.dispatchEvent(event);
+        this._haptics.play('select', inputSource);
       }
     }
   }
@@ -280,11 +456,22 @@ export class Scene extends Node {
       }
     }
 
+    // With post-processing the views are drawn into an intermediate target
+    // and resolved into the layer's framebuffer afterwards.
+    let postProcess = (this.postProcess && this.postProcess.active) ? this.postProcess : null;
+    if (postProcess) {
+      postProcess._begin(renderer, views);
+    }
+
     if (this.clear) {
       gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     }
 
     this.drawViewArray(views, depthData);
+
+    if (postProcess) {
+      postProcess._end(renderer, views);
+    }
   }
 
   drawViewArray(views, depthData) {
@@ -0,0 +1,278 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Maps named actions, such as 'grab' or 'menu', to controller buttons and axes so
+that apps don't need to hardcode gamepad layouts. Bindings are given per input
+profile and handedness, falling back to ones for any controller with the
+'xr-standard' gamepad mapping.
+
+Call update() once per frame, then query each action's state per input source:
+isHeld() while it's active, wasPressed() and wasReleased() only on the frame it
+changed.
+
+  let actions = new ActionMap();
+  actions.addAction('menu', {button: 'a-button'});
+  // The Vive wands don't have an A button.
+  actions.bind('menu', {button: 'touchpad'}, {profile: 'htc-vive'});
+*/
+
+// Component names from the xr-standard gamepad mapping, as used by the WebXR
+// input profiles registry, and their button and axis indices.
+export const XR_STANDARD_BUTTONS = {
+  'trigger': 0,
+  'squeeze': 1,
+  'touchpad': 2,
+  'thumbstick': 3,
+  'a-button': 4,
+  'x-button': 4,
+  'b-button': 5,
+  'y-button': 5,
+};
+
+export const XR_STANDARD_AXES = {
+  'touchpad-x': 0,
+  'touchpad-y': 1,
+  'thumbstick-x': 2,
+  'thumbstick-y': 3,
+};
+
+const DEFAULT_AXIS_THRESHOLD = 0.6;
+// Fraction of the threshold an axis has to fall below to release, so that it
+// doesn't flicker when held right at the threshold.
+const AXIS_RELEASE_FACTOR = 0.5;
+
+class ActionBinding {
+  constructor(binding, options) {
+    this.profile = options.profile || null;
+    this.handedness = options.handedness || 'any';
+
+    this.button = -1;
+    this.axis = -1;
+    if ('button' in binding) {
+      this.button = typeof binding.button == 'string' ?
+          XR_STANDARD_BUTTONS[binding.button] : binding.button;
+      if (this.button === undefined) {
+        throw new Error(`Unknown xr-standard button '${binding.button}'`);
+      }
+    } else if ('axis' in binding) {
+      this.axis = typeof binding.axis == 'string' ?
+          XR_STANDARD_AXES[binding.axis] : binding.axis;
+      if (this.axis === undefined) {
+        throw new Error(`Unknown xr-standard axis '${binding.axis}'`);
+      }
+      // Axes are active when pushed past the threshold in |direction|.
+      this.direction = binding.direction || 1;
+      this.threshold = binding.threshold || DEFAULT_AXIS_THRESHOLD;
+    } else {
+      throw new Error('Action bindings need a button or an axis');
+    }
+  }
+
+  matches(inputSource, profile) {
+    return this.profile == profile &&
+           (this.handedness == 'any' || this.handedness == inputSource.handedness);
+  }
+
+  // Returns the binding's analog value, from 0 to 1.
+  getValue(gamepad) {
+    if (this.button != -1) {
+      let button = gamepad.buttons[this.button];
+      if (!button) {
+        return 0;
+      }
+      return button.value || (button.pressed ? 1 : 0);
+    }
+
+    let value = gamepad.axes[this.axis];
+    return value === undefined ? 0 : Math.max(value * this.direction, 0);
+  }
+
+  isHeld(gamepad, wasHeld) {
+    if (this.button != -1) {
+      let button = gamepad.buttons[this.button];
+      return !!button && button.pressed;
+    }
+
+    let value = this.getValue(gamepad);
+    return value >= (wasHeld ? this.threshold * AXIS_RELEASE_FACTOR : this.threshold);
+  }
+}
+
+class ActionState {
+  constructor() {
+    this.held = false;
+    this.pressed = false;
+    this.released = false;
+    this.value = 0;
+  }
+}
+
+export class ActionMap {
+  constructor() {
+    this._actions = new Map();
+    // Map of input source to a Map of action name to ActionState.
+    this._states = new Map();
+  }
+
+  // Declares an action, optionally with bindings that apply to any
+  // controller using the xr-standard mapping.
+  addAction(name, ...bindings) {
+    if (!this._actions.has(name)) {
+      this._actions.set(name, []);
+    }
+    for (let binding of bindings) {
+      this.bind(name, binding);
+    }
+  }
+
+  // Binds the action to a button ({button: 'trigger'} or {button: 0}) or to an
+  // axis pushed in a direction ({axis: 'thumbstick-y', direction: -1,
+  // threshold: 0.6}). |options.profile| limits the binding to input sources
+  // with that profile id, and |options.handedness| to one hand.
+  bind(name, binding, options = {}) {
+    let bindings = this._actions.get(name);
+    if (!bindings) {
+      throw new Error(`Unknown action '${name}'`);
+    }
+    bindings.push(new ActionBinding(binding, options));
+  }
+
+  hasAction(name) {
+    return this._actions.has(name);
+  }
+
+  // Removes the action's bindings for the given profile and handedness, so it
+  // can be rebound.
+  unbind(name, options = {}) {
+    let bindings = this._actions.get(name);
+    if (bindings) {
+      let profile = options.profile || null;
+      let handedness = options.handedness || 'any';
+      this._actions.set(name, bindings.filter((binding) =>
+          binding.profile != profile || binding.handedness != handedness));
+    }
+  }
+
+  // Reads every input source's gamepad and updates the state of each action.
+  update(frame) {
+    let states = new Map();
+
+    for (let inputSource of frame.session.inputSources) {
+      let gamepad = inputSource.gamepad;
+      if (!gamepad) {
+        continue;
+      }
+
+      let previousStates = this._states.get(inputSource);
+      let sourceStates = new Map();
+      for (let [name, bindings] of this._actions) {
+        let previous = previousStates ? previousStates.get(name) : null;
+        let wasHeld = previous ? previous.held : false;
+
+        let state = new ActionState();
+        for (let binding of this._getBindings(inputSource, bindings)) {
+          state.held = binding.isHeld(gamepad, wasHeld) || state.held;
+          state.value = Math.max(state.value, binding.getValue(gamepad));
+        }
+        state.pressed = state.held && !wasHeld;
+        state.released = !state.held && wasHeld;
+        sourceStates.set(name, state);
+      }
+      states.set(inputSource, sourceStates);
+    }
+
+    // Anything held on an input source that's gone away is released.
+    for (let [inputSource, previousStates] of this._states) {
+      if (states.has(inputSource)) {
+        continue;
+      }
+      let sourceStates = new Map();
+      for (let [name, previous] of previousStates) {
+        if (previous.held) {
+          let state = new ActionState();
+          state.released = true;
+          sourceStates.set(name, state);
+        }
+      }
+      if (sourceStates.size) {
+        states.set(inputSource, sourceStates);
+      }
+    }
+
+    this._states = states;
+  }
+
+  // The bindings that apply to the input source: those for the most specific
+  // of its profiles that has any, otherwise the xr-standard ones.
+  _getBindings(inputSource, bindings) {
+    for (let profile of inputSource.profiles) {
+      let matching = bindings.filter((binding) => binding.matches(inputSource, profile));
+      if (matching.length) {
+        return matching;
+      }
+    }
+    if (inputSource.gamepad.mapping != 'xr-standard') {
+      return [];
+    }
+    return bindings.filter((binding) => binding.matches(inputSource, null));
+  }
+
+  _getState(name, inputSource) {
+    if (!this._actions.has(name)) {
+      throw new Error(`Unknown action '${name}'`);
+    }
+    let sourceStates = this._states.get(inputSource);
+    return sourceStates ? sourceStates.get(name) : null;
+  }
+
+  // Tests the action's state on |inputSource|, or on any input source if null.
+  _test(name, inputSource, key) {
+    if (inputSource) {
+      let state = this._getState(name, inputSource);
+      return state ? state[key] : false;
+    }
+    for (let source of this._states.keys()) {
+      let state = this._getState(name, source);
+      if (state && state[key]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  isHeld(name, inputSource = null) {
+    return this._test(name, inputSource, 'held');
+  }
+
+  wasPressed(name, inputSource = null) {
+    return this._test(name, inputSource, 'pressed');
+  }
+
+  wasReleased(name, inputSource = null) {
+    return this._test(name, inputSource, 'released');
+  }
+
+  // The action's analog value on the input source, from 0 to 1.
+  getValue(name, inputSource) {
+    let state = this._getState(name, inputSource);
+    return state ? state.value : 0;
+  }
+}
@@ -0,0 +1,309 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Smooth locomotion and turning for immersive sessions, driven by the
+thumbsticks of controllers with the 'xr-standard' gamepad mapping. By default
+the left thumbstick moves the user and the right one turns them.
+
+The sticks are read through the 'move-forward', 'move-back', 'move-left',
+'move-right', 'turn-left' and 'turn-right' actions of an ActionMap, so they
+can be rebound per profile and handedness.
+
+Movement accumulates into an offset from a base reference space, which
+getReferenceSpace() applies. Turning pivots about the user's head so they
+don't swing around the reference space's origin.
+*/
+
+import {ActionMap} from './action-map.js';
+import {FadeOverlay} from '../render/nodes/fade-overlay.js';
+import {mat4, vec3, quat} from '../render/math/gl-matrix.js';
+
+const DEFAULT_OPTIONS = {
+  // Meters per second at full deflection.
+  moveSpeed: 2.0,
+  // 'head' moves towards where the user is looking, 'hand' towards where the
+  // moving controller points.
+  moveDirection: 'head',
+  // Hands the default move and turn bindings are for.
+  moveHandedness: 'left',
+  turnHandedness: 'right',
+  // 'snap' turns by snapTurnAngle each time the stick is flicked, 'smooth'
+  // turns continuously at smoothTurnSpeed.
+  turnMode: 'snap',
+  snapTurnAngle: 30,
+  // Degrees per second at full deflection.
+  smoothTurnSpeed: 90,
+  // Stick deflection below which input is ignored.
+  deadZone: 0.15,
+  // Deflection a snap turn needs. The stick has to return below half of it
+  // before the next one.
+  snapTurnThreshold: 0.7,
+  // Darkens the edges of the view while moving or smoothly turning.
+  comfortVignette: true,
+  // ActionMap to read the move and turn actions from. Any that it doesn't
+  // have are added with the default bindings. A map passed in has to be
+  // updated by the app each frame, before update().
+  actionMap: null,
+};
+
+const VIGNETTE_INNER_RADIUS = 0.6;
+const VIGNETTE_OUTER_RADIUS = 1.0;
+const VIGNETTE_OPACITY = 0.9;
+// How quickly, per second, the vignette fades in and out.
+const VIGNETTE_FADE_RATE = 4.0;
+
+let tmpMatrix = mat4.create();
+let tmpDirection = vec3.create();
+let tmpRight = vec3.create();
+let tmpMove = vec3.create();
+
+// Thumbstick axes with the dead zone removed and the remaining range rescaled
+// to [-1, 1].
+function applyDeadZone(value, deadZone) {
+  let magnitude = Math.abs(value);
+  if (magnitude < deadZone) {
+    return 0;
+  }
+  return Math.sign(value) * (magnitude - deadZone) / (1 - deadZone);
+}
+
+// Writes the horizontal part of the pose's -Z axis to |out|. Returns false if
+// it's pointing straight up or down.
+function getHorizontalForward(out, matrix) {
+  vec3.set(out, -matrix[8], 0, -matrix[10]);
+  if (vec3.length(out) < 0.0001) {
+    return false;
+  }
+  vec3.normalize(out, out);
+  return true;
+}
+
+export class Locomotion {
+  constructor(scene, options = {}) {
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this.enabled = true;
+
+    // Transform from the base reference space to the moved one.
+    this._offset = mat4.create();
+    this._baseRefSpace = null;
+    this._refSpace = null;
+    this._dirty = false;
+
+    this._ownsActionMap = !this.options.actionMap;
+    this.actionMap = this.options.actionMap || new ActionMap();
+    this._addDefaultActions();
+
+    this._ignoredSource = null;
+
+    this._vignette = new FadeOverlay();
+    this._vignette.setVignette(VIGNETTE_INNER_RADIUS, VIGNETTE_OUTER_RADIUS);
+    scene.addNode(this._vignette);
+  }
+
+  _addDefaultActions() {
+    let options = this.options;
+    let addAxisAction = (name, axis, direction, handedness, threshold) => {
+      if (!this.actionMap.hasAction(name)) {
+        this.actionMap.addAction(name);
+        this.actionMap.bind(name, {axis: axis, direction: direction, threshold: threshold},
+                            {handedness: handedness});
+      }
+    };
+    addAxisAction('move-forward', 'thumbstick-y', -1, options.moveHandedness);
+    addAxisAction('move-back', 'thumbstick-y', 1, options.moveHandedness);
+    addAxisAction('move-left', 'thumbstick-x', -1, options.moveHandedness);
+    addAxisAction('move-right', 'thumbstick-x', 1, options.moveHandedness);
+    // Snap turns happen when these are pressed.
+    addAxisAction('turn-left', 'thumbstick-x', -1, options.turnHandedness, options.snapTurnThreshold);
+    addAxisAction('turn-right', 'thumbstick-x', 1, options.turnHandedness, options.snapTurnThreshold);
+  }
+
+  // Returns |baseRefSpace| offset by the movement so far. The result is
+  // cached until the user moves again.
+  getReferenceSpace(baseRefSpace) {
+    if (!baseRefSpace) {
+      return null;
+    }
+    if (this._dirty || baseRefSpace != this._baseRefSpace) {
+      this._baseRefSpace = baseRefSpace;
+      this._dirty = false;
+
+      let position = mat4.getTranslation(vec3.create(), this._offset);
+      let orientation = mat4.getRotation(quat.create(), this._offset);
+      quat.normalize(orientation, orientation);
+      this._refSpace = baseRefSpace.getOffsetReferenceSpace(new XRRigidTransform(
+          {x: position[0], y: position[1], z: position[2]},
+          {x: orientation[0], y: orientation[1], z: orientation[2], w: orientation[3]}));
+    }
+    return this._refSpace;
+  }
+
+  // Forgets the movement so far, for when the base reference space has been
+  // replaced by one that already includes it.
+  resetOffset() {
+    mat4.identity(this._offset);
+    this._dirty = true;
+  }
+
+  // Call once per immersive frame with the reference space returned by
+  // getReferenceSpace() and the time since the last frame in milliseconds.
+  // The stick of |ignoredSource|, such as one aiming a teleport, is ignored
+  // for this frame.
+  update(frame, refSpace, frameDelta, ignoredSource = null) {
+    if (this._ownsActionMap) {
+      this.actionMap.update(frame);
+    }
+
+    let seconds = frameDelta / 1000;
+    let moving = false;
+    this._ignoredSource = ignoredSource;
+
+    if (this.enabled && refSpace) {
+      let viewerPose = frame.getViewerPose(refSpace);
+      if (viewerPose) {
+        moving = this._updateMovement(frame, refSpace, viewerPose, seconds);
+        moving = this._updateTurning(frame, viewerPose, seconds) || moving;
+      }
+    }
+
+    this._updateVignette(moving, seconds);
+  }
+
+  // Finds the first input source, other than the ignored one, with any of the
+  // actions active. Returns it along with its deflection from -1 to 1 along
+  // the pairs of opposing actions.
+  _getAxes(session, left, right, back = null, forward = null) {
+    let actionMap = this.actionMap;
+    for (let inputSource of session.inputSources) {
+      if (inputSource == this._ignoredSource) {
+        continue;
+      }
+      let x = actionMap.getValue(right, inputSource) - actionMap.getValue(left, inputSource);
+      let y = forward ? actionMap.getValue(forward, inputSource) - actionMap.getValue(back, inputSource) : 0;
+      if (x || y) {
+        return {inputSource: inputSource, x: x, y: y};
+      }
+    }
+    return null;
+  }
+
+  _updateMovement(frame, refSpace, viewerPose, seconds) {
+    let options = this.options;
+    let axes = this._getAxes(frame.session, 'move-left', 'move-right', 'move-back', 'move-forward');
+    if (!axes) {
+      return false;
+    }
+
+    let strafe = applyDeadZone(axes.x, options.deadZone);
+    let forward = applyDeadZone(axes.y, options.deadZone);
+    if (!strafe && !forward) {
+      return false;
+    }
+
+    let directionMatrix = viewerPose.transform.matrix;
+    if (options.moveDirection == 'hand') {
+      let handPose = frame.getPose(axes.inputSource.targetRaySpace, refSpace);
+      if (handPose) {
+        directionMatrix = handPose.transform.matrix;
+      }
+    }
+    if (!getHorizontalForward(tmpDirection, directionMatrix)) {
+      return false;
+    }
+    vec3.cross(tmpRight, tmpDirection, [0, 1, 0]);
+
+    vec3.scale(tmpMove, tmpDirection, forward);
+    vec3.scaleAndAdd(tmpMove, tmpMove, tmpRight, strafe);
+    // Diagonals shouldn't be faster than straight ahead.
+    if (vec3.length(tmpMove) > 1) {
+      vec3.normalize(tmpMove, tmpMove);
+    }
+    vec3.scale(tmpMove, tmpMove, options.moveSpeed * seconds);
+
+    // Moving the user by |tmpMove| moves the reference space origin the
+    // other way.
+    vec3.negate(tmpMove, tmpMove);
+    mat4.fromTranslation(tmpMatrix, tmpMove);
+    this._applyMotion(tmpMatrix);
+    return true;
+  }
+
+  _updateTurning(frame, viewerPose, seconds) {
+    let options = this.options;
+    let angle = 0;
+    let smooth = options.turnMode == 'smooth';
+    // Pushing right turns clockwise seen from above, which is negative.
+    if (smooth) {
+      let axes = this._getAxes(frame.session, 'turn-left', 'turn-right');
+      if (axes) {
+        angle = -applyDeadZone(axes.x, options.deadZone) * options.smoothTurnSpeed * seconds;
+      }
+    } else {
+      for (let inputSource of frame.session.inputSources) {
+        if (inputSource == this._ignoredSource) {
+          continue;
+        }
+        if (this.actionMap.wasPressed('turn-right', inputSource)) {
+          angle = -options.snapTurnAngle;
+          break;
+        }
+        if (this.actionMap.wasPressed('turn-left', inputSource)) {
+          angle = options.snapTurnAngle;
+          break;
+        }
+      }
+    }
+
+    if (!angle) {
+      return false;
+    }
+
+    // Turn the user about their head, which turns the reference space the
+    // opposite way about the same point.
+    let head = viewerPose.transform.position;
+    mat4.fromTranslation(tmpMatrix, [head.x, 0, head.z]);
+    mat4.rotateY(tmpMatrix, tmpMatrix, -angle * Math.PI / 180);
+    mat4.translate(tmpMatrix, tmpMatrix, [-head.x, 0, -head.z]);
+    this._applyMotion(tmpMatrix);
+    return smooth;
+  }
+
+  // Appends a motion of the reference space, given in its current
+  // coordinates, to the offset.
+  _applyMotion(motion) {
+    mat4.multiply(this._offset, this._offset, motion);
+    this._dirty = true;
+  }
+
+  _updateVignette(moving, seconds) {
+    let target = moving && this.options.comfortVignette ? VIGNETTE_OPACITY : 0;
+    let step = VIGNETTE_FADE_RATE * seconds;
+    let opacity = this._vignette.opacity;
+    if (opacity < target) {
+      opacity = Math.min(opacity + step, target);
+    } else if (opacity > target) {
+      opacity = Math.max(opacity - step, target);
+    }
+    if (opacity != this._vignette.opacity) {
+      this._vignette.opacity = opacity;
+    }
+  }
+}
@@ -0,0 +1,286 @@
+// Copyright 2018 The Immersive Web Community Group
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/*
+Teleport locomotion for immersive sessions. Pushing a controller's thumbstick
+forward shows a parabolic arc from the controller, and letting go of it moves
+the user to where the arc lands, with a short fade to hide the jump.
+
+The stick is read through the 'teleport' action of an ActionMap, so it can be
+rebound per profile and handedness. By default it's bound to pushing the
+thumbstick forward, or the touchpad on the Vive wands.
+
+Only nodes registered with addFloor(), or their descendants, are valid places
+to land. Like anything else hit tested they have to be selectable. Surfaces
+hit with triangleHitTest enabled are also checked for being level enough to
+stand on.
+
+Teleporting works by offsetting the reference space, so it assumes one whose
+origin is on the floor, such as 'local-floor'.
+*/
+
+import {ActionMap} from './action-map.js';
+import {TeleportIndicator} from '../render/nodes/teleport-indicator.js';
+import {FadeOverlay} from '../render/nodes/fade-overlay.js';
+import {mat4, vec3} from '../render/math/gl-matrix.js';
+
+// Launch speed in meters per second and gravity in meters per second squared.
+// Together these give a maximum range of about 5 meters on flat ground.
+const ARC_SPEED = 7.0;
+const ARC_GRAVITY = 9.8;
+// Longest the arc is followed for, in seconds, and how many straight segments
+// it's hit tested as.
+const ARC_MAX_TIME = 2.0;
+const ARC_TEST_SEGMENTS = 16;
+
+const AIM_THRESHOLD = 0.6;
+const DEFAULT_MAX_SLOPE = 30;
+
+const FADE_DURATION_MS = 150;
+
+const FADE_NONE = 0;
+const FADE_OUT = 1;
+const FADE_IN = 2;
+
+let tmpRayMatrix = mat4.create();
+let tmpSegmentStart = vec3.create();
+let tmpSegmentEnd = vec3.create();
+
+function getArcPoint(out, start, velocity, t) {
+  out[0] = start[0] + velocity[0] * t;
+  out[1] = start[1] + velocity[1] * t - 0.5 * ARC_GRAVITY * t * t;
+  out[2] = start[2] + velocity[2] * t;
+  return out;
+}
+
+export class Teleport {
+  constructor(scene, options = {}) {
+    this._scene = scene;
+    this._floors = new Set();
+
+    this.enabled = true;
+    // Steepest slope, in degrees, that can be landed on.
+    this.maxSlope = 'maxSlope' in options ? options.maxSlope : DEFAULT_MAX_SLOPE;
+
+    // The 'teleport' action is added to the given map with the default
+    // bindings if it doesn't have one already. A map passed in has to be
+    // updated by the app each frame, before update().
+    this._ownsActionMap = !options.actionMap;
+    this.actionMap = options.actionMap || new ActionMap();
+    if (!this.actionMap.hasAction('teleport')) {
+      // Limits the default bindings to one hand, to keep other uses of the
+      // stick, such as Locomotion's movement, from starting a teleport.
+      let handedness = options.handedness || 'any';
+      this.actionMap.addAction('teleport');
+      this.actionMap.bind('teleport', {axis: 'thumbstick-y', direction: -1, threshold: AIM_THRESHOLD},
+                          {handedness: handedness});
+      this.actionMap.bind('teleport', {axis: 'touchpad-y', direction: -1, threshold: AIM_THRESHOLD},
+                          {profile: 'htc-vive', handedness: handedness});
+    }
+
+    this._indicator = new TeleportIndicator();
+    this._fade = new FadeOverlay();
+    scene.addNode(this._indicator);
+    scene.addNode(this._fade);
+
+    this._aimingSource = null;
+    this._target = null;
+
+    this._fadeState = FADE_NONE;
+    this._fadeTime = 0;
+  }
+
+  // Lets the user teleport onto the node and its descendants.
+  addFloor(node) {
+    this._floors.add(node);
+  }
+
+  removeFloor(node) {
+    this._floors.delete(node);
+  }
+
+  // True while aiming or in the middle of a teleport.
+  get active() {
+    return !!this._aimingSource || this._fadeState != FADE_NONE;
+  }
+
+  // The input source being aimed with, if any. Other uses of its stick should
+  // be ignored until it's released.
+  get aimingSource() {
+    return this._aimingSource;
+  }
+
+  // Cancels any teleport in progress.
+  reset() {
+    this._aimingSource = null;
+    this._target = null;
+    this._fadeState = FADE_NONE;
+    this._fade.opacity = 0;
+    this._indicator.hide();
+  }
+
+  // Call once per immersive frame, before anything else uses |refSpace|.
+  // Returns the reference space to use from now on if the user teleported,
+  // otherwise null.
+  update(frame, refSpace, frameDelta) {
+    if (this._ownsActionMap) {
+      this.actionMap.update(frame);
+    }
+
+    if (this._fadeState != FADE_NONE) {
+      return this._updateFade(frame, refSpace, frameDelta);
+    }
+
+    if (!this.enabled) {
+      this.reset();
+      return null;
+    }
+
+    if (!this._aimingSource) {
+      this._aimingSource = this._findAimingSource(frame.session);
+      if (!this._aimingSource) {
+        return null;
+      }
+    }
+
+    let inputSource = this._aimingSource;
+    let stillPresent = Array.prototype.indexOf.call(frame.session.inputSources, inputSource) != -1;
+    if (!stillPresent || !inputSource.gamepad) {
+      this.reset();
+      return null;
+    }
+
+    if (!this.actionMap.isHeld('teleport', inputSource)) {
+      // Released, so go to the target if there's a valid one.
+      this._aimingSource = null;
+      this._indicator.hide();
+      if (this._target) {
+        this._fadeState = FADE_OUT;
+        this._fadeTime = 0;
+      }
+      return null;
+    }
+
+    let targetRayPose = frame.getPose(inputSource.targetRaySpace, refSpace);
+    if (targetRayPose) {
+      this._updateArc(targetRayPose.transform.matrix);
+    }
+    return null;
+  }
+
+  _findAimingSource(session) {
+    for (let inputSource of session.inputSources) {
+      if (this.actionMap.isHeld('teleport', inputSource)) {
+        return inputSource;
+      }
+    }
+    return null;
+  }
+
+  _updateArc(rayMatrix) {
+    let start = vec3.fromValues(rayMatrix[12], rayMatrix[13], rayMatrix[14]);
+    // Target rays point down -Z.
+    let velocity = vec3.fromValues(-rayMatrix[8], -rayMatrix[9], -rayMatrix[10]);
+    vec3.normalize(velocity, velocity);
+    vec3.scale(velocity, velocity, ARC_SPEED);
+
+    let hitResult = null;
+    let hitTime = ARC_MAX_TIME;
+    let segmentTime = ARC_MAX_TIME / ARC_TEST_SEGMENTS;
+    getArcPoint(tmpSegmentStart, start, velocity, 0);
+    for (let i = 1; i <= ARC_TEST_SEGMENTS && !hitResult; ++i) {
+      getArcPoint(tmpSegmentEnd, start, velocity, i * segmentTime);
+      let segmentLength = vec3.distance(tmpSegmentStart, tmpSegmentEnd);
+
+      // Hit test a ray down the segment, ignoring anything past its end.
+      let up = Math.abs(tmpSegmentEnd[0] - tmpSegmentStart[0]) +
+               Math.abs(tmpSegmentEnd[2] - tmpSegmentStart[2]) > 0.0001 ? [0, 1, 0] : [1, 0, 0];
+      mat4.targetTo(tmpRayMatrix, tmpSegmentStart, tmpSegmentEnd, up);
+      let segmentHit = this._scene.hitTest({matrix: tmpRayMatrix});
+      if (segmentHit && segmentHit.distance <= segmentLength) {
+        hitResult = segmentHit;
+        hitTime = (i - 1 + segmentHit.distance / segmentLength) * segmentTime;
+      }
+
+      vec3.copy(tmpSegmentStart, tmpSegmentEnd);
+    }
+
+    this._target = hitResult && this._isValidTarget(hitResult) ?
+        vec3.clone(hitResult.intersection) : null;
+    this._indicator.setArc(start, velocity, ARC_GRAVITY, hitTime, !!this._target);
+    this._indicator.setTarget(this._target);
+  }
+
+  _isValidTarget(hitResult) {
+    let onFloor = false;
+    for (let node = hitResult.node; node; node = node.parent) {
+      if (this._floors.has(node)) {
+        onFloor = true;
+        break;
+      }
+    }
+    if (!onFloor) {
+      return false;
+    }
+
+    if (hitResult.normal) {
+      return hitResult.normal[1] >= Math.cos(this.maxSlope * Math.PI / 180);
+    }
+    return true;
+  }
+
+  _updateFade(frame, refSpace, frameDelta) {
+    this._fadeTime += frameDelta;
+    let t = Math.min(this._fadeTime / FADE_DURATION_MS, 1);
+
+    if (this._fadeState == FADE_IN) {
+      this._fade.opacity = 1 - t;
+      if (t >= 1) {
+        this._fadeState = FADE_NONE;
+      }
+      return null;
+    }
+
+    this._fade.opacity = t;
+    if (t < 1) {
+      return null;
+    }
+
+    // Fully faded out, so move while nobody can see it.
+    this._fadeState = FADE_IN;
+    this._fadeTime = 0;
+
+    let viewerPose = frame.getViewerPose(refSpace);
+    let target = this._target;
+    this._target = null;
+    if (!viewerPose || !target) {
+      return null;
+    }
+
+    // Offset the reference space so that the viewer ends up standing on the
+    // target, keeping their height above the floor.
+    let viewer = viewerPose.transform.position;
+    return refSpace.getOffsetReferenceSpace(new XRRigidTransform({
+      x: viewer.x - target[0],
+      y: -target[1],
+      z: viewer.z - target[2],
+    }));
+  }
+}
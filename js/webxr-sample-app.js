@@ -22,6 +22,9 @@ import {WebXRButton} from './util/webxr-button.js';
 import {Scene} from './render/scenes/scene.js';
 import {Renderer, createWebGLContext} from './render/core/renderer.js';
 import {InlineViewerHelper} from './util/inline-viewer-helper.js';
+import {ActionMap} from './util/action-map.js';
+import {Teleport} from './util/teleport.js';
+import {Locomotion} from './util/locomotion.js';
 
 export class WebXRSampleApp {
   constructor(options) {
@@ -33,13 +36,43 @@ export class WebXRSampleApp {
       immersiveMode: options.immersiveMode || 'immersive-vr',
       referenceSpace: options.referenceSpace || 'local',
       defaultInputHandling: 'defaultInputHandling' in options ? options.defaultInputHandling : true,
-      useMultiview: options.useMultiview || false
+      useMultiview: options.useMultiview || false,
+      // true, or an options object for Teleport, to enable teleporting.
+      teleport: options.teleport || false,
+      // true, or an options object for Locomotion, to enable thumbstick
+      // movement and turning.
+      locomotion: options.locomotion || false
     };
 
     this.gl = null;
     this.renderer = null;
     this.scene = new Scene();
 
+    // Lets the user move around immersive scenes larger than their play area.
+    // Register the nodes they can land on with teleport.addFloor(). Both read
+    // the controllers through actionMap, where their 'teleport', 'move-*' and
+    // 'turn-*' actions can be rebound.
+    this.actionMap = null;
+    this.teleport = null;
+    this.locomotion = null;
+    if (this.options.teleport || this.options.locomotion) {
+      this.actionMap = new ActionMap();
+    }
+    if (this.options.teleport) {
+      let teleportOptions = Object.assign({actionMap: this.actionMap},
+          this.options.teleport === true ? {} : this.options.teleport);
+      if (this.options.locomotion && !('handedness' in teleportOptions)) {
+        // Aim with the turning stick, leaving the other one free to move.
+        let locomotionOptions = this.options.locomotion === true ? {} : this.options.locomotion;
+        teleportOptions.handedness = locomotionOptions.turnHandedness || 'right';
+      }
+      this.teleport = new Teleport(this.scene, teleportOptions);
+    }
+    if (this.options.locomotion) {
+      this.locomotion = new Locomotion(this.scene, Object.assign({actionMap: this.actionMap},
+          this.options.locomotion === true ? {} : this.options.locomotion));
+    }
+
     this.xrButton = new WebXRButton({
       onRequestSession: () => { return this.onRequestSession(); },
       onEndSession: (session) => { this.onEndSession(session); }
@@ -50,10 +83,14 @@ export class WebXRSampleApp {
 
     this.frameCallback = (time, frame) => {
       let session = frame.session;
-      let refSpace = this.getSessionReferenceSpace(session);
 
       session.requestAnimationFrame(this.frameCallback);
-      this.scene.startFrame();
+      let frameDelta = this.scene.startFrame();
+
+      if (session.isImmersive) {
+        this.updateLocomotion(frame, frameDelta);
+      }
+      let refSpace = this.getSessionReferenceSpace(session);
 
       this.onXRFrame(time, frame, refSpace);
 
@@ -61,8 +98,45 @@ export class WebXRSampleApp {
     };
   }
 
+  // Moves the immersive reference space in response to whichever locomotion
+  // controls are enabled.
+  updateLocomotion(frame, frameDelta) {
+    if (!this.immersiveRefSpace) {
+      return;
+    }
+
+    if (this.actionMap) {
+      this.actionMap.update(frame);
+    }
+
+    if (this.teleport) {
+      let refSpace = this.teleport.update(frame, this.getSessionReferenceSpace(frame.session), frameDelta);
+      if (refSpace) {
+        // The teleport was relative to the already moved reference space, so
+        // it becomes the new base.
+        this.immersiveRefSpace = refSpace;
+        if (this.locomotion) {
+          this.locomotion.resetOffset();
+        }
+      }
+    }
+
+    if (this.locomotion) {
+      // Aiming a teleport takes priority over other uses of the same stick.
+      let aimingSource = this.teleport ? this.teleport.aimingSource : null;
+      this.locomotion.update(frame, this.getSessionReferenceSpace(frame.session), frameDelta, aimingSource);
+    }
+  }
+
+  // Immersive sessions use immersiveRefSpace, moved by any locomotion.
   getSessionReferenceSpace(session) {
-    return session.isImmersive ? this.immersiveRefSpace : this.inlineViewerHelper.referenceSpace;
+    if (!session.isImmersive) {
+      return this.inlineViewerHelper.referenceSpace;
+    }
+    if (this.locomotion) {
+      return this.locomotion.getReferenceSpace(this.immersiveRefSpace);
+    }
+    return this.immersiveRefSpace;
   }
 
   run() {
@@ -112,11 +186,35 @@ export class WebXRSampleApp {
         onResize();
       }
 
+      // Calling preventDefault on the lost event signals that we want the
+      // context to be restored.
+      canvas.addEventListener('webglcontextlost', (event) => {
+        event.preventDefault();
+        this.onContextLost();
+      });
+      canvas.addEventListener('webglcontextrestored', () => {
+        this.onContextRestored();
+      });
+
       this.renderer = new Renderer(this.gl);
       this.scene.setRenderer(this.renderer);
     }
   }
 
+  // Override to customize context loss handling. By default the scene drops
+  // all of its GPU resources and stops drawing until the context returns.
+  onContextLost() {
+    this.scene.loseRenderer();
+  }
+
+  // Override to customize context restore handling. By default the renderer
+  // rebuilds its caches and every node in the scene recreates its render
+  // primitives, reuploading from the data it retained.
+  onContextRestored() {
+    this.renderer.restoreContext();
+    this.scene.setRenderer(this.renderer);
+  }
+
   onRequestSession() {
     // Called when the button gets clicked. Requests an immersive session.
     return navigator.xr.requestSession(this.options.immersiveMode, {
@@ -144,6 +242,26 @@ export class WebXRSampleApp {
         let refSpace = this.getSessionReferenceSpace(event.frame.session);
         this.scene.handleSelect(event.inputSource, event.frame, refSpace);
       });
+      session.addEventListener('selectstart', (event) => {
+        let refSpace = this.getSessionReferenceSpace(event.frame.session);
+        this.scene.handleSelectStart(event.inputSource, event.frame, refSpace);
+      });
+      session.addEventListener('selectend', (event) => {
+        let refSpace = this.getSessionReferenceSpace(event.frame.session);
+        this.scene.handleSelectEnd(event.inputSource, event.frame, refSpace);
+      });
+      session.addEventListener('squeezestart', (event) => {
+        let refSpace = this.getSessionReferenceSpace(event.frame.session);
+        this.scene.handleSqueezeStart(event.inputSource, event.frame, refSpace);
+      });
+      session.addEventListener('squeezeend', (event) => {
+        let refSpace = this.getSessionReferenceSpace(event.frame.session);
+        this.scene.handleSqueezeEnd(event.inputSource, event.frame, refSpace);
+      });
+      session.addEventListener('squeeze', (event) => {
+        let refSpace = this.getSessionReferenceSpace(event.frame.session);
+        this.scene.handleSqueeze(event.inputSource, event.frame, refSpace);
+      });
     }
 
     this.onInitRenderer();
@@ -201,6 +319,12 @@ export class WebXRSampleApp {
     if (session == this.xrButton.session) {
       this.xrButton.setSession(null);
     }
+    if (this.teleport) {
+      this.teleport.reset();
+    }
+    if (this.locomotion) {
+      this.locomotion.resetOffset();
+    }
     this.renderer = new Renderer(this.gl);
     this.scene.setRenderer(this.renderer);
   }